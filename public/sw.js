@@ -0,0 +1,154 @@
+// Wrongbook service worker：让应用在没有网络时也能打开、渲染 PDF 和复习
+// - 页面导航：先返回缓存的应用外壳，同时在后台向网络取新版本
+// - 同源静态资源（脚本、样式、pdf.js worker、字体、图标）：有缓存先用缓存，后台再取新的更新缓存；
+//   开发时文件名不带 hash，这样改了代码多刷新一次就能看到
+// - 样式表里 url(...) 引用的字体一起缓存（KaTeX 字体只在渲染到公式时才会请求）
+// - 页面加载完后发来当前版本用到的全部资源，缓存里其他的（旧版本带 hash 的脚本、样式等）删掉
+// 地址都相对本文件解析：sw.js 和页面部署在同一目录，应用放在子路径下也能用
+// 数据本身在 IndexedDB 里，不经过这里。修改缓存策略时改 CACHE_VERSION，旧缓存在 activate 时清掉
+
+const CACHE_VERSION = "v1";
+const CACHE_NAME = `wrongbook-${CACHE_VERSION}`;
+const SHELL_URL = new URL("./", self.location.href).href;
+const APP_SHELL = ["./", "manifest.webmanifest", "icon.svg"].map(
+  (path) => new URL(path, self.location.href).href
+);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .catch(() => {})
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("wrongbook-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  const { type, urls } = event.data || {};
+  if (type === "skip-waiting") self.skipWaiting();
+  // 页面加载完后把已用到的资源和 pdf.js worker 的地址发过来，提前缓存好，不在其中的旧资源删掉
+  if (type === "cache-urls" && Array.isArray(urls)) {
+    event.waitUntil(cacheUrls(urls).then(() => pruneCache(urls)));
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(event));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(event));
+});
+
+async function handleNavigation(event) {
+  const cache = await caches.open(CACHE_NAME);
+  const network = fetch(event.request)
+    .then((response) => {
+      if (response.ok) cache.put(SHELL_URL, response.clone());
+      return response;
+    })
+    .catch(() => null);
+  const cached = (await cache.match(event.request)) || (await cache.match(SHELL_URL));
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  return (await network) || offlineResponse();
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const network = fetch(request)
+    .then(async (response) => {
+      if (response.ok) await store(cache, request.url, response.clone());
+      return response;
+    })
+    .catch(() => null);
+  const cached = await cache.match(request);
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  return (await network) || offlineResponse();
+}
+
+function sameOriginUrls(urls) {
+  return urls
+    .map((u) => new URL(u, self.location.href))
+    .filter((u) => u.origin === self.location.origin)
+    .map((u) => {
+      // 缓存的键不带 #…，比较前去掉
+      u.hash = "";
+      return u.href;
+    });
+}
+
+async function cacheUrls(urls) {
+  const cache = await caches.open(CACHE_NAME);
+  await Promise.all(
+    sameOriginUrls(urls).map(async (url) => {
+      if (await cache.match(url)) return;
+      try {
+        const response = await fetch(url);
+        if (response.ok) await store(cache, url, response);
+      } catch {}
+    })
+  );
+}
+
+// 只留下应用外壳、页面用到的资源和这些样式表引用的字体；部署后文件名 hash 变了，旧文件不会再被请求
+async function pruneCache(urls) {
+  const cache = await caches.open(CACHE_NAME);
+  const keep = new Set([...APP_SHELL, ...sameOriginUrls(urls)]);
+  for (const url of Array.from(keep)) {
+    const response = await cache.match(url);
+    const type = response?.headers.get("content-type") || "";
+    if (!type.includes("text/css")) continue;
+    sameOriginUrls(stylesheetRefs(await response.text(), url)).forEach((ref) => keep.add(ref));
+  }
+  const requests = await cache.keys();
+  await Promise.all(requests.filter((r) => !keep.has(r.url)).map((r) => cache.delete(r)));
+}
+
+// 存入缓存；样式表顺带缓存其中引用的字体和图片
+async function store(cache, url, response) {
+  const type = response.headers.get("content-type") || "";
+  if (!type.includes("text/css")) {
+    await cache.put(url, response);
+    return;
+  }
+  const css = await response.clone().text();
+  await cache.put(url, response);
+  await cacheUrls(stylesheetRefs(css, url));
+}
+
+function stylesheetRefs(css, url) {
+  return Array.from(css.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g), (m) => m[1])
+    .filter((ref) => !ref.startsWith("data:"))
+    .map((ref) => new URL(ref, url).href);
+}
+
+function offlineResponse() {
+  return new Response("", { status: 503, statusText: "Offline" });
+}
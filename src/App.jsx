@@ -1,27 +1,120 @@
 // Wrongbook Web App - 精简版
-// 功能：错题版+干净版 PDF 配对、框选错题、间隔重复复习（本地 LocalStorage）
+// 功能：错题版+干净版 PDF 配对、框选错题、间隔重复复习（本地 IndexedDB）
 
-import React, { useState, useEffect, useRef, useMemo } from "react";
-import { getDocument, GlobalWorkerOptions } from "pdfjs-dist";
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo } from "react";
+import { GlobalWorkerOptions } from "pdfjs-dist";
+import "katex/dist/katex.min.css";
+import {
+  loadAllRecords,
+  putDocumentMeta,
+  updateDocumentMeta,
+  putMistake,
+  patchMistake,
+  deleteMistake,
+  saveReview,
+  putReviewLog,
+  importRecords,
+  loadSettings,
+  saveSettings,
+  savePdfFile,
+  loadPdfFile,
+  listPdfFiles,
+  deletePdfFile,
+  estimateStorage,
+  requestPersistentStorage,
+  formatBytes,
+  listAttachments,
+  listAttachmentIds,
+  putAttachment,
+  deleteAttachment,
+} from "./storage";
+import { buildBackupArchive, readBackupArchive, mergeBackup } from "./backup";
+import { downloadBlob, timestampForFilename } from "./download";
+import { createId } from "./id";
+import { detectHandwriting, SENSITIVITY_PRESETS } from "./handwriting";
+import { alignPages, getPageTransform, mapBbox } from "./alignment";
+import {
+  offsetPageMap,
+  toCleanPage,
+  toMarkedPage,
+  mappedPagePairs,
+  isIdentityMap,
+} from "./pageMap";
+import { renderPdfPage } from "./pdfRender";
+import {
+  withPdfDocument,
+  closePdfDocument,
+  renderPage,
+  renderCachedCrop,
+  getPageSize,
+  peekPage,
+  prefetchPage,
+  prefetchCrop,
+} from "./pdfDocuments";
+import { getCropThumbnail, peekCropThumbnail } from "./cropCache";
+import { snapToContent, mistakeRegions, withRegions, maskPage } from "./regions";
+import { collectTags, matchesTags, addTag, renameTag, removeTag } from "./tags";
+import {
+  DIFFICULTY_LEVELS,
+  DIFFICULTY_LABELS,
+  UNSET,
+  DEFAULT_REFLECTION_FILTER,
+  causeLabel,
+  difficultyLabel,
+  collectCauses,
+  matchesReflection,
+  isReflectionFiltered,
+  normalizeCause,
+  renameCause,
+} from "./reflection";
+import {
+  SESSION_ORDERS,
+  DEFAULT_SESSION_CRITERIA,
+  normalizeCriteria,
+  buildSessionQueue,
+} from "./session";
+import {
+  RATING_LABELS,
+  reviewHeatmap,
+  retentionByInterval,
+  ratingDistribution,
+  dueForecast,
+  groupBreakdown,
+} from "./analytics";
+import { buildPairReport, renderReportHtml } from "./report";
+import {
+  WORK_SPACE_SIZES,
+  DEFAULT_WORKSHEET_OPTIONS,
+  selectWorksheetMistakes,
+  buildWorksheetPdf,
+} from "./worksheet";
+import { buildAnkiPackage } from "./anki";
+import { buildCsvArchive } from "./csvExport";
+import { renderMarkdown, renderInlineMarkdown } from "./markdown";
+import { ATTACHMENT_KINDS, imageFilesFrom, prepareImage, newAttachment } from "./attachments";
+import { registerServiceWorker } from "./pwa";
+import { DEFAULT_SETTINGS, normalizeSettings } from "./settings";
+import {
+  SCHEDULERS,
+  FSRS_DEFAULT_WEIGHTS,
+  scheduleInitial,
+  applyReview,
+  practiceLog,
+  fitFsrsWeights,
+} from "./scheduler";
 
-GlobalWorkerOptions.workerSrc =
-  "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.0.379/pdf.worker.min.js";
+// pdf.js worker 随应用一起打包，断网也能渲染
+const PDF_WORKER_URL = new URL("pdfjs-dist/build/pdf.worker.min.mjs", import.meta.url).toString();
+GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
 
-const STORAGE_KEYS = {
-  documents: "wrongbook_documents_v1",
-  mistakes: "wrongbook_mistakes_v1",
-  reviews: "wrongbook_reviews_v1",
-};
-
-function createId() {
-  return Math.random().toString(36).slice(2) + Date.now().toString(36);
-}
-
-function isDue(m) {
+function isDue(m, now = Date.now()) {
   if (!m.nextReviewAt) return true;
-  return new Date(m.nextReviewAt).getTime() <= Date.now();
+  return new Date(m.nextReviewAt).getTime() <= now;
 }
 
+// 到期检查的时钟最长隔这么久刷新一次（也让跨天后的“今日”统计跟着变）
+const DUE_CLOCK_MAX_DELAY = 60 * 60 * 1000;
+
 async function hashFile(file) {
   const buffer = await file.arrayBuffer();
   const hashBuffer = await crypto.subtle.digest("SHA-256", buffer);
@@ -29,108 +122,113 @@ async function hashFile(file) {
   return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
 }
 
-function scheduleInitial(now) {
-  return {
-    lastReviewedAt: null,
-    nextReviewAt: now.toISOString(),
-    intervalDays: 0,
-    easiness: 2.5,
-    reviewStreak: 0,
-  };
-}
-
-function applyReview(mistake, rating) {
-  const now = new Date();
-  let interval = mistake.intervalDays || 0;
-  let ease = mistake.easiness || 2.5;
-  let streak = mistake.reviewStreak || 0;
-  const oldInterval = interval;
-
-  switch (rating) {
-    case "again":
-      interval = 1;
-      ease = Math.max(1.3, ease - 0.3);
-      streak = 0;
-      break;
-    case "hard":
-      interval = Math.max(1, Math.round(interval * 1.2) || 1);
-      ease = Math.max(1.3, ease - 0.15);
-      streak = 0;
-      break;
-    case "good":
-      interval = interval === 0 ? 1 : Math.max(1, Math.round(interval * ease));
-      streak += 1;
-      break;
-    case "easy":
-      interval = interval === 0 ? 2 : Math.max(2, Math.round(interval * (ease + 0.15)));
-      ease += 0.1;
-      streak += 1;
-      break;
-    default:
-      break;
-  }
-
-  const next = new Date(now.getTime() + interval * 24 * 60 * 60 * 1000);
-
-  return {
-    updated: {
-      ...mistake,
-      intervalDays: interval,
-      easiness: ease,
-      reviewStreak: streak,
-      lastReviewedAt: now.toISOString(),
-      nextReviewAt: next.toISOString(),
-    },
-    log: {
-      id: createId(),
-      mistakeId: mistake.id,
-      rating,
-      reviewedAt: now.toISOString(),
-      oldInterval,
-      newInterval: interval,
-    },
-  };
-}
-
-function loadFromStorage(key, fallback) {
-  if (typeof window === "undefined") return fallback;
-  try {
-    const raw = window.localStorage.getItem(key);
-    if (!raw) return fallback;
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-
-function saveToStorage(key, value) {
-  if (typeof window === "undefined") return;
-  try {
-    window.localStorage.setItem(key, JSON.stringify(value));
-  } catch {}
-}
-
 export default function App() {
   const [documentMetas, setDocumentMetas] = useState([]);
   const [mistakes, setMistakes] = useState([]);
   const [reviewLogs, setReviewLogs] = useState([]);
   const [loadedDocs, setLoadedDocs] = useState([]);
-  const [view, setView] = useState("workspace"); // workspace | review | dashboard
+  const [view, setView] = useState("workspace"); // workspace | review | dashboard | settings
   const [selectedPairId, setSelectedPairId] = useState("");
   const [selectedRole, setSelectedRole] = useState("with_handwriting");
   const [selectedPageIndex, setSelectedPageIndex] = useState(0);
   const [reviewIndex, setReviewIndex] = useState(0);
+  const [storedFiles, setStoredFiles] = useState([]);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  const online = useOnlineStatus();
+  // 新版本已下载好时的切换函数
+  const [applyUpdate, setApplyUpdate] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [reviewTags, setReviewTags] = useState([]);
+  // 自定义复习：{ name, affectSchedule, ids, index }，null 时为正常的到期复习
+  const [session, setSession] = useState(null);
+
+  const reportStorageError = (action, e) => {
+    console.error(e);
+    setStorageError(action + "：" + (e?.message || e));
+  };
+
+  // 逐条写入 IndexedDB，失败时在页面顶部提示
+  const persist = (promise, action = "保存到本地失败") =>
+    promise.catch((e) => reportStorageError(action, e));
+
+  const refreshStorageInfo = async () => {
+    try {
+      setStoredFiles(await listPdfFiles());
+      setStorageUsage(await estimateStorage());
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  // 从 IndexedDB 恢复 PDF，已经加载过的不重复创建
+  const restorePdfs = async (metas, isCanceled = () => false) => {
+    const restored = [];
+    for (const meta of metas) {
+      try {
+        const rec = await loadPdfFile(meta.fingerprint);
+        if (!rec) continue;
+        restored.push({
+          fingerprint: meta.fingerprint,
+          role: meta.role,
+          file: rec.blob,
+          url: URL.createObjectURL(rec.blob),
+          pageCount: meta.pageCount,
+        });
+      } catch (e) {
+        console.error(e);
+      }
+    }
+    if (isCanceled()) {
+      restored.forEach((d) => URL.revokeObjectURL(d.url));
+      return;
+    }
+    setLoadedDocs((prev) => {
+      const fresh = restored.filter(
+        (r) => !prev.some((d) => d.fingerprint === r.fingerprint && d.role === r.role)
+      );
+      restored
+        .filter((r) => !fresh.includes(r))
+        .forEach((r) => URL.revokeObjectURL(r.url));
+      return [...prev, ...fresh];
+    });
+    refreshStorageInfo();
+  };
 
-  // init
+  // init：读取本地数据（首次运行时会从旧版 localStorage 迁移），再恢复已上传的 PDF
   useEffect(() => {
-    setDocumentMetas(loadFromStorage(STORAGE_KEYS.documents, []));
-    setMistakes(loadFromStorage(STORAGE_KEYS.mistakes, []));
-    setReviewLogs(loadFromStorage(STORAGE_KEYS.reviews, []));
+    let canceled = false;
+    (async () => {
+      let data;
+      try {
+        data = await loadAllRecords();
+      } catch (e) {
+        reportStorageError("读取本地数据失败", e);
+        return;
+      }
+      if (canceled) return;
+      setDocumentMetas(data.documents);
+      setMistakes(data.mistakes);
+      setReviewLogs(data.reviews);
+      try {
+        setSettings(normalizeSettings(await loadSettings()));
+      } catch (e) {
+        reportStorageError("读取设置失败", e);
+      }
+      await restorePdfs(data.documents, () => canceled);
+    })();
+    requestPersistentStorage();
+    return () => {
+      canceled = true;
+    };
   }, []);
 
-  useEffect(() => saveToStorage(STORAGE_KEYS.documents, documentMetas), [documentMetas]);
-  useEffect(() => saveToStorage(STORAGE_KEYS.mistakes, mistakes), [mistakes]);
-  useEffect(() => saveToStorage(STORAGE_KEYS.reviews, reviewLogs), [reviewLogs]);
+  useEffect(() => {
+    registerServiceWorker({
+      extraUrls: [PDF_WORKER_URL],
+      onUpdateReady: (apply) => setApplyUpdate(() => apply),
+    });
+  }, []);
 
   const pairs = useMemo(() => {
     const map = new Map();
@@ -181,6 +279,136 @@ export default function App() {
   const getLoadedDoc = (fingerprint, role) =>
     loadedDocs.find((d) => d.fingerprint === fingerprint && d.role === role) || null;
 
+  // PDF 保存失败不影响本次使用，只是刷新后需要重新上传
+  const persistPdfFile = async (fingerprint, file) => {
+    await persist(savePdfFile(fingerprint, file), "PDF 未能保存到本地，刷新页面后需要重新上传");
+    refreshStorageInfo();
+  };
+
+  // 从本地移除某份 PDF 原文件（错题和配对信息保留，之后可重新上传）
+  const handleEvictDocument = async (fingerprint) => {
+    if (!window.confirm("确定要从本地移除这份 PDF 吗？错题记录会保留，之后需重新上传才能查看。")) {
+      return;
+    }
+    try {
+      await deletePdfFile(fingerprint);
+    } catch (e) {
+      console.error(e);
+      alert("移除本地 PDF 时出错：" + (e?.message || e));
+      return;
+    }
+    setLoadedDocs((prev) => {
+      prev
+        .filter((d) => d.fingerprint === fingerprint)
+        .forEach((d) => URL.revokeObjectURL(d.url));
+      return prev.filter((d) => d.fingerprint !== fingerprint);
+    });
+    closePdfDocument(fingerprint);
+    refreshStorageInfo();
+  };
+
+  const [importReport, setImportReport] = useState(null);
+  const [backupBusy, setBackupBusy] = useState(false);
+
+  // 导出整本错题本（含 PDF 原文件）
+  const handleExportBackup = async () => {
+    setBackupBusy(true);
+    try {
+      const blob = await buildBackupArchive({
+        documents: documentMetas,
+        mistakes,
+        reviews: reviewLogs,
+      });
+      downloadBlob(blob, "wrongbook-backup-" + timestampForFilename() + ".zip");
+    } catch (e) {
+      console.error(e);
+      alert("导出备份时出错：" + (e?.message || e));
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  // 导出 Anki 卡组：题目需要裁图，PDF 未加载的错题会被跳过
+  const handleExportAnki = async () => {
+    setBackupBusy(true);
+    try {
+      const { blob, count, skipped } = await buildAnkiPackage({
+        mistakes,
+        reviewLogs,
+        documentMetas,
+        getFileUrl: (fingerprint, role) => getLoadedDoc(fingerprint, role)?.url || null,
+        padding: settings.cropPadding,
+      });
+      if (!blob) {
+        alert("错题对应的 PDF 都没有加载，无法生成卡片。请先上传对应的试卷。");
+        return;
+      }
+      downloadBlob(blob, "wrongbook-anki-" + timestampForFilename() + ".apkg");
+      if (skipped.length > 0) {
+        alert(`已导出 ${count} 张卡片；另有 ${skipped.length} 道错题的 PDF 未加载，已跳过。`);
+      }
+    } catch (e) {
+      console.error(e);
+      alert("导出 Anki 卡组时出错：" + (e?.message || e));
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleExportCsv = () => {
+    downloadBlob(
+      buildCsvArchive(mistakes, reviewLogs, documentMetas),
+      "wrongbook-csv-" + timestampForFilename() + ".zip"
+    );
+  };
+
+  // 导入备份并与本地数据合并
+  const handleImportBackup = async (file) => {
+    if (!file) return;
+    setBackupBusy(true);
+    try {
+      const incoming = await readBackupArchive(file);
+      const stored = new Set(storedFiles.map((f) => f.fingerprint));
+      const merged = mergeBackup(
+        {
+          documents: documentMetas,
+          mistakes,
+          reviews: reviewLogs,
+          attachmentIds: await listAttachmentIds(),
+        },
+        incoming,
+        stored
+      );
+      for (const { fingerprint, file: pdf } of merged.files) {
+        await savePdfFile(fingerprint, pdf);
+      }
+      await importRecords(merged);
+
+      const data = await loadAllRecords();
+      setDocumentMetas(data.documents);
+      setMistakes(data.mistakes);
+      setReviewLogs(data.reviews);
+      await restorePdfs(data.documents);
+      const replaced = merged.conflicts.filter((c) => c.kept === "incoming").length;
+      setImportReport({
+        added: {
+          documents: merged.documents.length,
+          mistakes: merged.mistakes.length - replaced,
+          reviews: merged.reviews.length,
+          attachments: merged.attachments.length,
+          files: merged.files.length,
+        },
+        skipped: merged.skipped,
+        conflicts: merged.conflicts,
+      });
+    } catch (e) {
+      console.error(e);
+      alert("导入备份时出错：" + (e?.message || e));
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
   // 上传错题版
   const handleUploadWithHandwriting = async (file) => {
     if (!file) return;
@@ -192,9 +420,8 @@ export default function App() {
       const title = file.name.replace(/\.pdf$/i, "");
       const fingerprint = await hashFile(file);
       const url = URL.createObjectURL(file);
-      const pdf = await getDocument(url).promise;
-      const pageCount = pdf.numPages;
-      pdf.destroy();
+      // 文档留在共享缓存里，接下来显示第一页时不用再解析
+      const pageCount = await withPdfDocument(url, fingerprint, (pdf) => pdf.numPages);
 
       let meta = documentMetas.find(
         (d) => d.fingerprint === fingerprint && d.role === "with_handwriting"
@@ -203,18 +430,25 @@ export default function App() {
 
       if (!meta) {
         pairGroupId = createId();
-        meta = { fingerprint, title, pageCount, pairGroupId, role: "with_handwriting" };
+        meta = {
+          fingerprint,
+          title,
+          pageCount,
+          pairGroupId,
+          role: "with_handwriting",
+          addedAt: new Date().toISOString(),
+        };
         setDocumentMetas((prev) => [...prev, meta]);
       } else {
         pairGroupId = meta.pairGroupId;
+        meta = { ...meta, title, pageCount };
         setDocumentMetas((prev) =>
           prev.map((d) =>
-            d.fingerprint === fingerprint && d.role === "with_handwriting"
-              ? { ...d, title, pageCount }
-              : d
+            d.fingerprint === fingerprint && d.role === "with_handwriting" ? meta : d
           )
         );
       }
+      persist(putDocumentMeta(meta));
 
       setLoadedDocs((prev) => [
         ...prev.filter(
@@ -222,6 +456,7 @@ export default function App() {
         ),
         { fingerprint, role: "with_handwriting", file, url, pageCount },
       ]);
+      persistPdfFile(fingerprint, file);
 
       setSelectedPairId(pairGroupId);
       setSelectedRole("with_handwriting");
@@ -243,19 +478,20 @@ export default function App() {
       const fingerprint = await hashFile(file);
       const title = currentWithMeta.title + "（干净版）";
       const url = URL.createObjectURL(file);
-      const pdf = await getDocument(url).promise;
-      const pageCount = pdf.numPages;
-      pdf.destroy();
-
-      if (pageCount !== currentWithMeta.pageCount) {
-        alert("干净版 PDF 页数与错题版不一致，无法绑定。");
-        URL.revokeObjectURL(url);
-        return;
-      }
+      // 文档留在共享缓存里，接下来显示第一页时不用再解析
+      const pageCount = await withPdfDocument(url, fingerprint, (pdf) => pdf.numPages);
 
       let meta = documentMetas.find(
         (d) => d.fingerprint === fingerprint && d.role === "clean"
       );
+      const samePair = meta && meta.pairGroupId === currentWithMeta.pairGroupId;
+      // 页数不一致时先按页码一一对应，之后在“页码映射”里调整
+      const pageMap =
+        samePair && meta.pageMap
+          ? meta.pageMap
+          : pageCount !== currentWithMeta.pageCount
+          ? offsetPageMap(currentWithMeta.pageCount, pageCount, 0)
+          : null;
 
       if (!meta) {
         meta = {
@@ -264,40 +500,133 @@ export default function App() {
           pageCount,
           pairGroupId: currentWithMeta.pairGroupId,
           role: "clean",
+          pageMap,
+          addedAt: new Date().toISOString(),
         };
         setDocumentMetas((prev) => [...prev, meta]);
       } else {
+        meta = {
+          ...meta,
+          title,
+          pageCount,
+          pairGroupId: currentWithMeta.pairGroupId,
+          pageMap,
+          pageTransforms: samePair ? meta.pageTransforms : null,
+        };
         setDocumentMetas((prev) =>
-          prev.map((d) =>
-            d.fingerprint === fingerprint && d.role === "clean"
-              ? { ...d, title, pageCount, pairGroupId: currentWithMeta.pairGroupId }
-              : d
-          )
+          prev.map((d) => (d.fingerprint === fingerprint && d.role === "clean" ? meta : d))
         );
       }
+      persist(putDocumentMeta(meta));
 
       setLoadedDocs((prev) => [
         ...prev.filter((d) => !(d.fingerprint === fingerprint && d.role === "clean")),
         { fingerprint, role: "clean", file, url, pageCount },
       ]);
+      persistPdfFile(fingerprint, file);
+
+      if (pageCount !== currentWithMeta.pageCount && !samePair) {
+        alert(
+          "干净版有 " +
+            pageCount +
+            " 页，错题版有 " +
+            currentWithMeta.pageCount +
+            " 页。已暂按页码一一对应，请在自动对齐完成后到“页码映射”中确认对应关系。"
+        );
+      }
+
+      const withDoc = getLoadedDoc(currentWithMeta.fingerprint, "with_handwriting");
+      if (withDoc) handleAlignPair(meta, currentWithMeta.pageCount, withDoc.url, url);
     } catch (e) {
       console.error(e);
       alert("上传干净版 PDF 时出错：" + (e?.message || e));
     }
   };
 
-  const handleCreateMistake = (bbox) => {
+  const [alignProgress, setAlignProgress] = useState(null);
+  // 对齐一次只跑一组；进行中又请求的（上传干净版、保存页码映射）按干净版指纹排队，
+  // 同一份文档只保留最后一次请求
+  const aligningRef = useRef(false);
+  const alignQueueRef = useRef(new Map());
+
+  // 逐页估计错题版 → 干净版的变换，结果记在干净版文档上
+  const handleAlignPair = async (cleanMeta, withCount, withUrl, cleanUrl) => {
+    const { fingerprint, pairGroupId } = cleanMeta;
+    if (aligningRef.current) {
+      alignQueueRef.current.delete(fingerprint);
+      alignQueueRef.current.set(fingerprint, [cleanMeta, withCount, withUrl, cleanUrl]);
+      return;
+    }
+    aligningRef.current = true;
+    const pages = mappedPagePairs(cleanMeta, withCount);
+    const pageMapKey = JSON.stringify(cleanMeta.pageMap || null);
+    // 只并入对齐结果；对齐期间页码映射改过的话，这一轮是按旧映射算的，丢掉
+    const mergeTransforms = (pageTransforms) => (d) =>
+      JSON.stringify(d.pageMap || null) === pageMapKey ? { ...d, pageTransforms } : null;
+    setAlignProgress({ pairGroupId, done: 0, total: pages.length });
+    try {
+      const pageTransforms = await alignPages({
+        markedUrl: withUrl,
+        cleanUrl,
+        pages,
+        onProgress: (done, total) => setAlignProgress({ pairGroupId, done, total }),
+      });
+      const merge = mergeTransforms(pageTransforms);
+      setDocumentMetas((prev) =>
+        prev.map((d) => (d.fingerprint === fingerprint && d.role === "clean" ? merge(d) || d : d))
+      );
+      persist(updateDocumentMeta(fingerprint, "clean", merge));
+    } catch (e) {
+      console.error(e);
+      alert("页面对齐时出错：" + (e?.message || e));
+    } finally {
+      aligningRef.current = false;
+      setAlignProgress(null);
+      const queue = alignQueueRef.current;
+      const next = queue.values().next().value;
+      if (next) {
+        queue.delete(next[0].fingerprint);
+        handleAlignPair(...next);
+      }
+    }
+  };
+
+  // 保存页码映射；映射变了之前的对齐结果也随之失效，重新对齐（正在对齐时排在后面）
+  const handleSavePageMap = (cleanMeta, pageMap) => {
+    const withMeta = documentMetas.find(
+      (d) => d.pairGroupId === cleanMeta.pairGroupId && d.role === "with_handwriting"
+    );
+    const updated = { ...cleanMeta, pageMap };
+    // 一一对应时不必保存映射表
+    if (isIdentityMap(pageMap, cleanMeta.pageCount)) delete updated.pageMap;
+    setDocumentMetas((prev) =>
+      prev.map((d) => (d.fingerprint === updated.fingerprint && d.role === "clean" ? updated : d))
+    );
+    persist(putDocumentMeta(updated));
+
+    const withDoc = withMeta && getLoadedDoc(withMeta.fingerprint, "with_handwriting");
+    const cleanDoc = getLoadedDoc(updated.fingerprint, "clean");
+    if (withDoc && cleanDoc) {
+      handleAlignPair(updated, withMeta.pageCount, withDoc.url, cleanDoc.url);
+    }
+  };
+
+  const handleCreateMistake = (bbox, pageIndex = selectedPageIndex) => {
     if (!currentWithMeta) return;
     const cleanMeta = currentCleanMeta || null;
     const now = new Date();
-    const sched = scheduleInitial(now);
+    const sched = scheduleInitial(now, settings);
     const m = {
       id: createId(),
       pairGroupId: currentWithMeta.pairGroupId,
       originalFingerprint: currentWithMeta.fingerprint,
       cleanFingerprint: cleanMeta ? cleanMeta.fingerprint : null,
-      pageIndex: selectedPageIndex,
+      pageIndex,
       bbox,
+      // 有序的区域列表，跨页或多块的错题按住 Shift 框选追加
+      regions: [{ pageIndex, bbox }],
+      // 复习时遮住的答案区域（错题版页面上的归一化坐标，pageIndex 为所在页）
+      masks: [],
       title: "",
       note: "",
       tags: [],
@@ -309,16 +638,58 @@ export default function App() {
       reviewStreak: sched.reviewStreak,
     };
     setMistakes((prev) => [...prev, m]);
+    persist(putMistake(m));
+    return m;
   };
 
+  // 在最新状态上合并，同一轮渲染里对同一道题的几次修改（失焦保存笔记后紧接着改标签、
+  // 按住方向键微调等）不会互相覆盖
   const handleUpdateMistakeMeta = (id, patch) => {
     setMistakes((prev) => prev.map((m) => (m.id === id ? { ...m, ...patch } : m)));
+    persist(patchMistake(id, patch));
+  };
+
+  // 全局改名 / 合并 / 删除标签（错因改名也走这里）：只写改动的那个字段，
+  // 不会盖掉同时发生的复习、笔记等修改
+  const applyMistakeChanges = (changed, field, errorMessage) => {
+    if (changed.length === 0) return;
+    const patches = new Map(changed.map((m) => [m.id, { [field]: m[field] }]));
+    setMistakes((prev) =>
+      prev.map((m) => (patches.has(m.id) ? { ...m, ...patches.get(m.id) } : m))
+    );
+    persist(
+      Promise.all(Array.from(patches, ([id, patch]) => patchMistake(id, patch))),
+      errorMessage
+    );
+  };
+
+  const handleRenameTag = (from, to) =>
+    applyMistakeChanges(renameTag(mistakes, from, to), "tags", "标签修改保存失败");
+
+  const handleRemoveTag = (tag) => {
+    if (!window.confirm(`从所有错题中移除标签“${tag}”？`)) return;
+    applyMistakeChanges(removeTag(mistakes, tag), "tags", "标签修改保存失败");
+  };
+
+  // 错因分类在设置里维护；改名时同步到已填该错因的错题。
+  // 改名的是不在分类里的自定义错因时，新名字加进分类
+  const handleRenameCause = (from, to) => {
+    const target = normalizeCause(to);
+    if (!target || target === from) return;
+    const causes = settings.errorCauses || [];
+    let errorCauses;
+    if (causes.includes(target)) errorCauses = causes.filter((c) => c !== from);
+    else if (causes.includes(from)) errorCauses = causes.map((c) => (c === from ? target : c));
+    else errorCauses = [...causes, target];
+    handleUpdateSettings({ errorCauses });
+    applyMistakeChanges(renameCause(mistakes, from, target), "errorCause", "错因修改保存失败");
   };
 
   const handleDeleteMistake = (id) => {
     if (!window.confirm("确定要删除这条错题吗？")) return;
     setMistakes((prev) => prev.filter((m) => m.id !== id));
     setReviewLogs((prev) => prev.filter((r) => r.mistakeId !== id));
+    persist(deleteMistake(id), "删除错题失败");
   };
 
   const currentPairMistakes = useMemo(() => {
@@ -326,23 +697,115 @@ export default function App() {
     return mistakes.filter((m) => m.pairGroupId === currentPair.pairGroupId);
   }, [mistakes, currentPair]);
 
-  const dueMistakes = useMemo(() => mistakes.filter(isDue), [mistakes]);
+  const allTags = useMemo(() => collectTags(mistakes), [mistakes]);
+  const allCauses = useMemo(
+    () => collectCauses(mistakes, settings.errorCauses),
+    [mistakes, settings.errorCauses]
+  );
+
+  // 标签被改名或删除后，复习范围里不再存在的标签自动去掉
+  useEffect(() => {
+    setReviewTags((prev) => {
+      const next = prev.filter((t) => allTags.some((x) => x.tag === t));
+      return next.length === prev.length ? prev : next;
+    });
+  }, [allTags]);
+
+  // 学习 / 重学步长以分钟计，评了“完全忘”的卡片几分钟后又会到期：
+  // 在下一张卡片到期的时刻刷新 now，让它回到队列里
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const next = mistakes.reduce((min, m) => {
+      const t = m.nextReviewAt ? new Date(m.nextReviewAt).getTime() : NaN;
+      return t > now && t < min ? t : min;
+    }, Infinity);
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(next - now, DUE_CLOCK_MAX_DELAY));
+    return () => clearTimeout(timer);
+  }, [mistakes, now]);
+
+  const dueMistakes = useMemo(
+    () => mistakes.filter((m) => isDue(m, now) && matchesTags(m, reviewTags)),
+    [mistakes, reviewTags, now]
+  );
 
   useEffect(() => setReviewIndex(0), [dueMistakes.length]);
 
-  const currentReviewMistake = dueMistakes[reviewIndex] || null;
+  // 自定义复习的队列在开始时固定下来，评分后不会重新筛选
+  const sessionMistakes = useMemo(
+    () =>
+      session ? session.ids.map((id) => mistakes.find((m) => m.id === id)).filter(Boolean) : [],
+    [session, mistakes]
+  );
+
+  const currentReviewMistake = session
+    ? sessionMistakes[session.index] || null
+    : dueMistakes[reviewIndex] || null;
+  // 评分后接着显示的卡片（用于预取），通常是列表里的下一张
+  const upcomingReviewMistake = session
+    ? sessionMistakes[session.index + 1] || null
+    : dueMistakes.find((m, i) => i > reviewIndex) ||
+      dueMistakes.find((m) => m.id !== currentReviewMistake?.id) ||
+      null;
 
   const handleReview = (rating) => {
     if (!currentReviewMistake) return;
-    const { updated, log } = applyReview(currentReviewMistake, rating);
-    setMistakes((prev) => prev.map((m) => (m.id === updated.id ? updated : m)));
-    setReviewLogs((prev) => [...prev, log]);
-    setReviewIndex((i) => ((i + 1) < dueMistakes.length ? i + 1 : 0));
+    if (session && !session.affectSchedule) {
+      const log = practiceLog(currentReviewMistake, rating, settings);
+      setReviewLogs((prev) => [...prev, log]);
+      persist(putReviewLog(log), "复习记录保存失败");
+    } else {
+      const { updated, log } = applyReview(currentReviewMistake, rating, settings);
+      setMistakes((prev) => prev.map((m) => (m.id === updated.id ? updated : m)));
+      setReviewLogs((prev) => [...prev, log]);
+      persist(saveReview(updated, log), "复习记录保存失败");
+    }
+    if (session) {
+      setSession((s) => ({ ...s, index: s.index + 1 }));
+    } else {
+      setReviewIndex((i) => ((i + 1) < dueMistakes.length ? i + 1 : 0));
+    }
+  };
+
+  const handleStartSession = (criteria, name) => {
+    const queue = buildSessionQueue(mistakes, reviewLogs, criteria, {
+      pairOrder: pairs.map((p) => p.pairGroupId),
+    });
+    if (queue.length === 0) {
+      alert("没有符合条件的错题。");
+      return;
+    }
+    setSession({
+      name: name || "自定义复习",
+      affectSchedule: !!criteria.affectSchedule,
+      ids: queue.map((m) => m.id),
+      index: 0,
+    });
+  };
+
+  const handleSaveSessionPreset = (name, criteria) => {
+    const presets = settings.sessionPresets || [];
+    const existing = presets.find((p) => p.name === name);
+    handleUpdateSettings({
+      sessionPresets: existing
+        ? presets.map((p) => (p === existing ? { ...p, criteria } : p))
+        : [...presets, { id: createId(), name, criteria }],
+    });
+  };
+
+  const handleDeleteSessionPreset = (id) =>
+    handleUpdateSettings({
+      sessionPresets: (settings.sessionPresets || []).filter((p) => p.id !== id),
+    });
+
+  const handleUpdateSettings = (patch) => {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    persist(saveSettings(next), "设置保存失败");
   };
 
   const totalMistakeCount = mistakes.length;
   const dueCount = dueMistakes.length;
-  const todayStr = new Date().toISOString().slice(0, 10);
+  const todayStr = new Date(now).toISOString().slice(0, 10);
   const todayDoneCount = reviewLogs.filter(
     (log) => (log.reviewedAt || "").slice(0, 10) === todayStr
   ).length;
@@ -353,6 +816,14 @@ export default function App() {
         <div className="flex items-center gap-2">
           <span className="text-lg font-semibold">Wrongbook · Web</span>
           <span className="text-xs text-slate-400">PDF 错题本 + 间隔复习</span>
+          {!online && (
+            <span
+              title="数据都在本机，断网时照常使用"
+              className="px-1.5 py-0.5 rounded-full border border-slate-600 text-[10px] text-slate-300"
+            >
+              离线
+            </span>
+          )}
         </div>
         <nav className="flex gap-2 text-sm">
           <NavButton active={view === "workspace"} onClick={() => setView("workspace")}>
@@ -364,13 +835,46 @@ export default function App() {
           <NavButton active={view === "dashboard"} onClick={() => setView("dashboard")}>
             仪表盘
           </NavButton>
+          <NavButton active={view === "settings"} onClick={() => setView("settings")}>
+            设置
+          </NavButton>
         </nav>
       </header>
 
+      {applyUpdate && (
+        <div className="flex items-center justify-between gap-2 px-4 py-1.5 border-b border-sky-800 bg-sky-950/80 text-xs text-sky-200">
+          <span>新版本已下载，刷新后生效。</span>
+          <span className="flex gap-3 shrink-0">
+            <button onClick={applyUpdate} className="text-sky-100 hover:text-white font-semibold">
+              立即刷新
+            </button>
+            <button onClick={() => setApplyUpdate(null)} className="text-sky-300 hover:text-white">
+              稍后
+            </button>
+          </span>
+        </div>
+      )}
+
+      {storageError && (
+        <div className="flex items-center justify-between gap-2 px-4 py-1.5 border-b border-red-800 bg-red-950/80 text-xs text-red-200">
+          <span>{storageError}（最近的修改可能没有保存，请检查浏览器存储空间后刷新重试）</span>
+          <button
+            onClick={() => setStorageError(null)}
+            className="text-red-300 hover:text-white shrink-0"
+          >
+            关闭
+          </button>
+        </div>
+      )}
+
       <div className="flex-1 flex min-h-0">
         {view === "workspace" && (
           <WorkspaceView
             pairs={pairs}
+            mistakes={mistakes}
+            reviewLogs={reviewLogs}
+            allTags={allTags}
+            allCauses={allCauses}
             documentMetas={documentMetas}
             loadedDocs={loadedDocs}
             onUploadWithHandwriting={handleUploadWithHandwriting}
@@ -388,30 +892,104 @@ export default function App() {
             onUpdateMistakeMeta={handleUpdateMistakeMeta}
             onDeleteMistake={handleDeleteMistake}
             getLoadedDoc={getLoadedDoc}
+            alignProgress={alignProgress}
+            onAlignPair={handleAlignPair}
+            onSavePageMap={handleSavePageMap}
+            cropPadding={settings.cropPadding}
+            storedFiles={storedFiles}
+            storageUsage={storageUsage}
+            onEvictDocument={handleEvictDocument}
+            onExportBackup={handleExportBackup}
+            onImportBackup={handleImportBackup}
+            onExportAnki={handleExportAnki}
+            onExportCsv={handleExportCsv}
+            backupBusy={backupBusy}
           />
         )}
         {view === "review" && (
           <ReviewView
             current={currentReviewMistake}
-            index={reviewIndex}
-            total={dueMistakes.length}
+            upcoming={upcomingReviewMistake}
+            index={session ? session.index : reviewIndex}
+            total={session ? sessionMistakes.length : dueMistakes.length}
             onReview={handleReview}
+            session={session}
+            onEndSession={() => setSession(null)}
+            defaultFocus={settings.reviewFocus}
+            cropPadding={settings.cropPadding}
+            sessionBuilderProps={{
+              pairs,
+              documentMetas,
+              mistakes,
+              reviewLogs,
+              allTags,
+              presets: settings.sessionPresets || [],
+              onStart: handleStartSession,
+              onSavePreset: handleSaveSessionPreset,
+              onDeletePreset: handleDeleteSessionPreset,
+            }}
+            allTags={allTags}
+            reviewTags={reviewTags}
+            onChangeReviewTags={setReviewTags}
             documentMetas={documentMetas}
             getLoadedDoc={getLoadedDoc}
           />
         )}
         {view === "dashboard" && (
           <DashboardView
+            mistakes={mistakes}
+            reviewLogs={reviewLogs}
+            pairs={pairs}
+            documentMetas={documentMetas}
             totalMistakeCount={totalMistakeCount}
             dueCount={dueCount}
             todayDoneCount={todayDoneCount}
+            now={now}
+          />
+        )}
+        {view === "settings" && (
+          <SettingsView
+            settings={settings}
+            onUpdate={handleUpdateSettings}
+            reviewLogs={reviewLogs}
+            allTags={allTags}
+            onRenameTag={handleRenameTag}
+            onRemoveTag={handleRemoveTag}
+            allCauses={allCauses}
+            onRenameCause={handleRenameCause}
           />
         )}
       </div>
+
+      <datalist id="tag-suggestions">
+        {allTags.map((t) => (
+          <option key={t.tag} value={t.tag} />
+        ))}
+      </datalist>
+
+      {importReport && (
+        <ImportReportDialog report={importReport} onClose={() => setImportReport(null)} />
+      )}
     </div>
   );
 }
 
+function useOnlineStatus() {
+  const [online, setOnline] = useState(() =>
+    typeof navigator === "undefined" ? true : navigator.onLine
+  );
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+  return online;
+}
+
 function NavButton({ active, children, onClick }) {
   return (
     <button
@@ -430,6 +1008,10 @@ function NavButton({ active, children, onClick }) {
 function WorkspaceView(props) {
   const {
     pairs,
+    mistakes,
+    reviewLogs,
+    allTags,
+    allCauses,
     documentMetas,
     loadedDocs,
     onUploadWithHandwriting,
@@ -447,6 +1029,18 @@ function WorkspaceView(props) {
     onUpdateMistakeMeta,
     onDeleteMistake,
     getLoadedDoc,
+    alignProgress,
+    onAlignPair,
+    onSavePageMap,
+    cropPadding,
+    storedFiles,
+    storageUsage,
+    onEvictDocument,
+    onExportBackup,
+    onImportBackup,
+    onExportAnki,
+    onExportCsv,
+    backupBusy,
   } = props;
 
   const handleWithFileChange = (e) => {
@@ -471,6 +1065,357 @@ function WorkspaceView(props) {
     selectedMeta && getLoadedDoc(selectedMeta.fingerprint, selectedMeta.role);
   const pageCount = selectedMeta?.pageCount || 0;
 
+  const [candidates, setCandidates] = useState([]);
+  const [detectProgress, setDetectProgress] = useState(null);
+  const [sensitivity, setSensitivity] = useState("medium");
+  const [pageMapOpen, setPageMapOpen] = useState(false);
+  const [tagFilter, setTagFilter] = useState([]);
+  const [reflectionFilter, setReflectionFilter] = useState(DEFAULT_REFLECTION_FILTER);
+  const [reportPairId, setReportPairId] = useState(null);
+  const [worksheetOpen, setWorksheetOpen] = useState(false);
+  // 选中的错题及其中的一个区域（可拖动、缩放、方向键微调）；按住 Shift 框选会给它追加区域
+  // 拖动中的位置先放在 draftRect，松手再保存；方向键微调同样放在 draftRect，松开按键再保存
+  const [selectedMistakeId, setSelectedMistakeId] = useState(null);
+  const [selectedRegionIndex, setSelectedRegionIndex] = useState(0);
+  const [draftRect, setDraftRect] = useState(null);
+  // 按住方向键连续微调时的最新位置 { id, rect }，两次重绘之间也能接着累加
+  const nudgeRef = useRef(null);
+  const [snapping, setSnapping] = useState(false);
+  // 长按错题框后要滚到眼前的错题卡 { id, at }
+  const [revealRequest, setRevealRequest] = useState(null);
+  // 正在编辑遮挡区域的错题
+  const [maskEditingId, setMaskEditingId] = useState(null);
+  // 连续滚动：所有页面上下排开，可在任意一页上框选
+  const [continuous, setContinuous] = useState(false);
+  const maskEditing = currentPairMistakes.find((m) => m.id === maskEditingId) || null;
+  const editingMasksOn = (pageIndex) =>
+    !!maskEditing &&
+    selectedRole === "with_handwriting" &&
+    mistakeRegions(maskEditing).some((r) => r.pageIndex === pageIndex);
+  const editingMasksHere = editingMasksOn(selectedPageIndex);
+  // 某页上的遮挡，i 为在 masks 中的下标
+  const pageMasksOn = (pageIndex) =>
+    editingMasksOn(pageIndex)
+      ? (maskEditing.masks || [])
+          .map((r, i) => ({ r, i }))
+          .filter(({ r }) => maskPage(maskEditing, r) === pageIndex)
+      : [];
+
+  const updateMasks = (masks) => onUpdateMistakeMeta(maskEditing.id, { masks });
+
+  // 某页在错题版中的页码（查看干净版时按页码映射反查）
+  const markedPageOf = (pageIndex) =>
+    selectedRole === "clean"
+      ? toMarkedPage(currentCleanMeta, pageIndex, currentWithMeta?.pageCount || 0)
+      : pageIndex;
+  const currentMarkedPage = markedPageOf(selectedPageIndex);
+
+  // 切换错题版 / 干净版时按页码映射换算当前页
+  const switchRole = (role) => {
+    if (role === selectedRole) return;
+    if (role === "clean") {
+      const j = toCleanPage(currentCleanMeta, selectedPageIndex);
+      setSelectedPageIndex(j ?? 0);
+    } else if (currentMarkedPage != null) {
+      setSelectedPageIndex(currentMarkedPage);
+    }
+    setSelectedRole(role);
+  };
+
+  useEffect(() => setCandidates([]), [selectedPairId]);
+
+  const loadedWithDoc =
+    currentWithMeta && getLoadedDoc(currentWithMeta.fingerprint, "with_handwriting");
+  const loadedCleanDoc = currentCleanMeta && getLoadedDoc(currentCleanMeta.fingerprint, "clean");
+  const canDetect = !!(loadedWithDoc && loadedCleanDoc) && !detectProgress;
+
+  // 自动识别：对比错题版与干净版，候选框交给用户确认
+  const handleDetect = async (allPages) => {
+    if (!canDetect) return;
+    const pages = mappedPagePairs(currentCleanMeta, currentWithMeta.pageCount).filter(
+      (p) => allPages || p.markedIndex === currentMarkedPage
+    );
+    if (pages.length === 0) {
+      alert("干净版中没有与这一页对应的页面，请先检查页码映射。");
+      return;
+    }
+    const pageIndices = pages.map((p) => p.markedIndex);
+    setDetectProgress({ done: 0, total: pages.length });
+    try {
+      const found = await detectHandwriting({
+        markedUrl: loadedWithDoc.url,
+        cleanUrl: loadedCleanDoc.url,
+        cleanMeta: currentCleanMeta,
+        pages,
+        sensitivity,
+        onProgress: (done, total) => setDetectProgress({ done, total }),
+      });
+      setCandidates((prev) => [
+        ...prev.filter((c) => !pageIndices.includes(c.pageIndex)),
+        ...found,
+      ]);
+      if (found.length === 0) alert("没有发现明显的笔迹差异。");
+    } catch (e) {
+      console.error(e);
+      alert("自动识别时出错：" + (e?.message || e));
+    } finally {
+      setDetectProgress(null);
+    }
+  };
+
+  const handleAcceptCandidates = () => {
+    const accepted = candidates.filter((c) => c.selected);
+    accepted.forEach((c) => onCreateMistake(c.bbox, c.pageIndex));
+    setCandidates((prev) => prev.filter((c) => !c.selected));
+  };
+
+  const alignedPages = currentCleanMeta?.pageTransforms
+    ? Object.values(currentCleanMeta.pageTransforms).filter((t) => t.matrix).length
+    : 0;
+  const aligningThisPair =
+    alignProgress && alignProgress.pairGroupId === currentCleanMeta?.pairGroupId;
+
+  // 在干净版上显示时，把错题版坐标换算过去
+  const toSelectedRole = (bbox, markedPage = currentMarkedPage) =>
+    selectedRole === "clean"
+      ? mapBbox(bbox, getPageTransform(currentCleanMeta, markedPage))
+      : bbox;
+
+  const updateCandidate = (id, patch) =>
+    setCandidates((prev) => prev.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+
+  const selectRegion = (id, index) => {
+    setSelectedMistakeId(id);
+    setSelectedRegionIndex(index);
+  };
+
+  const activeMistake = currentPairMistakes.find((m) => m.id === selectedMistakeId) || null;
+  const activeRegions = activeMistake ? mistakeRegions(activeMistake) : [];
+  // 只有区域在当前页上（连续滚动时在任意页上）时才能直接编辑
+  const activeRegion = activeRegions[selectedRegionIndex];
+  const selectedRegion =
+    selectedRole === "with_handwriting" &&
+    activeRegion &&
+    !editingMasksOn(activeRegion.pageIndex) &&
+    (continuous || activeRegion.pageIndex === selectedPageIndex)
+      ? activeRegion
+      : null;
+
+  useEffect(() => {
+    flushNudge();
+    setDraftRect(null);
+  }, [selectedMistakeId, selectedRegionIndex]);
+
+  const updateRegions = (m, regions) => onUpdateMistakeMeta(m.id, withRegions(m, regions));
+
+  const setRegionBbox = (m, index, bbox) =>
+    updateRegions(
+      m,
+      mistakeRegions(m).map((r, k) => (k === index ? { ...r, bbox } : r))
+    );
+
+  // 编辑框的 id 为 “错题 id#区域下标”
+  const regionKey = (id, index) => id + "#" + index;
+  const parseRegionKey = (key) => {
+    const at = key.lastIndexOf("#");
+    return { id: key.slice(0, at), index: parseInt(key.slice(at + 1), 10) };
+  };
+
+  const commitBbox = (key, bbox) => {
+    const { id, index } = parseRegionKey(key);
+    const m = currentPairMistakes.find((x) => x.id === id);
+    setDraftRect(null);
+    if (m) setRegionBbox(m, index, bbox);
+  };
+
+  const flushNudge = () => {
+    const nudge = nudgeRef.current;
+    nudgeRef.current = null;
+    if (nudge) commitBbox(nudge.id, nudge.rect);
+  };
+
+  const handleRectSelected = (bbox, e, pageIndex = selectedPageIndex) => {
+    if (e?.shiftKey && activeMistake) {
+      const regions = [...activeRegions, { pageIndex, bbox }];
+      updateRegions(activeMistake, regions);
+      setSelectedRegionIndex(regions.length - 1);
+      return;
+    }
+    const created = onCreateMistake(bbox, pageIndex);
+    if (created) selectRegion(created.id, 0);
+  };
+
+  // 平板上长按错题框：选中并把右侧对应的错题卡滚到眼前（被筛选掉的先清掉筛选）
+  const openMistakeCard = (id, index) => {
+    const m = currentPairMistakes.find((x) => x.id === id);
+    if (!m) return;
+    if (!matchesFilters(m)) {
+      setTagFilter([]);
+      setReflectionFilter(DEFAULT_REFLECTION_FILTER);
+    }
+    selectRegion(id, index);
+    setRevealRequest({ id, at: Date.now() });
+  };
+
+  const moveSelectedRegion = (delta) => {
+    const to = selectedRegionIndex + delta;
+    if (to < 0 || to >= activeRegions.length) return;
+    const regions = activeRegions.slice();
+    [regions[selectedRegionIndex], regions[to]] = [regions[to], regions[selectedRegionIndex]];
+    updateRegions(activeMistake, regions);
+    setSelectedRegionIndex(to);
+  };
+
+  const removeSelectedRegion = () => {
+    if (activeRegions.length < 2) return;
+    updateRegions(
+      activeMistake,
+      activeRegions.filter((_, k) => k !== selectedRegionIndex)
+    );
+    setSelectedRegionIndex(0);
+  };
+
+  // 方向键移动，Shift 加大步长，Alt + 方向键调整宽高，Esc 取消选择
+  useEffect(() => {
+    if (!selectedRegion) return undefined;
+    const handleKey = (e) => {
+      if (e.target.closest && e.target.closest("input, textarea, select")) return;
+      if (e.key === "Escape") {
+        setSelectedMistakeId(null);
+        return;
+      }
+      const dirs = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      const dir = dirs[e.key];
+      if (!dir) return;
+      e.preventDefault();
+      const step = e.shiftKey ? 0.01 : 0.002;
+      const id = regionKey(activeMistake.id, selectedRegionIndex);
+      const from = nudgeRef.current?.id === id ? nudgeRef.current.rect : selectedRegion.bbox;
+      const rect = resizeRect(from, e.altKey ? "se" : "move", dir[0] * step, dir[1] * step);
+      nudgeRef.current = { id, rect };
+      setDraftRect({ id, rect });
+    };
+    const handleKeyUp = (e) => {
+      if (e.key.startsWith("Arrow")) flushNudge();
+    };
+    window.addEventListener("keydown", handleKey);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", flushNudge);
+    return () => {
+      window.removeEventListener("keydown", handleKey);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", flushNudge);
+    };
+  });
+
+  const handleSnap = async () => {
+    if (!selectedRegion || !loadedWithDoc) return;
+    setSnapping(true);
+    try {
+      const canvas = await renderPage(
+        loadedWithDoc.url,
+        loadedWithDoc.fingerprint,
+        selectedRegion.pageIndex,
+        { width: 1200 }
+      );
+      const snapped = snapToContent(canvas, selectedRegion.bbox);
+      if (snapped) setRegionBbox(activeMistake, selectedRegionIndex, snapped);
+      else alert("框内没有找到内容。");
+    } catch (e) {
+      console.error(e);
+      alert("贴合内容失败：" + (e?.message || e));
+    } finally {
+      setSnapping(false);
+    }
+  };
+
+  const filtering = tagFilter.length > 0 || isReflectionFiltered(reflectionFilter);
+  const matchesFilters = (m) => matchesTags(m, tagFilter) && matchesReflection(m, reflectionFilter);
+  const visiblePairs = pairs.filter(
+    (p) =>
+      !filtering ||
+      p.pairGroupId === selectedPairId ||
+      mistakes.some((m) => m.pairGroupId === p.pairGroupId && matchesFilters(m))
+  );
+  const visibleMistakes = currentPairMistakes.filter(matchesFilters);
+
+  // 缩略图角标：每页上有多少道错题（干净版按页码映射换算）
+  const pageMistakeCounts = Array.from({ length: pageCount }, (_, p) => {
+    const marked = markedPageOf(p);
+    if (marked == null) return 0;
+    return currentPairMistakes.filter((m) =>
+      mistakeRegions(m).some((r) => r.pageIndex === marked)
+    ).length;
+  });
+
+  // 第 pageIndex 页上的框选、遮挡、错题框和识别候选（单页和连续滚动共用）
+  const overlayPropsFor = (pageIndex) => {
+    const editable = selectedRole === "with_handwriting";
+    const editingMasks = editingMasksOn(pageIndex);
+    const pageMasks = pageMasksOn(pageIndex);
+    const markedPage = markedPageOf(pageIndex);
+    return {
+      onRectSelected: editingMasks
+        ? (bbox) => updateMasks([...(maskEditing.masks || []), { ...bbox, pageIndex }])
+        : (bbox, e) => handleRectSelected(bbox, e, pageIndex),
+      masks: pageMasks.map(({ r }) => r),
+      onMaskChange: (k, bbox) =>
+        updateMasks(
+          maskEditing.masks.map((r, i) => (i === pageMasks[k].i ? { ...bbox, pageIndex } : r))
+        ),
+      onMaskRemove: (k) =>
+        updateMasks(maskEditing.masks.filter((_, i) => i !== pageMasks[k].i)),
+      highlightRects:
+        (editable && !editingMasks) || markedPage == null
+          ? []
+          : currentPairMistakes.flatMap((m) =>
+              mistakeRegions(m)
+                .filter((r) => r.pageIndex === markedPage)
+                .map((r) => toSelectedRole(r.bbox, markedPage))
+            ),
+      editableHighlights:
+        editable && !editingMasks
+          ? currentPairMistakes.flatMap((m) => {
+              const regions = mistakeRegions(m);
+              return regions
+                .map((r, i) => ({ r, i }))
+                .filter(({ r }) => r.pageIndex === pageIndex)
+                .map(({ r, i }) => {
+                  const id = regionKey(m.id, i);
+                  return {
+                    id,
+                    rect: draftRect && draftRect.id === id ? draftRect.rect : r.bbox,
+                    label: regions.length > 1 ? String(i + 1) : null,
+                  };
+                });
+            })
+          : [],
+      selectedHighlightId: selectedRegion
+        ? regionKey(activeMistake.id, selectedRegionIndex)
+        : null,
+      onHighlightSelect: (key) => {
+        const { id, index } = parseRegionKey(key);
+        if (selectedRegion && id === activeMistake.id && index === selectedRegionIndex) {
+          setSelectedMistakeId(null);
+        } else {
+          selectRegion(id, index);
+        }
+      },
+      onHighlightChange: (id, rect) => setDraftRect({ id, rect }),
+      onHighlightCommit: commitBbox,
+      onHighlightLongPress: (key) => {
+        const { id, index } = parseRegionKey(key);
+        openMistakeCard(id, index);
+      },
+      candidates: editable ? candidates.filter((c) => c.pageIndex === pageIndex) : [],
+      onCandidateToggle: (id) =>
+        updateCandidate(id, {
+          selected: !candidates.find((c) => c.id === id)?.selected,
+        }),
+      onCandidateChange: (id, bbox) => updateCandidate(id, { bbox }),
+    };
+  };
+
   return (
     <div className="flex flex-1 min-h-0">
       <aside className="w-72 border-r border-slate-800 bg-slate-900/60 p-3 flex flex-col gap-3">
@@ -488,44 +1433,79 @@ function WorkspaceView(props) {
             <span>文档配对</span>
             <span className="text-[10px] text-slate-500">先选错题版，再补充干净版</span>
           </div>
-          <div className="space-y-1 max-h-40 overflow-auto pr-1">
-            {pairs.length === 0 && (
+          {allTags.length > 0 && (
+            <TagFilterBar
+              allTags={allTags}
+              value={tagFilter}
+              onChange={setTagFilter}
+              className="mb-1.5"
+            />
+          )}
+          {mistakes.length > 0 && (
+            <ReflectionFilterBar
+              allCauses={allCauses}
+              value={reflectionFilter}
+              onChange={setReflectionFilter}
+              className="mb-1.5"
+            />
+          )}
+          <div className="space-y-1 max-h-40 overflow-auto pr-1">
+            {pairs.length === 0 && (
               <div className="text-xs text-slate-500">先上传一份错题版 PDF。</div>
             )}
-            {pairs.map((p) => {
+            {visiblePairs.map((p) => {
               const withMeta = documentMetas.find(
                 (d) => d.pairGroupId === p.pairGroupId && d.role === "with_handwriting"
               );
-              const pairMistakeCount = (props.mistakes || []).filter(
-                (m) => m.pairGroupId === p.pairGroupId
+              const pairMistakeCount = mistakes.filter(
+                (m) => m.pairGroupId === p.pairGroupId && matchesFilters(m)
               ).length;
               return (
-                <button
+                <div
                   key={p.pairGroupId}
-                  onClick={() => {
-                    setSelectedPairId(p.pairGroupId);
-                    setSelectedRole("with_handwriting");
-                    setSelectedPageIndex(0);
-                  }}
-                  className={`w-full text-left px-2 py-1 rounded border text-xs flex flex-col gap-0.5 ${
+                  className={`relative rounded border ${
                     selectedPairId === p.pairGroupId
                       ? "border-sky-500 bg-sky-500/10"
                       : "border-slate-700 hover:border-slate-500"
                   }`}
                 >
-                  <span className="font-medium text-slate-100 truncate">
-                    {withMeta?.title || p.title || "未命名文档"}
-                  </span>
-                  <span className="text-[10px] text-slate-400 flex justify-between">
-                    <span>
-                      {p.hasWith ? "错题版✓" : "错题版✗"} · {p.hasClean ? "干净版✓" : "干净版✗"}
+                  <button
+                    onClick={() => {
+                      setSelectedPairId(p.pairGroupId);
+                      setSelectedRole("with_handwriting");
+                      setSelectedPageIndex(0);
+                    }}
+                    className="w-full text-left px-2 py-1 text-xs flex flex-col gap-0.5"
+                  >
+                    <span className="font-medium text-slate-100 truncate pr-8">
+                      {withMeta?.title || p.title || "未命名文档"}
                     </span>
-                    <span>错题 {pairMistakeCount}</span>
-                  </span>
-                </button>
+                    <span className="text-[10px] text-slate-400 flex justify-between">
+                      <span>
+                        {p.hasWith ? "错题版✓" : "错题版✗"} · {p.hasClean ? "干净版✓" : "干净版✗"}
+                      </span>
+                      <span>错题 {pairMistakeCount}</span>
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => setReportPairId(p.pairGroupId)}
+                    title="错题分析报告"
+                    className="absolute top-1 right-1.5 text-[10px] text-slate-400 hover:text-sky-200"
+                  >
+                    报告
+                  </button>
+                </div>
               );
             })}
           </div>
+          {mistakes.length > 0 && (
+            <button
+              onClick={() => setWorksheetOpen(true)}
+              className="mt-1.5 w-full px-2 py-1 rounded border border-slate-700 text-[11px] text-slate-300 hover:border-slate-500"
+            >
+              导出错题重做卷（PDF）…
+            </button>
+          )}
         </div>
         {currentWithMeta && (
           <div>
@@ -540,6 +1520,17 @@ function WorkspaceView(props) {
             />
           </div>
         )}
+        <StoragePanel
+          documentMetas={documentMetas}
+          storedFiles={storedFiles}
+          storageUsage={storageUsage}
+          onEvict={onEvictDocument}
+          onExportBackup={onExportBackup}
+          onImportBackup={onImportBackup}
+          onExportAnki={onExportAnki}
+          onExportCsv={onExportCsv}
+          backupBusy={backupBusy}
+        />
       </aside>
 
       <main className="flex-1 flex min-h-0">
@@ -553,7 +1544,7 @@ function WorkspaceView(props) {
                     ? "bg-sky-600 border-sky-400 text-white"
                     : "border-slate-700 text-slate-300 hover:border-slate-500"
                 }`}
-                onClick={() => setSelectedRole("with_handwriting")}
+                onClick={() => switchRole("with_handwriting")}
               >
                 错题版
               </button>
@@ -563,11 +1554,93 @@ function WorkspaceView(props) {
                     ? "bg-emerald-600 border-emerald-400 text-white"
                     : "border-slate-700 text-slate-300 hover:border-slate-500"
                 }`}
-                onClick={() => setSelectedRole("clean")}
+                onClick={() => switchRole("clean")}
                 disabled={!currentCleanMeta}
               >
                 干净版
               </button>
+              {currentCleanMeta && (
+                <span className="flex items-center gap-1 ml-2 text-slate-400">
+                  <span>自动识别：</span>
+                  <select
+                    value={sensitivity}
+                    onChange={(e) => setSensitivity(e.target.value)}
+                    className="bg-slate-900 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100"
+                    title="灵敏度"
+                  >
+                    {Object.entries(SENSITIVITY_PRESETS).map(([key, preset]) => (
+                      <option key={key} value={key}>
+                        灵敏度 {preset.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleDetect(false)}
+                    disabled={!canDetect || currentMarkedPage == null}
+                    className="px-2 py-0.5 rounded-full border border-violet-500 text-violet-200 hover:bg-violet-500/20 disabled:opacity-40"
+                  >
+                    本页
+                  </button>
+                  <button
+                    onClick={() => handleDetect(true)}
+                    disabled={!canDetect}
+                    className="px-2 py-0.5 rounded-full border border-violet-500 text-violet-200 hover:bg-violet-500/20 disabled:opacity-40"
+                  >
+                    全部页
+                  </button>
+                  {detectProgress && (
+                    <span className="text-[10px] text-violet-300">
+                      识别中 {detectProgress.done}/{detectProgress.total}
+                    </span>
+                  )}
+                </span>
+              )}
+              {currentCleanMeta && (
+                <span className="flex items-center gap-1 ml-2 text-slate-400">
+                  {aligningThisPair ? (
+                    <span className="text-[10px] text-emerald-300">
+                      对齐中 {alignProgress.done}/{alignProgress.total}
+                    </span>
+                  ) : (
+                    <span
+                      className={`text-[10px] ${
+                        alignedPages < currentCleanMeta.pageCount
+                          ? "text-amber-300"
+                          : "text-slate-500"
+                      }`}
+                      title="干净版与错题版逐页对齐后，框选区域会按扫描的偏移 / 旋转 / 缩放换算"
+                    >
+                      已对齐 {alignedPages}/{currentCleanMeta.pageCount} 页
+                    </span>
+                  )}
+                  <button
+                    onClick={() =>
+                      onAlignPair(
+                        currentCleanMeta,
+                        currentWithMeta.pageCount,
+                        loadedWithDoc.url,
+                        loadedCleanDoc.url
+                      )
+                    }
+                    disabled={!loadedWithDoc || !loadedCleanDoc || !!alignProgress}
+                    className="px-2 py-0.5 rounded-full border border-emerald-600 text-emerald-200 hover:bg-emerald-500/20 disabled:opacity-40"
+                  >
+                    重新对齐
+                  </button>
+                  <button
+                    onClick={() => setPageMapOpen(true)}
+                    disabled={!!alignProgress}
+                    title={alignProgress ? "对齐完成后再调整页码映射" : undefined}
+                    className={`px-2 py-0.5 rounded-full border disabled:opacity-40 ${
+                      currentCleanMeta.pageCount !== currentWithMeta.pageCount
+                        ? "border-amber-500 text-amber-200 hover:bg-amber-500/20"
+                        : "border-slate-700 text-slate-300 hover:border-slate-500"
+                    }`}
+                  >
+                    页码映射
+                  </button>
+                </span>
+              )}
             </div>
             <div className="flex items-center gap-2 text-slate-400">
               <span>页码：</span>
@@ -585,9 +1658,75 @@ function WorkspaceView(props) {
                 className="w-14 bg-slate-900 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100"
               />
               <span>/ {pageCount || 0}</span>
+              <button
+                onClick={() => setContinuous((v) => !v)}
+                title="所有页面上下排开，可在任意一页上框选"
+                className={`ml-1 px-2 py-0.5 rounded-full border ${
+                  continuous
+                    ? "bg-slate-200 border-slate-200 text-slate-900"
+                    : "border-slate-700 text-slate-300 hover:border-slate-500"
+                }`}
+              >
+                连续滚动
+              </button>
             </div>
           </div>
 
+          {activeMistake && selectedRole === "with_handwriting" && !editingMasksHere && (
+            <div className="flex items-center gap-3 px-3 py-1 border-b border-slate-800 bg-amber-500/10 text-[11px] text-amber-100">
+              {selectedRegion ? (
+                <span>
+                  已选中错题框
+                  {activeRegions.length > 1 &&
+                    `（区域 ${selectedRegionIndex + 1} / ${activeRegions.length}）`}
+                  ：拖动移动，拖四角缩放；方向键微调（Shift 加大步长，Alt 调整大小）
+                </span>
+              ) : (
+                <span>已选中第 {activeMistake.pageIndex + 1} 页的错题</span>
+              )}
+              <span className="text-amber-200/70">按住 Shift 框选可为这道题追加区域（可跨页）</span>
+              {selectedRegion && activeRegions.length > 1 && (
+                <>
+                  <button
+                    onClick={() => moveSelectedRegion(-1)}
+                    disabled={selectedRegionIndex === 0}
+                    className="px-1.5 py-0.5 rounded border border-amber-400/60 hover:bg-amber-400/20 disabled:opacity-40"
+                  >
+                    前移
+                  </button>
+                  <button
+                    onClick={() => moveSelectedRegion(1)}
+                    disabled={selectedRegionIndex === activeRegions.length - 1}
+                    className="px-1.5 py-0.5 rounded border border-amber-400/60 hover:bg-amber-400/20 disabled:opacity-40"
+                  >
+                    后移
+                  </button>
+                  <button
+                    onClick={removeSelectedRegion}
+                    className="px-1.5 py-0.5 rounded border border-amber-400/60 hover:bg-amber-400/20"
+                  >
+                    移除此区域
+                  </button>
+                </>
+              )}
+              {selectedRegion && (
+                <button
+                  onClick={handleSnap}
+                  disabled={snapping}
+                  className="px-2 py-0.5 rounded border border-amber-400/60 hover:bg-amber-400/20 disabled:opacity-50"
+                >
+                  {snapping ? "贴合中…" : "贴合内容"}
+                </button>
+              )}
+              <button
+                onClick={() => setSelectedMistakeId(null)}
+                className="ml-auto text-amber-200 hover:text-white"
+              >
+                取消选择（Esc）
+              </button>
+            </div>
+          )}
+
           <div className="flex-1 flex items-center justify-center bg-slate-950 min-h-0">
             {!selectedMeta && (
               <div className="text-xs text-slate-500">
@@ -600,327 +1739,3579 @@ function WorkspaceView(props) {
               </div>
             )}
             {selectedMeta && loadedDoc && (
-              <PdfPageViewer
-                key={loadedDoc.url + "-" + selectedPageIndex}
-                fileUrl={loadedDoc.url}
-                pageIndex={selectedPageIndex}
-                interactive={selectedRole === "with_handwriting"}
-                onRectSelected={onCreateMistake}
-                highlightRects={currentPairMistakes
-                  .filter((m) => m.pageIndex === selectedPageIndex)
-                  .map((m) => m.bbox)}
-              />
+              <>
+                <PageThumbnailStrip
+                  key={loadedDoc.url}
+                  fileUrl={loadedDoc.url}
+                  fingerprint={loadedDoc.fingerprint}
+                  pageCount={pageCount}
+                  current={selectedPageIndex}
+                  counts={pageMistakeCounts}
+                  onSelect={setSelectedPageIndex}
+                />
+                <div className="flex-1 h-full min-w-0">
+                  {continuous ? (
+                    <PdfScrollViewer
+                      key={loadedDoc.url}
+                      fileUrl={loadedDoc.url}
+                      fingerprint={loadedDoc.fingerprint}
+                      pageCount={pageCount}
+                      pageIndex={selectedPageIndex}
+                      onPageChange={setSelectedPageIndex}
+                      interactive={selectedRole === "with_handwriting"}
+                      overlayPropsFor={overlayPropsFor}
+                    />
+                  ) : (
+                    <PdfPageViewer
+                      fileUrl={loadedDoc.url}
+                      fingerprint={loadedDoc.fingerprint}
+                      pageIndex={selectedPageIndex}
+                      interactive={selectedRole === "with_handwriting"}
+                      {...overlayPropsFor(selectedPageIndex)}
+                    />
+                  )}
+                </div>
+              </>
             )}
           </div>
         </div>
 
         <aside className="w-80 border-l border-slate-800 bg-slate-900/60 p-3 flex flex-col min-h-0">
+          {candidates.length > 0 && (
+            <CandidatePanel
+              candidates={candidates}
+              onToggle={(id, selected) => updateCandidate(id, { selected })}
+              onSelectAll={(selected) =>
+                setCandidates((prev) => prev.map((c) => ({ ...c, selected })))
+              }
+              onAccept={handleAcceptCandidates}
+              onRejectSelected={() => setCandidates((prev) => prev.filter((c) => !c.selected))}
+              onJump={(pageIndex) => {
+                setSelectedRole("with_handwriting");
+                setSelectedPageIndex(pageIndex);
+              }}
+            />
+          )}
           <div className="text-xs font-semibold text-slate-200 mb-2">
-            本套卷错题（{currentPairMistakes.length}）
+            本套卷错题（
+            {filtering
+              ? `${visibleMistakes.length} / ${currentPairMistakes.length}`
+              : currentPairMistakes.length}
+            ）
           </div>
           <div className="flex-1 overflow-auto space-y-2 pr-1">
             {currentPairMistakes.length === 0 && (
               <div className="text-xs text-slate-500">
-                在 PDF 上拖拽框选错题区域即可创建错题卡。
+                在 PDF 上拖拽框选错题区域即可创建错题卡（平板上用笔框选，手指拖动翻看，长按错题框打开错题卡）。
               </div>
             )}
-            {currentPairMistakes
+            {filtering && currentPairMistakes.length > 0 && visibleMistakes.length === 0 && (
+              <div className="text-xs text-slate-500">没有符合筛选条件的错题。</div>
+            )}
+            {visibleMistakes
               .slice()
               .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
               .map((m) => (
                 <MistakeCard
                   key={m.id}
                   mistake={m}
-                  onUpdate={handleUpdateMistakeMeta}
+                  onUpdate={onUpdateMistakeMeta}
                   onDelete={onDeleteMistake}
+                  allCauses={allCauses}
+                  selected={m.id === activeMistake?.id}
+                  revealRequest={revealRequest?.id === m.id ? revealRequest : null}
+                  thumbFileUrl={loadedWithDoc?.url}
+                  cropPadding={cropPadding}
+                  maskEditing={m.id === maskEditingId}
+                  onToggleMaskEditing={() => {
+                    if (m.id === maskEditingId) {
+                      setMaskEditingId(null);
+                      return;
+                    }
+                    setMaskEditingId(m.id);
+                    setSelectedRole("with_handwriting");
+                    setSelectedPageIndex(m.pageIndex);
+                  }}
                   onJump={() => {
                     setSelectedPairId(m.pairGroupId);
                     setSelectedRole("with_handwriting");
                     setSelectedPageIndex(m.pageIndex);
+                    selectRegion(m.id, 0);
                   }}
                 />
               ))}
           </div>
         </aside>
       </main>
+
+      {reportPairId && (
+        <PairReportDialog
+          withMeta={documentMetas.find(
+            (d) => d.pairGroupId === reportPairId && d.role === "with_handwriting"
+          )}
+          mistakes={mistakes.filter((m) => m.pairGroupId === reportPairId)}
+          reviewLogs={reviewLogs}
+          onClose={() => setReportPairId(null)}
+        />
+      )}
+
+      {worksheetOpen && (
+        <WorksheetDialog
+          pairs={pairs}
+          mistakes={mistakes}
+          allTags={allTags}
+          documentMetas={documentMetas}
+          getLoadedDoc={getLoadedDoc}
+          cropPadding={cropPadding}
+          initialPairId={selectedPairId}
+          onClose={() => setWorksheetOpen(false)}
+        />
+      )}
+
+      {pageMapOpen && currentCleanMeta && loadedWithDoc && loadedCleanDoc && (
+        <PageMapEditor
+          withMeta={currentWithMeta}
+          cleanMeta={currentCleanMeta}
+          withUrl={loadedWithDoc.url}
+          cleanUrl={loadedCleanDoc.url}
+          onCancel={() => setPageMapOpen(false)}
+          onSave={(pageMap) => {
+            setPageMapOpen(false);
+            onSavePageMap(currentCleanMeta, pageMap);
+          }}
+        />
+      )}
     </div>
   );
 }
 
-function MistakeCard({ mistake, onUpdate, onDelete, onJump }) {
-  const [editingTitle, setEditingTitle] = useState(false);
-  const [editingNote, setEditingNote] = useState(false);
+// 单套试卷的错题分析报告，预览后可打印（另存为 PDF）或下载 HTML
+function PairReportDialog({ withMeta, mistakes, reviewLogs, onClose }) {
+  const frameRef = useRef(null);
+  const title = withMeta?.title || "未命名文档";
+  const html = useMemo(
+    () =>
+      renderReportHtml(
+        buildPairReport({ title, pageCount: withMeta?.pageCount, mistakes, reviewLogs })
+      ),
+    [title, withMeta, mistakes, reviewLogs]
+  );
+
+  const handleDownload = () =>
+    downloadBlob(
+      new Blob([html], { type: "text/html;charset=utf-8" }),
+      `${title}-错题报告-${timestampForFilename()}.html`
+    );
 
   return (
-    <div className="border border-slate-800 rounded-lg p-2 bg-slate-900/80 flex flex-col gap-1">
-      <div className="flex items-center justify-between gap-2">
-        <button
-          onClick={onJump}
-          className="text-xs font-semibold text-sky-300 hover:text-sky-100"
-        >
-          第 {mistake.pageIndex + 1} 页 · 错题
-        </button>
-        <button
-          onClick={() => onDelete(mistake.id)}
-          className="text-[10px] text-red-400 hover:text-red-200"
-        >
-          删除
-        </button>
-      </div>
-      <div>
-        {editingTitle ? (
-          <input
-            autoFocus
-            defaultValue={mistake.title}
-            onBlur={(e) => {
-              onUpdate(mistake.id, { title: e.target.value });
-              setEditingTitle(false);
-            }}
-            className="w-full bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100"
-          />
-        ) : (
-          <button
-            className="w-full text-left text-xs text-slate-200 break-words"
-            onClick={() => setEditingTitle(true)}
-          >
-            {mistake.title || <span className="text-slate-500">点击添加简要描述</span>}
-          </button>
-        )}
-      </div>
-      <div>
-        <div className="text-[10px] text-slate-500 mb-0.5">反思 / 解析：</div>
-        {editingNote ? (
-          <textarea
-            autoFocus
-            defaultValue={mistake.note}
-            rows={3}
-            onBlur={(e) => {
-              onUpdate(mistake.id, { note: e.target.value });
-              setEditingNote(false);
-            }}
-            className="w-full bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100 resize-none"
-          />
-        ) : (
-          <button
-            className="w-full text-left text-[11px] text-slate-300 whitespace-pre-wrap break-words min-h-[1.5em]"
-            onClick={() => setEditingNote(true)}
-          >
-            {mistake.note || (
-              <span className="text-slate-500">点击填写错误原因、正确解法要点</span>
-            )}
-          </button>
-        )}
-      </div>
-      <div className="text-[10px] text-slate-500 flex justify-between">
-        <span>下次复习：{mistake.nextReviewAt.slice(0, 10)}</span>
-        <span>间隔：{mistake.intervalDays} 天</span>
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-6">
+      <div className="w-full max-w-4xl h-full flex flex-col rounded-xl border border-slate-700 bg-slate-900 shadow-xl">
+        <div className="flex items-center justify-between px-4 py-2 border-b border-slate-800 text-xs">
+          <div className="text-sm font-semibold text-slate-100">{title} · 错题分析报告</div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => frameRef.current?.contentWindow?.print()}
+              className="px-2 py-1 rounded bg-sky-600 hover:bg-sky-500 text-white"
+            >
+              打印 / 存为 PDF
+            </button>
+            <button
+              onClick={handleDownload}
+              className="px-2 py-1 rounded border border-slate-700 text-slate-200 hover:border-slate-500"
+            >
+              下载 HTML
+            </button>
+            <button
+              onClick={onClose}
+              className="px-2 py-1 rounded border border-slate-700 text-slate-200 hover:border-slate-500"
+            >
+              关闭
+            </button>
+          </div>
+        </div>
+        <iframe
+          ref={frameRef}
+          title="错题分析报告"
+          srcDoc={html}
+          className="flex-1 w-full bg-white rounded-b-xl"
+        />
       </div>
     </div>
   );
 }
 
-function ReviewView({ current, index, total, onReview, documentMetas, getLoadedDoc }) {
-  const [showOriginal, setShowOriginal] = useState(false);
+// 错题重做卷：按试卷 / 标签 / 是否到期挑题，从干净版裁图排版成 PDF 下载
+function WorksheetDialog({
+  pairs,
+  mistakes,
+  allTags,
+  documentMetas,
+  getLoadedDoc,
+  cropPadding,
+  initialPairId,
+  onClose,
+}) {
+  const [options, setOptions] = useState(() => ({
+    ...DEFAULT_WORKSHEET_OPTIONS,
+    pairGroupId: initialPairId || "",
+  }));
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState("");
+  const update = (patch) => setOptions((prev) => ({ ...prev, ...patch }));
 
-  useEffect(() => setShowOriginal(false), [current?.id]);
+  const selected = useMemo(
+    () =>
+      selectWorksheetMistakes(mistakes, options, {
+        pairOrder: pairs.map((p) => p.pairGroupId),
+      }),
+    [mistakes, options, pairs]
+  );
 
-  if (!current || total === 0) {
-    return (
-      <div className="flex-1 flex items-center justify-center bg-slate-950">
-        <div className="text-xs text-slate-500">
-          暂无需要复习的错题。先在“错题管理”创建一些错题卡。
-        </div>
-      </div>
-    );
-  }
+  const pairTitle = (p) =>
+    documentMetas.find((d) => d.pairGroupId === p.pairGroupId && d.role === "with_handwriting")
+      ?.title ||
+    p.title ||
+    "未命名文档";
 
-  const cleanMeta =
-    current.cleanFingerprint &&
-    documentMetas.find(
-      (d) => d.fingerprint === current.cleanFingerprint && d.role === "clean"
-    );
-  const withMeta = documentMetas.find(
-    (d) => d.fingerprint === current.originalFingerprint && d.role === "with_handwriting"
-  );
+  const handleGenerate = async () => {
+    const pair = pairs.find((p) => p.pairGroupId === options.pairGroupId);
+    const title = (pair ? pairTitle(pair) + " · " : "") + "错题重做";
+    setMessage("");
+    setProgress({ done: 0, total: 1 });
+    try {
+      const { blob, count, skipped } = await buildWorksheetPdf({
+        mistakes: selected,
+        documentMetas,
+        getFileUrl: (fingerprint, role) => getLoadedDoc(fingerprint, role)?.url || null,
+        title,
+        workSpace: options.workSpace,
+        includeAnswers: options.includeAnswers,
+        padding: cropPadding,
+        onProgress: setProgress,
+      });
+      if (!blob) {
+        setMessage("所选错题的 PDF 都没有加载，无法生成。请先上传对应的试卷。");
+        return;
+      }
+      downloadBlob(blob, `${title}-${timestampForFilename()}.pdf`);
+      setMessage(
+        `已生成 ${count} 题。` +
+          (skipped.length ? `另有 ${skipped.length} 题的 PDF 未加载，已跳过。` : "")
+      );
+    } catch (e) {
+      console.error(e);
+      setMessage("生成失败：" + (e?.message || e));
+    } finally {
+      setProgress(null);
+    }
+  };
 
-  const preferClean = cleanMeta && !showOriginal;
-  const activeMeta = preferClean ? cleanMeta : withMeta;
-  const loadedDoc =
-    activeMeta && getLoadedDoc(activeMeta.fingerprint, activeMeta.role);
+  const inputClass =
+    "bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100";
 
   return (
-    <div className="flex-1 flex flex-col bg-slate-950">
-      <div className="flex items-center justify-between px-4 py-2 border-b border-slate-800 bg-slate-900/70 text-xs">
-        <div className="text-slate-300">
-          今日复习进度：{index + 1} / {total}
-        </div>
-        <div className="flex items-center gap-2 text-slate-400">
-          <span>显示：</span>
-          <button
-            className={`px-2 py-0.5 rounded-full border ${
-              !showOriginal
-                ? "bg-emerald-600 border-emerald-400 text-white"
-                : "border-slate-700 text-slate-300 hover:border-slate-500"
-            }`}
-            onClick={() => setShowOriginal(false)}
-            disabled={!cleanMeta}
-          >
-            干净版
-          </button>
-          <button
-            className={`px-2 py-0.5 rounded-full border ${
-              showOriginal
-                ? "bg-sky-600 border-sky-400 text-white"
-                : "border-slate-700 text-slate-300 hover:border-slate-500"
-            }`}
-            onClick={() => setShowOriginal(true)}
-            disabled={!withMeta}
-          >
-            原稿
-          </button>
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-6">
+      <div className="w-full max-w-lg rounded-xl border border-slate-700 bg-slate-900 shadow-xl p-4 text-xs text-slate-200 flex flex-col gap-3">
+        <div>
+          <div className="text-sm font-semibold text-slate-100">错题重做卷</div>
+          <div className="text-[11px] text-slate-400 mt-0.5">
+            从干净版裁出题目（没有干净版时用错题版），每题后留出作答空白，生成可打印的 PDF。
+          </div>
         </div>
-      </div>
 
-      <div className="flex-1 flex min-h-0">
-        <div className="flex-1 flex items-center justify-center">
-          {!activeMeta && (
-            <div className="text-xs text-slate-500">
-              当前错题关联的 PDF 未加载，请在“错题管理”中上传对应文档。
-            </div>
-          )}
-          {activeMeta && !loadedDoc && (
-            <div className="text-xs text-slate-500">
-              {activeMeta.role === "clean"
-                ? "干净版 PDF 未加载。"
-                : "错题版 PDF 未加载。"}
-            </div>
-          )}
-          {activeMeta && loadedDoc && (
-            <PdfPageViewer
-              fileUrl={loadedDoc.url}
-              pageIndex={current.pageIndex}
-              interactive={false}
-              highlightRects={[current.bbox]}
+        <label className="flex items-center justify-between gap-2">
+          <span>试卷</span>
+          <select
+            value={options.pairGroupId}
+            onChange={(e) => update({ pairGroupId: e.target.value })}
+            className={inputClass + " w-56"}
+          >
+            <option value="">全部试卷</option>
+            {pairs.map((p) => (
+              <option key={p.pairGroupId} value={p.pairGroupId}>
+                {pairTitle(p)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {allTags.length > 0 && (
+          <div className="flex items-start justify-between gap-2">
+            <span className="shrink-0">标签（含任一）</span>
+            <TagFilterBar
+              allTags={allTags}
+              value={options.tags}
+              onChange={(tags) => update({ tags })}
+              className="justify-end"
             />
-          )}
-        </div>
-
-        <aside className="w-80 border-l border-slate-800 bg-slate-900/70 p-3 flex flex-col gap-2">
-          <div className="text-xs font-semibold text-slate-200">回忆 & 反思</div>
-          <div className="text-xs text-slate-100 whitespace-pre-wrap bg-slate-950/70 border border-slate-800 rounded p-2 min-h-[64px]">
-            {current.title || <span className="text-slate-500">在错题管理中给这道题加一个标题。</span>}
-          </div>
-          <div className="text-[11px] text-slate-300 whitespace-pre-wrap bg-slate-950/70 border border-slate-800 rounded p-2 min-h-[80px]">
-            {current.note || (
-              <span className="text-slate-500">
-                解析 / 反思：错误原因、正确解法、易混点（在错题管理中填写）。
-              </span>
-            )}
           </div>
-
-          <div className="mt-auto">
-            <div className="text-[11px] text-slate-400 mb-1">记忆情况：</div>
-            <div className="grid grid-cols-2 gap-2 mb-2">
-              <button
-                onClick={() => onReview("again")}
-                className="px-2 py-1 rounded bg-red-600/80 hover:bg-red-600 text-xs text-white"
-              >
-                完全忘
-              </button>
-              <button
-                onClick={() => onReview("hard")}
-                className="px-2 py-1 rounded bg-orange-600/80 hover:bg-orange-600 text-xs text-white"
-              >
-                模糊
-              </button>
-              <button
-                onClick={() => onReview("good")}
-                className="px-2 py-1 rounded bg-emerald-600/80 hover:bg-emerald-600 text-xs text-white"
-              >
-                基本记
-              </button>
+        )}
+        <label className="flex items-center justify-between gap-2">
+          <span>只包含已到期的错题</span>
+          <input
+            type="checkbox"
+            checked={options.due === "due"}
+            onChange={(e) => update({ due: e.target.checked ? "due" : "all" })}
+          />
+        </label>
+        <div className="flex items-center justify-between gap-2">
+          <span>作答留白</span>
+          <span className="flex gap-1">
+            {Object.entries(WORK_SPACE_SIZES).map(([id, size]) => (
               <button
-                onClick={() => onReview("easy")}
-                className="px-2 py-1 rounded bg-sky-600/80 hover:bg-sky-600 text-xs text-white"
+                key={id}
+                onClick={() => update({ workSpace: id })}
+                className={`px-2 py-0.5 rounded-full border ${
+                  options.workSpace === id
+                    ? "bg-sky-600 border-sky-400 text-white"
+                    : "border-slate-700 text-slate-300 hover:border-slate-500"
+                }`}
               >
-                很熟
+                {size.label}
               </button>
-            </div>
-          </div>
-        </aside>
+            ))}
+          </span>
+        </div>
+        <label className="flex items-center justify-between gap-2">
+          <span>
+            附答案页
+            <span className="block text-[10px] text-slate-500">
+              卷末按同样编号附上错题版裁图和备注
+            </span>
+          </span>
+          <input
+            type="checkbox"
+            checked={options.includeAnswers}
+            onChange={(e) => update({ includeAnswers: e.target.checked })}
+          />
+        </label>
+
+        {message && <div className="text-[11px] text-amber-300">{message}</div>}
+
+        <div className="flex items-center justify-between border-t border-slate-800 pt-3">
+          <span className="text-slate-400">
+            {progress
+              ? `正在生成… ${progress.done} / ${progress.total}`
+              : `符合条件：${selected.length} 题`}
+          </span>
+          <span className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-3 py-1 rounded border border-slate-700 text-slate-200 hover:border-slate-500"
+            >
+              关闭
+            </button>
+            <button
+              onClick={handleGenerate}
+              disabled={selected.length === 0 || !!progress}
+              className="px-3 py-1 rounded bg-sky-600 hover:bg-sky-500 text-white disabled:opacity-50"
+            >
+              生成 PDF
+            </button>
+          </span>
+        </div>
       </div>
     </div>
   );
 }
 
-function DashboardView({ totalMistakeCount, dueCount, todayDoneCount }) {
+// 页码映射：错题版与干净版页数不一致（多了答题纸、少了封面等）时逐页指定对应关系
+function PageMapEditor({ withMeta, cleanMeta, withUrl, cleanUrl, onCancel, onSave }) {
+  const [pageMap, setPageMap] = useState(() =>
+    Array.from({ length: withMeta.pageCount }, (_, i) => toCleanPage(cleanMeta, i))
+  );
+  const [offset, setOffset] = useState(0);
+  const withThumbs = usePageThumbnails(withUrl, withMeta.fingerprint, withMeta.pageCount);
+  const cleanThumbs = usePageThumbnails(cleanUrl, cleanMeta.fingerprint, cleanMeta.pageCount);
+
+  const setRow = (i, value) =>
+    setPageMap((prev) => prev.map((j, k) => (k === i ? value : j)));
+
+  const usedCount = new Set(pageMap.filter((j) => j != null)).size;
+
   return (
-    <div className="flex-1 flex flex-col bg-slate-950 p-4 gap-4 text-xs text-slate-200">
-      <div className="grid grid-cols-3 gap-4">
-        <StatCard label="总错题数量" value={totalMistakeCount} />
-        <StatCard label="当前待复习" value={dueCount} />
-        <StatCard label="今日已复习" value={todayDoneCount} />
-      </div>
-      <div className="text-[10px] text-slate-500">
-        仪表盘精简版：后续可以在这里加折线图、热力图等可视化。
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-6">
+      <div className="w-full max-w-3xl max-h-full flex flex-col rounded-xl border border-slate-700 bg-slate-900 shadow-xl">
+        <div className="px-4 py-3 border-b border-slate-800">
+          <div className="text-sm font-semibold text-slate-100">页码映射</div>
+          <div className="text-[11px] text-slate-400 mt-0.5">
+            错题版 {withMeta.pageCount} 页 · 干净版 {cleanMeta.pageCount} 页 · 已对应
+            {usedCount} 页。没有对应页的错题在复习时只显示错题版。
+          </div>
+          <div className="flex items-center gap-2 mt-2 text-xs">
+            <span className="text-slate-400">整体偏移</span>
+            <input
+              type="number"
+              value={offset}
+              onChange={(e) => setOffset(parseInt(e.target.value, 10) || 0)}
+              className="w-16 px-2 py-1 rounded bg-slate-950 border border-slate-700 text-slate-100"
+            />
+            <button
+              onClick={() =>
+                setPageMap(offsetPageMap(withMeta.pageCount, cleanMeta.pageCount, offset))
+              }
+              className="px-2 py-1 rounded border border-slate-700 text-slate-200 hover:border-slate-500"
+            >
+              应用偏移
+            </button>
+            <button
+              onClick={() => {
+                setOffset(0);
+                setPageMap(offsetPageMap(withMeta.pageCount, cleanMeta.pageCount, 0));
+              }}
+              className="px-2 py-1 rounded border border-slate-700 text-slate-200 hover:border-slate-500"
+            >
+              恢复一一对应
+            </button>
+            <span className="text-[11px] text-slate-500">
+              例：干净版多一页封面时填 1
+            </span>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-2">
+          {pageMap.map((j, i) => (
+            <div
+              key={i}
+              className="flex items-center gap-3 rounded-lg border border-slate-800 bg-slate-950/60 p-2"
+            >
+              <PageThumb src={withThumbs[i]} label={`错题版 第 ${i + 1} 页`} />
+              <select
+                value={j == null ? "" : String(j)}
+                onChange={(e) =>
+                  setRow(i, e.target.value === "" ? null : parseInt(e.target.value, 10))
+                }
+                className="px-2 py-1 rounded bg-slate-950 border border-slate-700 text-xs text-slate-100"
+              >
+                <option value="">— 无 —</option>
+                {Array.from({ length: cleanMeta.pageCount }, (_, k) => (
+                  <option key={k} value={k}>
+                    干净版 第 {k + 1} 页
+                  </option>
+                ))}
+              </select>
+              {j != null ? (
+                <PageThumb src={cleanThumbs[j]} label={`干净版 第 ${j + 1} 页`} />
+              ) : (
+                <div className="w-24 text-[11px] text-slate-500">干净版无对应页</div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="px-4 py-3 border-t border-slate-800 flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 rounded-lg border border-slate-700 text-xs text-slate-200 hover:border-slate-500"
+          >
+            取消
+          </button>
+          <button
+            onClick={() => onSave(pageMap)}
+            className="px-3 py-1.5 rounded-lg bg-sky-600 text-xs text-white hover:bg-sky-500"
+          >
+            保存并重新对齐
+          </button>
+        </div>
       </div>
     </div>
   );
 }
 
-function StatCard({ label, value }) {
+function PageThumb({ src, label }) {
   return (
-    <div className="border border-slate-800 rounded-xl bg-slate-900/70 p-3 flex flex-col gap-1">
-      <div className="text-[11px] text-slate-400">{label}</div>
-      <div className="text-lg font-semibold text-slate-50">{value}</div>
+    <div className="flex flex-col items-center gap-1">
+      <div className="w-24 h-32 rounded border border-slate-700 bg-white overflow-hidden flex items-center justify-center">
+        {src ? (
+          <img src={src} alt={label} className="max-w-full max-h-full" />
+        ) : (
+          <span className="text-[10px] text-slate-400">加载中…</span>
+        )}
+      </div>
+      <span className="text-[10px] text-slate-400">{label}</span>
     </div>
   );
 }
 
-function PdfPageViewer({ fileUrl, pageIndex, interactive, onRectSelected, highlightRects }) {
+// 错题第一个区域的裁剪缩略图，渲染结果按区域缓存
+function useCropThumbnail(fileUrl, fingerprint, region, padding) {
+  const [url, setUrl] = useState(() => peekCropThumbnail(fingerprint, region, padding));
+  const key = JSON.stringify([fileUrl, fingerprint, region, padding]);
+
+  useEffect(() => {
+    setUrl(peekCropThumbnail(fingerprint, region, padding));
+    if (!fileUrl) return undefined;
+    let canceled = false;
+    getCropThumbnail(fileUrl, fingerprint, region, padding)
+      .then((u) => !canceled && setUrl(u))
+      .catch((e) => console.error(e));
+    return () => {
+      canceled = true;
+    };
+  }, [key]);
+
+  return url;
+}
+
+// 错题的附图：[{ ...元信息, url }]，url 为 object URL，换题或重新加载时释放；第二项为重新加载
+function useAttachments(mistakeId) {
+  const [items, setItems] = useState([]);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    setItems([]);
+    if (!mistakeId) return undefined;
+    let canceled = false;
+    let urls = [];
+    listAttachments(mistakeId)
+      .then((list) => {
+        if (canceled) return;
+        urls = list.map((a) => URL.createObjectURL(a.blob));
+        setItems(list.map(({ blob, ...meta }, i) => ({ ...meta, url: urls[i] })));
+      })
+      .catch((e) => console.error(e));
+    return () => {
+      canceled = true;
+      urls.forEach((u) => URL.revokeObjectURL(u));
+    };
+  }, [mistakeId, version]);
+
+  return [items, () => setVersion((v) => v + 1)];
+}
+
+function AttachmentList({ items, onRemove, large }) {
+  return (
+    <div className={large ? "flex flex-col gap-2" : "grid grid-cols-3 gap-1"}>
+      {items.map((a) => (
+        <div key={a.id} className="relative group rounded overflow-hidden bg-white">
+          <a href={a.url} target="_blank" rel="noreferrer" title={ATTACHMENT_KINDS[a.kind]}>
+            <img
+              src={a.url}
+              alt={a.name || ATTACHMENT_KINDS[a.kind]}
+              className={`block w-full object-contain ${large ? "max-h-72" : "h-16"}`}
+            />
+          </a>
+          {onRemove && (
+            <button
+              onClick={() => onRemove(a.id)}
+              className="absolute top-0 right-0 px-1 bg-slate-900/70 text-[10px] text-red-300 hover:text-red-100 opacity-0 group-hover:opacity-100"
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const SKETCH_WIDTH = 960;
+const SKETCH_HEIGHT = 640;
+const SKETCH_COLORS = ["#0f172a", "#dc2626", "#2563eb", "#059669"];
+const SKETCH_UNDO_LIMIT = 20;
+
+// 手绘草图：笔 / 橡皮，保存为 PNG
+function SketchDialog({ onSave, onCancel }) {
+  const canvasRef = useRef(null);
+  const strokeRef = useRef(null);
+  const historyRef = useRef([]);
+  const [tool, setTool] = useState("pen");
+  const [color, setColor] = useState(SKETCH_COLORS[0]);
+  const [thick, setThick] = useState(false);
+  const [canUndo, setCanUndo] = useState(false);
+
+  const clear = () => {
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, SKETCH_WIDTH, SKETCH_HEIGHT);
+  };
+
+  useEffect(() => {
+    clear();
+  }, []);
+
+  const pointFor = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * SKETCH_WIDTH,
+      y: ((e.clientY - rect.top) / rect.height) * SKETCH_HEIGHT,
+    };
+  };
+
+  const pushHistory = () => {
+    const ctx = canvasRef.current.getContext("2d");
+    historyRef.current.push(ctx.getImageData(0, 0, SKETCH_WIDTH, SKETCH_HEIGHT));
+    if (historyRef.current.length > SKETCH_UNDO_LIMIT) historyRef.current.shift();
+    setCanUndo(true);
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pushHistory();
+    strokeRef.current = pointFor(e);
+  };
+
+  const handlePointerMove = (e) => {
+    const last = strokeRef.current;
+    if (!last) return;
+    const p = pointFor(e);
+    const ctx = canvasRef.current.getContext("2d");
+    const eraser = tool === "eraser";
+    ctx.strokeStyle = eraser ? "#ffffff" : color;
+    ctx.lineWidth = eraser ? 24 : thick ? 6 : 2.5;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    ctx.moveTo(last.x, last.y);
+    ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+    strokeRef.current = p;
+  };
+
+  const endStroke = () => {
+    strokeRef.current = null;
+  };
+
+  const undo = () => {
+    const snapshot = historyRef.current.pop();
+    if (snapshot) canvasRef.current.getContext("2d").putImageData(snapshot, 0, 0);
+    setCanUndo(historyRef.current.length > 0);
+  };
+
+  const handleSave = () =>
+    canvasRef.current.toBlob((blob) => {
+      if (blob) onSave({ blob, width: SKETCH_WIDTH, height: SKETCH_HEIGHT });
+    }, "image/png");
+
+  const toolClass = (active) =>
+    `px-2 py-0.5 rounded-full border ${
+      active
+        ? "bg-sky-600 border-sky-400 text-white"
+        : "border-slate-700 text-slate-300 hover:border-slate-500"
+    }`;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-6">
+      <div className="w-full max-w-3xl rounded-xl border border-slate-700 bg-slate-900 shadow-xl p-3 flex flex-col gap-2 text-xs text-slate-200">
+        <div className="flex items-center gap-2">
+          <span className="text-sm font-semibold text-slate-100 mr-2">手绘</span>
+          <button onClick={() => setTool("pen")} className={toolClass(tool === "pen")}>
+            笔
+          </button>
+          <button onClick={() => setTool("eraser")} className={toolClass(tool === "eraser")}>
+            橡皮
+          </button>
+          <span className="flex gap-1 ml-2">
+            {SKETCH_COLORS.map((c) => (
+              <button
+                key={c}
+                onClick={() => {
+                  setColor(c);
+                  setTool("pen");
+                }}
+                className={`w-5 h-5 rounded-full border-2 ${
+                  color === c && tool === "pen" ? "border-sky-400" : "border-slate-700"
+                }`}
+                style={{ background: c }}
+              />
+            ))}
+          </span>
+          <button onClick={() => setThick((v) => !v)} className={toolClass(thick)}>
+            粗笔
+          </button>
+          <span className="ml-auto flex gap-2">
+            <button
+              onClick={undo}
+              disabled={!canUndo}
+              className="px-2 py-0.5 rounded border border-slate-700 hover:border-slate-500 disabled:opacity-40"
+            >
+              撤销
+            </button>
+            <button
+              onClick={() => {
+                pushHistory();
+                clear();
+              }}
+              className="px-2 py-0.5 rounded border border-slate-700 hover:border-slate-500"
+            >
+              清空
+            </button>
+          </span>
+        </div>
+        <canvas
+          ref={canvasRef}
+          width={SKETCH_WIDTH}
+          height={SKETCH_HEIGHT}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={endStroke}
+          onPointerCancel={endStroke}
+          className={`w-full rounded bg-white touch-none ${
+            tool === "eraser" ? "cursor-cell" : "cursor-crosshair"
+          }`}
+        />
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1 rounded border border-slate-700 text-slate-200 hover:border-slate-500"
+          >
+            取消
+          </button>
+          <button
+            onClick={handleSave}
+            className="px-3 py-1 rounded bg-sky-600 hover:bg-sky-500 text-white"
+          >
+            保存为附图
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// 逐页渲染缩略图（dataURL 数组，未渲染完的为 undefined）
+function usePageThumbnails(fileUrl, fingerprint, pageCount, width = 160) {
+  const [thumbs, setThumbs] = useState([]);
+
+  useEffect(() => {
+    if (!fileUrl) return undefined;
+    let canceled = false;
+    setThumbs([]);
+    (async () => {
+      try {
+        for (let i = 0; i < pageCount && !canceled; i++) {
+          const canvas = await withPdfDocument(fileUrl, fingerprint, (pdf) =>
+            renderPdfPage(pdf, i, { width })
+          );
+          const url = canvas.toDataURL("image/jpeg", 0.7);
+          if (canceled) break;
+          setThumbs((prev) => {
+            const next = prev.slice();
+            next[i] = url;
+            return next;
+          });
+        }
+      } catch (e) {
+        console.error(e);
+      }
+    })();
+    return () => {
+      canceled = true;
+    };
+  }, [fileUrl, fingerprint, pageCount, width]);
+
+  return thumbs;
+}
+
+const STRIP_THUMB_WIDTH = 96;
+
+// 工作区左侧的页面缩略图条，角标为该页的错题数，当前页滚动到可见处。
+// 缩略图只在滚到附近时才渲染、一次一张，几百页的扫描卷打开时不会一口气渲染全部页面
+function PageThumbnailStrip({ fileUrl, fingerprint, pageCount, current, counts, onSelect }) {
+  const [thumbs, setThumbs] = useState([]);
+  const scrollRef = useRef(null);
+  const currentRef = useRef(null);
+
+  useEffect(() => {
+    currentRef.current?.scrollIntoView({ block: "nearest" });
+  }, [current]);
+
+  useEffect(() => {
+    const root = scrollRef.current;
+    if (!root || typeof IntersectionObserver === "undefined") return undefined;
+    let canceled = false;
+    let running = false;
+    const wanted = new Set();
+    const started = new Set();
+    const pump = async () => {
+      if (running) return;
+      running = true;
+      while (!canceled && wanted.size > 0) {
+        const i = wanted.values().next().value;
+        wanted.delete(i);
+        if (started.has(i)) continue;
+        started.add(i);
+        try {
+          const canvas = await withPdfDocument(fileUrl, fingerprint, (pdf) =>
+            renderPdfPage(pdf, i, { width: STRIP_THUMB_WIDTH })
+          );
+          const url = canvas.toDataURL("image/jpeg", 0.7);
+          canvas.width = 0;
+          canvas.height = 0;
+          if (canceled) break;
+          setThumbs((prev) => {
+            const next = prev.slice();
+            next[i] = url;
+            return next;
+          });
+        } catch (e) {
+          if (!canceled) console.error(e);
+        }
+      }
+      running = false;
+    };
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          const i = Number(entry.target.dataset.page);
+          if (entry.isIntersecting) wanted.add(i);
+          else wanted.delete(i);
+        });
+        pump();
+      },
+      { root, rootMargin: "200px 0px" }
+    );
+    root.querySelectorAll("[data-page]").forEach((el) => observer.observe(el));
+    return () => {
+      canceled = true;
+      observer.disconnect();
+    };
+  }, [fileUrl, fingerprint, pageCount]);
+
+  return (
+    <div
+      ref={scrollRef}
+      className="w-24 h-full shrink-0 overflow-auto border-r border-slate-800 bg-slate-900/40 p-1.5 space-y-1.5"
+    >
+      {Array.from({ length: pageCount }, (_, i) => (
+        <button
+          key={i}
+          ref={i === current ? currentRef : null}
+          data-page={i}
+          onClick={() => onSelect(i)}
+          className={`relative block w-full rounded border overflow-hidden ${
+            i === current ? "border-sky-400" : "border-slate-700 hover:border-slate-500"
+          }`}
+        >
+          {thumbs[i] ? (
+            <img src={thumbs[i]} alt="" className="block w-full" />
+          ) : (
+            <div className="w-full aspect-[3/4] bg-slate-800/60" />
+          )}
+          <span className="absolute bottom-0 left-0 px-1 rounded-tr bg-slate-900/80 text-[10px] text-slate-300">
+            {i + 1}
+          </span>
+          {counts[i] > 0 && (
+            <span
+              title={`本页 ${counts[i]} 道错题`}
+              className="absolute top-0.5 right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-amber-500 text-[10px] leading-4 text-center font-semibold text-slate-900"
+            >
+              {counts[i]}
+            </span>
+          )}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function CandidatePanel({ candidates, onToggle, onSelectAll, onAccept, onRejectSelected, onJump }) {
+  const selectedCount = candidates.filter((c) => c.selected).length;
+
+  return (
+    <div className="mb-3 border border-violet-800/70 rounded-lg bg-violet-950/30 p-2 flex flex-col gap-1 max-h-72">
+      <div className="text-xs font-semibold text-violet-200 flex items-center justify-between">
+        <span>
+          识别候选（{selectedCount}/{candidates.length}）
+        </span>
+        <span className="flex gap-2 text-[10px] font-normal">
+          <button onClick={() => onSelectAll(true)} className="text-slate-300 hover:text-white">
+            全选
+          </button>
+          <button onClick={() => onSelectAll(false)} className="text-slate-300 hover:text-white">
+            全不选
+          </button>
+        </span>
+      </div>
+      <div className="text-[10px] text-slate-400">
+        点击框切换是否选中，拖动框或四角可调整位置和大小。
+      </div>
+      <div className="flex-1 overflow-auto space-y-0.5 pr-1">
+        {candidates
+          .slice()
+          .sort((a, b) => a.pageIndex - b.pageIndex || a.bbox.y - b.bbox.y)
+          .map((c) => (
+            <label
+              key={c.id}
+              className="flex items-center gap-2 text-[11px] text-slate-300 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={c.selected}
+                onChange={(e) => onToggle(c.id, e.target.checked)}
+              />
+              <button
+                onClick={(e) => {
+                  e.preventDefault();
+                  onJump(c.pageIndex);
+                }}
+                className="text-sky-300 hover:text-sky-100"
+              >
+                第 {c.pageIndex + 1} 页
+              </button>
+              <span className="text-slate-500">
+                {c.hasRed ? "红笔" : "笔迹"} · 密度 {(c.score * 100).toFixed(0)}%
+              </span>
+            </label>
+          ))}
+      </div>
+      <div className="flex gap-2 mt-1">
+        <button
+          onClick={onAccept}
+          disabled={selectedCount === 0}
+          className="flex-1 px-2 py-1 rounded bg-violet-600 hover:bg-violet-500 text-[11px] text-white disabled:opacity-50"
+        >
+          接受所选（{selectedCount}）
+        </button>
+        <button
+          onClick={onRejectSelected}
+          disabled={selectedCount === 0}
+          className="flex-1 px-2 py-1 rounded border border-slate-700 text-[11px] text-slate-300 hover:border-slate-500 disabled:opacity-50"
+        >
+          拒绝所选
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function StoragePanel({
+  documentMetas,
+  storedFiles,
+  storageUsage,
+  onEvict,
+  onExportBackup,
+  onImportBackup,
+  onExportAnki,
+  onExportCsv,
+  backupBusy,
+}) {
+  const storedTotal = storedFiles.reduce((sum, f) => sum + (f.size || 0), 0);
+  const importInputRef = useRef(null);
+
+  return (
+    <div className="mt-auto border-t border-slate-800 pt-2">
+      <div className="text-xs font-semibold text-slate-300 mb-1 flex items-center justify-between">
+        <span>本地存储</span>
+        <span className="text-[10px] text-slate-500">PDF 共 {formatBytes(storedTotal)}</span>
+      </div>
+      {storageUsage && storageUsage.quota > 0 && (
+        <div className="mb-1">
+          <div className="h-1 rounded bg-slate-800 overflow-hidden">
+            <div
+              className="h-full bg-sky-500"
+              style={{
+                width: Math.min(100, (storageUsage.usage / storageUsage.quota) * 100) + "%",
+              }}
+            />
+          </div>
+          <div className="text-[10px] text-slate-500 mt-0.5">
+            已用 {formatBytes(storageUsage.usage)} / 可用 {formatBytes(storageUsage.quota)}
+          </div>
+        </div>
+      )}
+      <div className="space-y-1 max-h-32 overflow-auto pr-1">
+        {storedFiles.length === 0 && (
+          <div className="text-[10px] text-slate-500">暂无保存在本地的 PDF。</div>
+        )}
+        {storedFiles.map((f) => {
+          const meta = documentMetas.find((d) => d.fingerprint === f.fingerprint);
+          const label = meta?.title || f.name || f.fingerprint.slice(0, 8);
+          return (
+            <div
+              key={f.fingerprint}
+              className="flex items-center justify-between gap-2 text-[10px] text-slate-400"
+            >
+              <span className="truncate" title={label}>
+                {label}
+              </span>
+              <span className="flex items-center gap-2 shrink-0">
+                <span>{formatBytes(f.size)}</span>
+                <button
+                  onClick={() => onEvict(f.fingerprint)}
+                  className="text-red-400 hover:text-red-200"
+                >
+                  移除
+                </button>
+              </span>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-2 mt-2">
+        <button
+          onClick={onExportBackup}
+          disabled={backupBusy}
+          className="flex-1 px-2 py-1 rounded border border-slate-700 text-[11px] text-slate-300 hover:border-slate-500 disabled:opacity-50"
+        >
+          导出备份
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          disabled={backupBusy}
+          className="flex-1 px-2 py-1 rounded border border-slate-700 text-[11px] text-slate-300 hover:border-slate-500 disabled:opacity-50"
+        >
+          导入备份
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) {
+              onImportBackup(file);
+              e.target.value = "";
+            }
+          }}
+        />
+      </div>
+      <div className="flex gap-2 mt-1.5">
+        <button
+          onClick={onExportAnki}
+          disabled={backupBusy}
+          title="每道错题一张卡，带上当前的复习间隔和下次复习时间"
+          className="flex-1 px-2 py-1 rounded border border-slate-700 text-[11px] text-slate-300 hover:border-slate-500 disabled:opacity-50"
+        >
+          导出 Anki 卡组
+        </button>
+        <button
+          onClick={onExportCsv}
+          disabled={backupBusy}
+          title="错题信息和复习记录各一份 CSV，打包成 zip"
+          className="flex-1 px-2 py-1 rounded border border-slate-700 text-[11px] text-slate-300 hover:border-slate-500 disabled:opacity-50"
+        >
+          导出 CSV
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ImportReportDialog({ report, onClose }) {
+  const { added, skipped, conflicts } = report;
+  const fieldLabels = {
+    nextReviewAt: "下次复习",
+    intervalDays: "间隔",
+    easiness: "难度系数",
+    reviewStreak: "连续记住",
+    lastReviewedAt: "上次复习",
+    pageIndex: "页码",
+    bbox: "框选区域",
+    regions: "区域",
+    masks: "遮挡区域",
+    title: "标题",
+    note: "解析",
+    tags: "标签",
+    errorCause: "错因",
+    questionDifficulty: "题目难度",
+    correctAnswer: "正确答案",
+    pageCount: "页数",
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60">
+      <div className="w-[480px] max-h-[80vh] flex flex-col border border-slate-700 rounded-xl bg-slate-900 p-4 text-xs text-slate-200">
+        <div className="text-sm font-semibold mb-2">备份导入完成</div>
+        <div className="text-slate-300 mb-1">
+          新增：文档 {added.documents} · 错题 {added.mistakes} · 复习记录 {added.reviews} · 附图{" "}
+          {added.attachments} · PDF {added.files}
+        </div>
+        <div className="text-slate-400 mb-2">
+          已存在（跳过）：文档 {skipped.documents} · 错题 {skipped.mistakes} · 复习记录{" "}
+          {skipped.reviews} · 附图 {skipped.attachments}
+        </div>
+        {conflicts.length > 0 && (
+          <>
+            <div className="text-amber-300 mb-1">冲突 {conflicts.length} 条：</div>
+            <div className="flex-1 overflow-auto space-y-1 pr-1">
+              {conflicts.map((c) => (
+                <div
+                  key={c.type + c.id}
+                  className="border border-slate-800 rounded p-1.5 bg-slate-950/70"
+                >
+                  <div className="text-slate-100 truncate">
+                    {c.type === "document" ? "文档" : "错题"} · {c.label || c.id}
+                  </div>
+                  <div className="text-[10px] text-slate-400">
+                    不一致：{c.fields.map((f) => fieldLabels[f] || f).join("、")}
+                  </div>
+                  {c.local && (
+                    <div className="text-[10px] text-slate-500">
+                      下次复习：本地 {(c.local.nextReviewAt || "-").slice(0, 10)} / 备份{" "}
+                      {(c.incoming.nextReviewAt || "-").slice(0, 10)}
+                    </div>
+                  )}
+                  <div className="text-[10px] text-slate-500">
+                    已保留：{c.kept === "incoming" ? "备份中的版本（复习更晚）" : "本地版本"}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        <div className="flex justify-end mt-3">
+          <button
+            onClick={onClose}
+            className="px-3 py-1 rounded bg-sky-600 hover:bg-sky-500 text-white"
+          >
+            好的
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function MistakeCard({
+  mistake,
+  onUpdate,
+  onDelete,
+  onJump,
+  allCauses,
+  selected,
+  thumbFileUrl,
+  cropPadding,
+  maskEditing,
+  onToggleMaskEditing,
+  revealRequest,
+}) {
+  const [editingTitle, setEditingTitle] = useState(false);
+  const [editingNote, setEditingNote] = useState(false);
+  const [editingAnswer, setEditingAnswer] = useState(false);
+  const [sketching, setSketching] = useState(false);
+  const [attachments, reloadAttachments] = useAttachments(mistake.id);
+  const imageInputRef = useRef(null);
+  const rootRef = useRef(null);
+  const maskCount = (mistake.masks || []).length;
+  const regions = mistakeRegions(mistake);
+  const pages = Array.from(new Set(regions.map((r) => r.pageIndex + 1))).sort((a, b) => a - b);
+  const thumbnail = useCropThumbnail(
+    thumbFileUrl,
+    mistake.originalFingerprint,
+    regions[0],
+    cropPadding
+  );
+
+  const saveAttachment = async (kind, image, name) => {
+    try {
+      await putAttachment(newAttachment(mistake.id, kind, image, name));
+    } catch (e) {
+      console.error(e);
+      alert("附图保存失败：" + (e?.message || e));
+    }
+    reloadAttachments();
+  };
+
+  const addImageFiles = async (files) => {
+    for (const file of files) {
+      try {
+        await saveAttachment("image", await prepareImage(file), file.name);
+      } catch (e) {
+        console.error(e);
+        alert("无法读取图片：" + (file.name || ""));
+      }
+    }
+  };
+
+  useEffect(() => {
+    if (revealRequest) rootRef.current?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [revealRequest]);
+
+  const handleRemoveAttachment = async (id) => {
+    if (!window.confirm("删除这张附图？")) return;
+    try {
+      await deleteAttachment(id);
+    } catch (e) {
+      console.error(e);
+    }
+    reloadAttachments();
+  };
+
+  // 卡片内任意位置粘贴 / 拖入图片都加为附图；粘贴的是文字时照常处理
+  const handlePaste = (e) => {
+    const files = imageFilesFrom(e.clipboardData);
+    if (files.length === 0) return;
+    e.preventDefault();
+    addImageFiles(files);
+  };
+  const handleDrop = (e) => {
+    const files = imageFilesFrom(e.dataTransfer);
+    if (files.length === 0) return;
+    e.preventDefault();
+    addImageFiles(files);
+  };
+
+  return (
+    <div
+      ref={rootRef}
+      onPaste={handlePaste}
+      onDragOver={(e) => {
+        if (Array.from(e.dataTransfer.types || []).includes("Files")) e.preventDefault();
+      }}
+      onDrop={handleDrop}
+      className={`border rounded-lg p-2 bg-slate-900/80 flex flex-col gap-1 ${
+        maskEditing ? "border-slate-400" : selected ? "border-amber-400/70" : "border-slate-800"
+      }`}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={onJump}
+          className="text-xs font-semibold text-sky-300 hover:text-sky-100"
+        >
+          第 {pages.join("、")} 页 · {regions.length > 1 ? `${regions.length} 个区域` : "错题"}
+        </button>
+        <button
+          onClick={() => onDelete(mistake.id)}
+          className="text-[10px] text-red-400 hover:text-red-200"
+        >
+          删除
+        </button>
+      </div>
+      {thumbnail && (
+        <button onClick={onJump} className="relative block rounded overflow-hidden bg-white">
+          <img src={thumbnail} alt="" className="block w-full max-h-32 object-contain" />
+          {regions.length > 1 && (
+            <span className="absolute bottom-0.5 right-0.5 px-1 rounded bg-slate-900/70 text-[10px] text-slate-200">
+              +{regions.length - 1}
+            </span>
+          )}
+        </button>
+      )}
+      <div>
+        {editingTitle ? (
+          <input
+            autoFocus
+            defaultValue={mistake.title}
+            onBlur={(e) => {
+              onUpdate(mistake.id, { title: e.target.value });
+              setEditingTitle(false);
+            }}
+            className="w-full bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100"
+          />
+        ) : (
+          <button
+            className="w-full text-left text-xs text-slate-200 break-words"
+            onClick={() => setEditingTitle(true)}
+          >
+            {mistake.title ? (
+              <MarkdownText source={mistake.title} inline />
+            ) : (
+              <span className="text-slate-500">点击添加简要描述</span>
+            )}
+          </button>
+        )}
+      </div>
+      <ReflectionEditor
+        mistake={mistake}
+        allCauses={allCauses}
+        onChange={(patch) => onUpdate(mistake.id, patch)}
+      />
+      <div>
+        <div className="text-[10px] text-slate-500 mb-0.5">正确答案：</div>
+        {editingAnswer ? (
+          <NoteEditor
+            value={mistake.correctAnswer}
+            onSave={(correctAnswer) => {
+              if (correctAnswer !== (mistake.correctAnswer || "")) {
+                onUpdate(mistake.id, { correctAnswer });
+              }
+              setEditingAnswer(false);
+            }}
+          />
+        ) : (
+          <div
+            role="button"
+            tabIndex={0}
+            className="w-full text-left text-[11px] text-emerald-200 min-h-[1.5em] cursor-text"
+            onClick={() => {
+              if (!window.getSelection()?.toString()) setEditingAnswer(true);
+            }}
+            onKeyDown={activateOnKey(() => setEditingAnswer(true))}
+          >
+            {mistake.correctAnswer ? (
+              <MarkdownText source={mistake.correctAnswer} />
+            ) : (
+              <span className="text-slate-500">点击填写正确答案（复习时揭晓后显示）</span>
+            )}
+          </div>
+        )}
+      </div>
+      <div>
+        <div className="text-[10px] text-slate-500 mb-0.5">反思 / 解析：</div>
+        {editingNote ? (
+          <NoteEditor
+            value={mistake.note}
+            onSave={(note) => {
+              if (note !== (mistake.note || "")) onUpdate(mistake.id, { note });
+              setEditingNote(false);
+            }}
+          />
+        ) : (
+          <div
+            role="button"
+            tabIndex={0}
+            className="w-full text-left text-[11px] text-slate-300 min-h-[1.5em] cursor-text"
+            onClick={() => {
+              // 选中文字（复制公式等）时不进入编辑，方便选择复制
+              if (!window.getSelection()?.toString()) setEditingNote(true);
+            }}
+            onKeyDown={activateOnKey(() => setEditingNote(true))}
+          >
+            {mistake.note ? (
+              <MarkdownText source={mistake.note} />
+            ) : (
+              <span className="text-slate-500">点击填写错误原因、正确解法要点</span>
+            )}
+          </div>
+        )}
+      </div>
+      <div>
+        <div className="flex items-center justify-between text-[10px] text-slate-500 mb-0.5">
+          <span>附图{attachments.length ? `（${attachments.length}）` : ""}：</span>
+          <span className="flex gap-2">
+            <button
+              onClick={() => imageInputRef.current?.click()}
+              className="text-slate-400 hover:text-sky-200"
+            >
+              添加图片
+            </button>
+            <button onClick={() => setSketching(true)} className="text-slate-400 hover:text-sky-200">
+              手绘
+            </button>
+          </span>
+        </div>
+        {attachments.length > 0 ? (
+          <AttachmentList items={attachments} onRemove={handleRemoveAttachment} />
+        ) : (
+          <div
+            tabIndex={0}
+            className="rounded border border-dashed border-slate-700 px-1 py-1 text-[10px] text-slate-500 outline-none focus:border-sky-500"
+          >
+            点此后粘贴，或把图片拖到卡片上
+          </div>
+        )}
+        <input
+          ref={imageInputRef}
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            const files = Array.from(e.target.files || []);
+            e.target.value = "";
+            addImageFiles(files);
+          }}
+        />
+      </div>
+      <TagEditor tags={mistake.tags || []} onChange={(tags) => onUpdate(mistake.id, { tags })} />
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={onToggleMaskEditing}
+          className={`px-1.5 py-0.5 rounded border text-[10px] ${
+            maskEditing
+              ? "bg-slate-200 border-slate-200 text-slate-900"
+              : "border-slate-700 text-slate-300 hover:border-slate-500"
+          }`}
+        >
+          {maskEditing ? "完成遮挡" : `遮挡答案${maskCount ? `（${maskCount}）` : ""}`}
+        </button>
+        {maskEditing && (
+          <span className="text-[10px] text-slate-400">在页面上框选要遮住的区域</span>
+        )}
+      </div>
+      <div className="text-[10px] text-slate-500 flex justify-between">
+        <span>下次复习：{mistake.nextReviewAt.slice(0, 10)}</span>
+        <span>间隔：{mistake.intervalDays} 天</span>
+      </div>
+      {sketching && (
+        <SketchDialog
+          onCancel={() => setSketching(false)}
+          onSave={async (image) => {
+            setSketching(false);
+            await saveAttachment("sketch", image);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+// 复习时一道错题显示哪份文档的哪些区域：有干净版且每个区域都能换算过去时优先看干净版
+function reviewSource(mistake, documentMetas, showOriginal) {
+  const pairedCleanMeta =
+    mistake.cleanFingerprint &&
+    documentMetas.find(
+      (d) => d.fingerprint === mistake.cleanFingerprint && d.role === "clean"
+    );
+  // 把错题版上的框换算到干净版；干净版没有对应页时返回 null
+  const toClean = (pageIndex, rect) => {
+    const cleanPage = toCleanPage(pairedCleanMeta, pageIndex);
+    if (cleanPage == null) return null;
+    const bbox = mapBbox(rect, getPageTransform(pairedCleanMeta, pageIndex));
+    return { pageIndex: cleanPage, bbox };
+  };
+  const regions = mistakeRegions(mistake);
+  const cleanRegions = pairedCleanMeta ? regions.map((r) => toClean(r.pageIndex, r.bbox)) : [];
+  // 有区域在干净版中没有对应页时只能看原稿
+  const cleanMeta = pairedCleanMeta && cleanRegions.every(Boolean) ? pairedCleanMeta : null;
+  const withMeta = documentMetas.find(
+    (d) => d.fingerprint === mistake.originalFingerprint && d.role === "with_handwriting"
+  );
+
+  const preferClean = cleanMeta && !showOriginal;
+  const activeMeta = preferClean ? cleanMeta : withMeta;
+  const showClean = activeMeta?.role === "clean";
+  const shownRegions = showClean ? cleanRegions : regions;
+  const shownMasks = (mistake.masks || [])
+    .map((mask) =>
+      showClean
+        ? toClean(maskPage(mistake, mask), mask)
+        : { pageIndex: maskPage(mistake, mask), bbox: mask }
+    )
+    .filter(Boolean);
+  return { pairedCleanMeta, cleanMeta, withMeta, activeMeta, shownRegions, shownMasks };
+}
+
+function ReviewView({
+  current,
+  upcoming,
+  index,
+  total,
+  onReview,
+  allTags,
+  reviewTags,
+  onChangeReviewTags,
+  session,
+  onEndSession,
+  sessionBuilderProps,
+  defaultFocus,
+  cropPadding,
+  documentMetas,
+  getLoadedDoc,
+}) {
+  const [showOriginal, setShowOriginal] = useState(false);
+  // 只显示题目区域 / 显示整页
+  const [focused, setFocused] = useState(defaultFocus);
+  const [revealed, setRevealed] = useState(false);
+  const [attachments] = useAttachments(current?.id);
+  const [builderOpen, setBuilderOpen] = useState(false);
+
+  useEffect(() => {
+    setShowOriginal(false);
+    setRevealed(false);
+  }, [current?.id]);
+
+  // 当前卡片显示出来后，提前打开下一张卡片的 PDF 并按它将要显示的方式渲染好
+  useEffect(() => {
+    if (!upcoming || upcoming.id === current?.id) return undefined;
+    const timer = setTimeout(() => {
+      const { activeMeta, shownRegions } = reviewSource(upcoming, documentMetas, false);
+      const doc = activeMeta && getLoadedDoc(activeMeta.fingerprint, activeMeta.role);
+      if (!doc) return;
+      if (!focused && shownRegions.length === 1) {
+        // 显示尺寸取决于窗口，先按裁剪用的宽度备好，查看器换页时先拉伸显示它
+        prefetchPage(doc.url, doc.fingerprint, shownRegions[0].pageIndex, {
+          width: cropTargetWidth(),
+        });
+        return;
+      }
+      shownRegions.forEach((r) =>
+        prefetchCrop(doc.url, doc.fingerprint, r.pageIndex, r.bbox, {
+          padding: focused ? cropPadding : 1,
+          targetWidth: cropTargetWidth(),
+        })
+      );
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [upcoming?.id, current?.id, focused, cropPadding]);
+
+  // 正常复习时可按标签限定范围；自定义复习时显示本轮信息
+  const scopeBar = (
+    <div className="flex items-center gap-2 px-4 py-1.5 border-b border-slate-800 bg-slate-900/40 text-xs">
+      {session ? (
+        <>
+          <span className="text-slate-200 font-medium">自定义复习：{session.name}</span>
+          <span className="text-[10px] text-slate-500">
+            {session.affectSchedule ? "评分计入排期" : "评分不影响排期"}
+          </span>
+          <button
+            onClick={onEndSession}
+            className="ml-auto px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500"
+          >
+            结束，回到今日复习
+          </button>
+        </>
+      ) : (
+        <>
+          {allTags.length > 0 && (
+            <>
+              <span className="text-slate-400 shrink-0">复习范围：</span>
+              <TagFilterBar allTags={allTags} value={reviewTags} onChange={onChangeReviewTags} />
+              {reviewTags.length === 0 && (
+                <span className="text-[10px] text-slate-500">全部标签</span>
+              )}
+            </>
+          )}
+          <button
+            onClick={() => setBuilderOpen(true)}
+            className="ml-auto shrink-0 px-2 py-0.5 rounded-full border border-slate-700 text-slate-300 hover:border-slate-500"
+          >
+            自定义复习…
+          </button>
+        </>
+      )}
+    </div>
+  );
+
+  const builder = builderOpen && (
+    <SessionBuilder
+      {...sessionBuilderProps}
+      onStart={(criteria, name) => {
+        setBuilderOpen(false);
+        sessionBuilderProps.onStart(criteria, name);
+      }}
+      onClose={() => setBuilderOpen(false)}
+    />
+  );
+
+  if (!current || total === 0) {
+    let message = "暂无需要复习的错题。先在“错题管理”创建一些错题卡。";
+    if (session) message = `本轮“${session.name}”已完成，共 ${total} 题。`;
+    else if (reviewTags.length > 0) message = "所选标签下暂无需要复习的错题。";
+    return (
+      <div className="flex-1 flex flex-col bg-slate-950">
+        {scopeBar}
+        <div className="flex-1 flex items-center justify-center text-xs text-slate-500">
+          {message}
+        </div>
+        {builder}
+      </div>
+    );
+  }
+
+  const { pairedCleanMeta, cleanMeta, withMeta, activeMeta, shownRegions, shownMasks } =
+    reviewSource(current, documentMetas, showOriginal);
+  const masks = current.masks || [];
+  // 有遮挡、附图或正确答案时先作答，点“显示答案”后才能评分
+  const hasAnswer = masks.length > 0 || attachments.length > 0 || !!current.correctAnswer;
+  const canRate = !hasAnswer || revealed;
+  const loadedDoc =
+    activeMeta && getLoadedDoc(activeMeta.fingerprint, activeMeta.role);
+
+  return (
+    <div className="flex-1 flex flex-col bg-slate-950">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-slate-800 bg-slate-900/70 text-xs">
+        <div className="text-slate-300">
+          {session ? "本轮进度" : "今日复习进度"}：{index + 1} / {total}
+        </div>
+        <div className="flex items-center gap-2 text-slate-400">
+          <span>显示：</span>
+          <button
+            className={`px-2 py-0.5 rounded-full border ${
+              !showOriginal
+                ? "bg-emerald-600 border-emerald-400 text-white"
+                : "border-slate-700 text-slate-300 hover:border-slate-500"
+            }`}
+            onClick={() => setShowOriginal(false)}
+            disabled={!cleanMeta}
+          >
+            干净版
+          </button>
+          <button
+            className={`px-2 py-0.5 rounded-full border ${
+              showOriginal
+                ? "bg-sky-600 border-sky-400 text-white"
+                : "border-slate-700 text-slate-300 hover:border-slate-500"
+            }`}
+            onClick={() => setShowOriginal(true)}
+            disabled={!withMeta}
+          >
+            原稿
+          </button>
+          {pairedCleanMeta && !cleanMeta && (
+            <span className="text-[11px] text-amber-300">干净版没有这一页</span>
+          )}
+          <span className="ml-2">范围：</span>
+          <button
+            className={`px-2 py-0.5 rounded-full border ${
+              focused
+                ? "bg-slate-200 border-slate-200 text-slate-900"
+                : "border-slate-700 text-slate-300 hover:border-slate-500"
+            }`}
+            onClick={() => setFocused(true)}
+          >
+            聚焦题目
+          </button>
+          <button
+            className={`px-2 py-0.5 rounded-full border ${
+              !focused
+                ? "bg-slate-200 border-slate-200 text-slate-900"
+                : "border-slate-700 text-slate-300 hover:border-slate-500"
+            }`}
+            onClick={() => setFocused(false)}
+          >
+            整页
+          </button>
+        </div>
+      </div>
+      {scopeBar}
+
+      <div className="flex-1 flex min-h-0">
+        <div className="flex-1 flex items-center justify-center">
+          {!activeMeta && (
+            <div className="text-xs text-slate-500">
+              当前错题关联的 PDF 未加载，请在“错题管理”中上传对应文档。
+            </div>
+          )}
+          {activeMeta && !loadedDoc && (
+            <div className="text-xs text-slate-500">
+              {activeMeta.role === "clean"
+                ? "干净版 PDF 未加载。"
+                : "错题版 PDF 未加载。"}
+            </div>
+          )}
+          {activeMeta && loadedDoc && focused && (
+            <RegionStack
+              fileUrl={loadedDoc.url}
+              fingerprint={loadedDoc.fingerprint}
+              regions={shownRegions}
+              masks={shownMasks}
+              masksRevealed={revealed}
+              padding={cropPadding}
+              fit
+            />
+          )}
+          {activeMeta && loadedDoc && !focused && shownRegions.length === 1 && (
+            <PdfPageViewer
+              fileUrl={loadedDoc.url}
+              fingerprint={loadedDoc.fingerprint}
+              pageIndex={shownRegions[0].pageIndex}
+              defaultFit="page"
+              interactive={false}
+              highlightRects={[shownRegions[0].bbox]}
+              masks={shownMasks
+                .filter((m) => m.pageIndex === shownRegions[0].pageIndex)
+                .map((m) => m.bbox)}
+              masksRevealed={revealed}
+            />
+          )}
+          {activeMeta && loadedDoc && !focused && shownRegions.length > 1 && (
+            <RegionStack
+              fileUrl={loadedDoc.url}
+              fingerprint={loadedDoc.fingerprint}
+              regions={shownRegions}
+              masks={shownMasks}
+              masksRevealed={revealed}
+              padding={1}
+            />
+          )}
+        </div>
+
+        <aside className="w-80 border-l border-slate-800 bg-slate-900/70 p-3 flex flex-col gap-2">
+          <div className="text-xs font-semibold text-slate-200">回忆 & 反思</div>
+          <div className="text-xs text-slate-100 bg-slate-950/70 border border-slate-800 rounded p-2 min-h-[64px]">
+            {current.title ? (
+              <MarkdownText source={current.title} inline />
+            ) : (
+              <span className="text-slate-500">在错题管理中给这道题加一个标题。</span>
+            )}
+          </div>
+          {(current.errorCause || current.questionDifficulty) && (
+            <div className="flex flex-wrap gap-1 text-[10px]">
+              {current.errorCause && (
+                <span className="px-1.5 py-0.5 rounded-full bg-amber-900/50 text-amber-200">
+                  错因：{current.errorCause}
+                </span>
+              )}
+              {current.questionDifficulty && (
+                <span className="px-1.5 py-0.5 rounded-full bg-slate-800 text-slate-300">
+                  难度：{difficultyLabel(current.questionDifficulty)}
+                </span>
+              )}
+            </div>
+          )}
+          <div className="text-[11px] text-slate-300 bg-slate-950/70 border border-slate-800 rounded p-2 min-h-[80px] overflow-auto">
+            {current.note ? (
+              <MarkdownText source={current.note} />
+            ) : (
+              <span className="text-slate-500">
+                解析 / 反思：错误原因、正确解法、易混点（在错题管理中填写）。
+              </span>
+            )}
+          </div>
+          {revealed && current.correctAnswer && (
+            <div className="text-[11px] text-emerald-100 bg-emerald-950/40 border border-emerald-800/60 rounded p-2 overflow-auto">
+              <div className="text-[10px] text-emerald-400 mb-0.5">正确答案：</div>
+              <MarkdownText source={current.correctAnswer} />
+            </div>
+          )}
+          {revealed && attachments.length > 0 && (
+            <div className="min-h-0 overflow-auto">
+              <div className="text-[10px] text-slate-500 mb-1">附图：</div>
+              <AttachmentList items={attachments} large />
+            </div>
+          )}
+
+          <div className="mt-auto">
+            {hasAnswer && !revealed && (
+              <button
+                onClick={() => setRevealed(true)}
+                className="w-full mb-2 px-2 py-1.5 rounded bg-slate-200 hover:bg-white text-xs font-semibold text-slate-900"
+              >
+                显示答案
+              </button>
+            )}
+            <div className="text-[11px] text-slate-400 mb-1">记忆情况：</div>
+            <div className="grid grid-cols-2 gap-2 mb-2">
+              <button
+                onClick={() => onReview("again")}
+                disabled={!canRate}
+                className="px-2 py-1 rounded bg-red-600/80 hover:bg-red-600 text-xs text-white disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                完全忘
+              </button>
+              <button
+                onClick={() => onReview("hard")}
+                disabled={!canRate}
+                className="px-2 py-1 rounded bg-orange-600/80 hover:bg-orange-600 text-xs text-white disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                模糊
+              </button>
+              <button
+                onClick={() => onReview("good")}
+                disabled={!canRate}
+                className="px-2 py-1 rounded bg-emerald-600/80 hover:bg-emerald-600 text-xs text-white disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                基本记
+              </button>
+              <button
+                onClick={() => onReview("easy")}
+                disabled={!canRate}
+                className="px-2 py-1 rounded bg-sky-600/80 hover:bg-sky-600 text-xs text-white disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                很熟
+              </button>
+            </div>
+          </div>
+        </aside>
+      </div>
+      {builder}
+    </div>
+  );
+}
+
+// 自定义复习：组合条件、预览题数，可保存为预设
+function SessionBuilder({
+  pairs,
+  documentMetas,
+  mistakes,
+  reviewLogs,
+  allTags,
+  presets,
+  onStart,
+  onSavePreset,
+  onDeletePreset,
+  onClose,
+}) {
+  const [criteria, setCriteria] = useState(DEFAULT_SESSION_CRITERIA);
+  const [name, setName] = useState("");
+  const update = (patch) => setCriteria((prev) => ({ ...prev, ...patch }));
+
+  const matchCount = useMemo(
+    () => buildSessionQueue(mistakes, reviewLogs, { ...criteria, order: "due" }).length,
+    [mistakes, reviewLogs, criteria]
+  );
+
+  const pairTitle = (p) =>
+    documentMetas.find((d) => d.pairGroupId === p.pairGroupId && d.role === "with_handwriting")
+      ?.title ||
+    p.title ||
+    "未命名文档";
+
+  const parsePage = (v) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) && n >= 1 ? n : null;
+  };
+
+  const inputClass =
+    "bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100";
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-6">
+      <div className="w-full max-w-lg rounded-xl border border-slate-700 bg-slate-900 shadow-xl p-4 text-xs text-slate-200 flex flex-col gap-3">
+        <div className="text-sm font-semibold text-slate-100">自定义复习</div>
+
+        {presets.length > 0 && (
+          <div className="flex flex-wrap items-center gap-1">
+            <span className="text-slate-400">预设：</span>
+            {presets.map((p) => (
+              <span
+                key={p.id}
+                className="flex items-center gap-1 px-1.5 py-0.5 rounded-full border border-slate-700"
+              >
+                <button
+                  onClick={() => {
+                    setCriteria(normalizeCriteria(p.criteria));
+                    setName(p.name);
+                  }}
+                  className="text-slate-100 hover:text-sky-200"
+                >
+                  {p.name}
+                </button>
+                <button
+                  onClick={() => onDeletePreset(p.id)}
+                  className="text-slate-500 hover:text-red-300"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        <label className="flex items-center justify-between gap-2">
+          <span>试卷</span>
+          <select
+            value={criteria.pairGroupId}
+            onChange={(e) => update({ pairGroupId: e.target.value })}
+            className={inputClass + " w-56"}
+          >
+            <option value="">全部试卷</option>
+            {pairs.map((p) => (
+              <option key={p.pairGroupId} value={p.pairGroupId}>
+                {pairTitle(p)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span>页码范围（错题版）</span>
+          <span className="flex items-center gap-1">
+            <input
+              type="number"
+              min={1}
+              placeholder="起"
+              value={criteria.pageFrom ?? ""}
+              onChange={(e) => update({ pageFrom: parsePage(e.target.value) })}
+              className={inputClass + " w-16"}
+            />
+            <span>—</span>
+            <input
+              type="number"
+              min={1}
+              placeholder="止"
+              value={criteria.pageTo ?? ""}
+              onChange={(e) => update({ pageTo: parsePage(e.target.value) })}
+              className={inputClass + " w-16"}
+            />
+          </span>
+        </label>
+        {allTags.length > 0 && (
+          <div className="flex items-start justify-between gap-2">
+            <span className="shrink-0">标签（含任一）</span>
+            <TagFilterBar
+              allTags={allTags}
+              value={criteria.tags}
+              onChange={(tags) => update({ tags })}
+              className="justify-end"
+            />
+          </div>
+        )}
+        <label className="flex items-center justify-between gap-2">
+          <span>最近几天内评过“完全忘”（0 为不限）</span>
+          <input
+            type="number"
+            min={0}
+            value={criteria.againWithinDays}
+            onChange={(e) =>
+              update({ againWithinDays: Math.max(0, parseInt(e.target.value || "0", 10)) })
+            }
+            className={inputClass + " w-16"}
+          />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span>只包含已到期的错题</span>
+          <input
+            type="checkbox"
+            checked={criteria.dueOnly}
+            onChange={(e) => update({ dueOnly: e.target.checked })}
+          />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span>顺序</span>
+          <select
+            value={criteria.order}
+            onChange={(e) => update({ order: e.target.value })}
+            className={inputClass + " w-40"}
+          >
+            {Object.entries(SESSION_ORDERS).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span>
+            评分计入正常排期
+            <span className="block text-[10px] text-slate-500">
+              不勾选时只记录本轮评分，不改变下次复习时间
+            </span>
+          </span>
+          <input
+            type="checkbox"
+            checked={criteria.affectSchedule}
+            onChange={(e) => update({ affectSchedule: e.target.checked })}
+          />
+        </label>
+
+        <div className="flex items-center gap-2 border-t border-slate-800 pt-3">
+          <input
+            value={name}
+            placeholder="名称（保存预设用）"
+            onChange={(e) => setName(e.target.value)}
+            className={inputClass + " flex-1"}
+          />
+          <button
+            onClick={() => onSavePreset(name.trim(), criteria)}
+            disabled={!name.trim()}
+            className="px-2 py-1 rounded border border-slate-700 text-slate-200 hover:border-slate-500 disabled:opacity-50"
+          >
+            保存为预设
+          </button>
+        </div>
+        <div className="flex items-center justify-between">
+          <span className="text-slate-400">符合条件：{matchCount} 题</span>
+          <span className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-3 py-1 rounded border border-slate-700 text-slate-200 hover:border-slate-500"
+            >
+              取消
+            </button>
+            <button
+              onClick={() => onStart(criteria, name.trim())}
+              disabled={matchCount === 0}
+              className="px-3 py-1 rounded bg-sky-600 hover:bg-sky-500 text-white disabled:opacity-50"
+            >
+              开始复习
+            </button>
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const RATING_COLORS = {
+  again: "bg-red-500",
+  hard: "bg-orange-500",
+  good: "bg-emerald-500",
+  easy: "bg-sky-500",
+};
+
+const HEAT_COLORS = [
+  "bg-slate-800",
+  "bg-emerald-900",
+  "bg-emerald-700",
+  "bg-emerald-500",
+  "bg-emerald-300",
+];
+
+function formatRate(rate) {
+  return rate == null ? "-" : Math.round(rate * 100) + "%";
+}
+
+function DashboardView({
+  mistakes,
+  reviewLogs,
+  pairs,
+  documentMetas,
+  totalMistakeCount,
+  dueCount,
+  todayDoneCount,
+  now,
+}) {
+  // 与复习队列用同一个时钟，“当前待复习”和各表里的到期数一致
+  const clock = useMemo(() => ({ now: new Date(now) }), [now]);
+  const heatmap = useMemo(() => reviewHeatmap(reviewLogs, clock), [reviewLogs, clock]);
+  const retention = useMemo(() => retentionByInterval(reviewLogs), [reviewLogs]);
+  const ratings = useMemo(() => ratingDistribution(reviewLogs, clock), [reviewLogs, clock]);
+  const forecast = useMemo(() => dueForecast(mistakes, clock), [mistakes, clock]);
+  const byPair = useMemo(
+    () => groupBreakdown(mistakes, reviewLogs, (m) => [m.pairGroupId], clock),
+    [mistakes, reviewLogs, clock]
+  );
+  const byTag = useMemo(
+    () =>
+      groupBreakdown(
+        mistakes,
+        reviewLogs,
+        (m) => (m.tags && m.tags.length ? m.tags : ["（无标签）"]),
+        clock
+      ),
+    [mistakes, reviewLogs, clock]
+  );
+  const byCause = useMemo(
+    () => groupBreakdown(mistakes, reviewLogs, (m) => [m.errorCause || ""], clock),
+    [mistakes, reviewLogs, clock]
+  );
+  // 难度按 1→5 排，未填的放最后
+  const byDifficulty = useMemo(
+    () =>
+      groupBreakdown(mistakes, reviewLogs, (m) => [m.questionDifficulty || 0], clock).sort(
+        (a, b) => (a.key || 6) - (b.key || 6)
+      ),
+    [mistakes, reviewLogs, clock]
+  );
+
+  const overall = retention.reduce(
+    (acc, b) => ({ total: acc.total + b.total, recalled: acc.recalled + b.recalled }),
+    { total: 0, recalled: 0 }
+  );
+  const forecastMax = Math.max(1, ...forecast.map((d) => d.count));
+  const ratingMax = Math.max(1, ...ratings.map((w) => w.total));
+
+  const pairTitle = (pairGroupId) => {
+    const pair = pairs.find((p) => p.pairGroupId === pairGroupId);
+    const withMeta = documentMetas.find(
+      (d) => d.pairGroupId === pairGroupId && d.role === "with_handwriting"
+    );
+    return withMeta?.title || pair?.title || "未命名文档";
+  };
+
+  const heatLevel = (count) =>
+    count === 0 ? 0 : Math.min(4, Math.ceil((count / Math.max(1, heatmap.max)) * 4));
+
+  return (
+    <div className="flex-1 overflow-auto bg-slate-950 p-4 text-xs text-slate-200">
+      <div className="flex flex-col gap-4 max-w-5xl">
+        <div className="grid grid-cols-4 gap-4">
+          <StatCard label="总错题数量" value={totalMistakeCount} />
+          <StatCard label="当前待复习" value={dueCount} />
+          <StatCard label="今日已复习" value={todayDoneCount} />
+          <StatCard
+            label="总体记忆保持率"
+            value={formatRate(overall.total ? overall.recalled / overall.total : null)}
+          />
+        </div>
+
+        <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3">
+          <div className="flex items-center justify-between mb-2">
+            <div className="text-sm font-semibold">复习日历</div>
+            <div className="text-[11px] text-slate-500">
+              最近 {heatmap.columns.length} 周共复习 {heatmap.total} 次
+            </div>
+          </div>
+          <div className="flex gap-[3px]">
+            {heatmap.columns.map((col, i) => (
+              <div key={i} className="flex flex-col gap-[3px]">
+                {col.map((day, j) =>
+                  day ? (
+                    <div
+                      key={j}
+                      title={`${day.date}：${day.count} 次`}
+                      className={"w-3 h-3 rounded-sm " + HEAT_COLORS[heatLevel(day.count)]}
+                    />
+                  ) : (
+                    <div key={j} className="w-3 h-3" />
+                  )
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+
+        <div className="grid grid-cols-2 gap-4">
+          <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3">
+            <div className="text-sm font-semibold mb-1">按间隔的记忆保持率</div>
+            <div className="text-[11px] text-slate-500 mb-2">
+              复习时距上次的间隔 · 没有评“完全忘”的比例
+            </div>
+            <div className="flex flex-col gap-1">
+              {retention.map((b) => (
+                <div key={b.label} className="flex items-center gap-2">
+                  <span className="w-16 shrink-0 text-slate-400">{b.label}</span>
+                  <div className="flex-1 h-3 rounded bg-slate-800 overflow-hidden">
+                    {b.rate != null && (
+                      <div className="h-full bg-emerald-500" style={{ width: b.rate * 100 + "%" }} />
+                    )}
+                  </div>
+                  <span className="w-10 text-right">{formatRate(b.rate)}</span>
+                  <span className="w-12 text-right text-[10px] text-slate-500">{b.total} 次</span>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3">
+            <div className="text-sm font-semibold mb-1">每周评分分布</div>
+            <div className="flex gap-2 text-[10px] text-slate-400 mb-2">
+              {Object.entries(RATING_LABELS).map(([id, label]) => (
+                <span key={id} className="flex items-center gap-1">
+                  <span className={"w-2 h-2 rounded-sm " + RATING_COLORS[id]} />
+                  {label}
+                </span>
+              ))}
+            </div>
+            <div className="flex items-end gap-1 h-32">
+              {ratings.map((w) => (
+                <div
+                  key={w.weekStart}
+                  title={`${w.weekStart} 起一周：${Object.entries(RATING_LABELS)
+                    .map(([id, label]) => `${label} ${w[id]}`)
+                    .join("，")}`}
+                  className="flex-1 flex flex-col-reverse rounded-sm overflow-hidden bg-slate-800/40"
+                  style={{ height: (w.total / ratingMax) * 100 + "%" }}
+                >
+                  {Object.keys(RATING_LABELS).map((id) => (
+                    <div
+                      key={id}
+                      className={RATING_COLORS[id]}
+                      style={{ height: w.total ? (w[id] / w.total) * 100 + "%" : 0 }}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+              <span>{ratings[0]?.weekStart}</span>
+              <span>本周</span>
+            </div>
+          </section>
+        </div>
+
+        <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3">
+          <div className="flex items-center justify-between mb-2">
+            <div className="text-sm font-semibold">未来 30 天到期预测</div>
+            <div className="text-[11px] text-slate-500">
+              共 {forecast.reduce((sum, d) => sum + d.count, 0)} 题，已过期的计入今天
+            </div>
+          </div>
+          <div className="flex items-end gap-[2px] h-28">
+            {forecast.map((d, i) => (
+              <div
+                key={d.date}
+                title={`${d.date}：${d.count} 题`}
+                className={`flex-1 rounded-t-sm ${i === 0 ? "bg-amber-500" : "bg-sky-600"}`}
+                style={{ height: (d.count / forecastMax) * 100 + "%" }}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+            <span>今天</span>
+            <span>{forecast[forecast.length - 1]?.date}</span>
+          </div>
+        </section>
+
+        <div className="grid grid-cols-2 gap-4">
+          <BreakdownTable title="按试卷" rows={byPair} labelOf={pairTitle} />
+          <BreakdownTable title="按标签" rows={byTag} labelOf={(key) => key} />
+          <BreakdownTable title="按错因" rows={byCause} labelOf={causeLabel} />
+          <BreakdownTable title="按题目难度" rows={byDifficulty} labelOf={difficultyLabel} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function BreakdownTable({ title, rows, labelOf }) {
+  return (
+    <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3">
+      <div className="text-sm font-semibold mb-2">{title}</div>
+      {rows.length === 0 ? (
+        <div className="text-[11px] text-slate-500">暂无数据</div>
+      ) : (
+        <table className="w-full text-[11px]">
+          <thead className="text-slate-400">
+            <tr>
+              <th className="text-left font-normal pb-1"></th>
+              <th className="text-right font-normal pb-1">错题</th>
+              <th className="text-right font-normal pb-1">待复习</th>
+              <th className="text-right font-normal pb-1">复习次数</th>
+              <th className="text-right font-normal pb-1">保持率</th>
+              <th className="text-right font-normal pb-1">平均间隔</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.key} className="border-t border-slate-800">
+                <td className="py-1 pr-2 max-w-[10rem] truncate">{labelOf(r.key)}</td>
+                <td className="text-right">{r.mistakes}</td>
+                <td className="text-right">{r.due}</td>
+                <td className="text-right">{r.reviews}</td>
+                <td className="text-right">{formatRate(r.retention)}</td>
+                <td className="text-right">{r.avgInterval.toFixed(1)} 天</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
+
+function SettingsView({
+  settings,
+  onUpdate,
+  reviewLogs,
+  allTags,
+  onRenameTag,
+  onRemoveTag,
+  allCauses,
+  onRenameCause,
+}) {
+  const [stepsText, setStepsText] = useState((settings.learningSteps || []).join(" "));
+  const [fitMessage, setFitMessage] = useState("");
+  const [fitting, setFitting] = useState(false);
+  const usesSteps = settings.scheduler !== "legacy";
+
+  useEffect(() => setStepsText((settings.learningSteps || []).join(" ")), [settings.learningSteps]);
+
+  const commitSteps = () => {
+    const steps = stepsText
+      .split(/[\s,，]+/)
+      .map((t) => parseFloat(t))
+      .filter((n) => Number.isFinite(n) && n > 0);
+    onUpdate({ learningSteps: steps });
+  };
+
+  const handleFit = () => {
+    setFitting(true);
+    setFitMessage("");
+    // 让按钮状态先渲染出来再开始计算
+    setTimeout(() => {
+      try {
+        const res = fitFsrsWeights(reviewLogs);
+        onUpdate({ fsrsWeights: res.weights, fsrsFittedAt: new Date().toISOString() });
+        setFitMessage(
+          "已根据 " +
+            res.cardCount +
+            " 道错题的 " +
+            res.reviewCount +
+            " 次复习拟合，预测误差 " +
+            res.lossBefore.toFixed(3) +
+            " → " +
+            res.lossAfter.toFixed(3)
+        );
+      } catch (e) {
+        console.error(e);
+        setFitMessage("拟合失败：" + (e?.message || e));
+      } finally {
+        setFitting(false);
+      }
+    }, 0);
+  };
+
+  return (
+    <div className="flex-1 overflow-auto bg-slate-950 p-4 text-xs text-slate-200">
+      <div className="max-w-2xl flex flex-col gap-4">
+        <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3">
+          <div className="text-sm font-semibold mb-1">复习调度算法</div>
+          <div className="text-[11px] text-slate-500 mb-2">
+            对整本错题本生效；切换算法不会重置已有错题的复习进度。
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            {Object.values(SCHEDULERS).map((sch) => (
+              <button
+                key={sch.id}
+                onClick={() => onUpdate({ scheduler: sch.id })}
+                className={`text-left p-2 rounded-lg border ${
+                  settings.scheduler === sch.id
+                    ? "border-sky-500 bg-sky-500/10"
+                    : "border-slate-700 hover:border-slate-500"
+                }`}
+              >
+                <div className="font-medium text-slate-100">{sch.label}</div>
+                <div className="text-[10px] text-slate-400 mt-0.5">{sch.description}</div>
+              </button>
+            ))}
+          </div>
+        </section>
+
+        <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3 flex flex-col gap-2">
+          <div className="text-sm font-semibold">通用选项</div>
+          <label className="flex items-center justify-between gap-2">
+            <span className={usesSteps ? "" : "text-slate-500"}>
+              学习 / 重学步长（分钟，空格分隔）
+            </span>
+            <input
+              value={stepsText}
+              disabled={!usesSteps}
+              onChange={(e) => setStepsText(e.target.value)}
+              onBlur={commitSteps}
+              className="w-40 bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-slate-100 disabled:opacity-50"
+            />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            <span>新建错题多少天后首次复习（0 为立即）</span>
+            <input
+              type="number"
+              min={0}
+              value={settings.newCardDelayDays}
+              onChange={(e) =>
+                onUpdate({ newCardDelayDays: Math.max(0, parseInt(e.target.value, 10) || 0) })
+              }
+              className="w-20 bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-slate-100"
+            />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            <span className={usesSteps ? "" : "text-slate-500"}>较长间隔加随机扰动</span>
+            <input
+              type="checkbox"
+              checked={settings.fuzz}
+              disabled={!usesSteps}
+              onChange={(e) => onUpdate({ fuzz: e.target.checked })}
+            />
+          </label>
+        </section>
+
+        <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3 flex flex-col gap-2">
+          <div className="text-sm font-semibold">复习显示</div>
+          <label className="flex items-center justify-between gap-2">
+            <span>默认只显示题目区域（可在复习时切换整页）</span>
+            <input
+              type="checkbox"
+              checked={settings.reviewFocus}
+              onChange={(e) => onUpdate({ reviewFocus: e.target.checked })}
+            />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            <span>题目区域四周留白</span>
+            <span className="flex items-center gap-2">
+              <input
+                type="range"
+                min={0}
+                max={0.1}
+                step={0.005}
+                value={settings.cropPadding}
+                onChange={(e) => onUpdate({ cropPadding: parseFloat(e.target.value) })}
+              />
+              <span className="w-10 text-right text-slate-400">
+                {Math.round(settings.cropPadding * 1000) / 10}%
+              </span>
+            </span>
+          </label>
+        </section>
+
+        <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3 flex flex-col gap-2">
+          <div className="text-sm font-semibold">FSRS 参数</div>
+          <label className="flex items-center justify-between gap-2">
+            <span>目标记忆保持率</span>
+            <input
+              type="number"
+              min={0.7}
+              max={0.99}
+              step={0.01}
+              value={settings.desiredRetention}
+              onChange={(e) => {
+                const v = parseFloat(e.target.value);
+                if (Number.isFinite(v) && v >= 0.7 && v <= 0.99) {
+                  onUpdate({ desiredRetention: v });
+                }
+              }}
+              className="w-20 bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-slate-100"
+            />
+          </label>
+          <div className="text-[11px] text-slate-400">
+            {settings.fsrsWeights
+              ? "使用拟合参数（" + (settings.fsrsFittedAt || "").slice(0, 10) + "）"
+              : "使用默认参数"}
+          </div>
+          <div className="font-mono text-[10px] text-slate-500 break-all">
+            {(settings.fsrsWeights || FSRS_DEFAULT_WEIGHTS).join(", ")}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={handleFit}
+              disabled={fitting}
+              className="px-2 py-1 rounded bg-sky-600 hover:bg-sky-500 text-white disabled:opacity-50"
+            >
+              {fitting ? "拟合中…" : "根据复习记录拟合参数"}
+            </button>
+            <button
+              onClick={() => onUpdate({ fsrsWeights: null, fsrsFittedAt: null })}
+              disabled={!settings.fsrsWeights}
+              className="px-2 py-1 rounded border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-50"
+            >
+              恢复默认参数
+            </button>
+          </div>
+          {fitMessage && <div className="text-[11px] text-slate-300">{fitMessage}</div>}
+        </section>
+
+        <CauseManager
+          causes={settings.errorCauses || []}
+          allCauses={allCauses}
+          onChange={(errorCauses) => onUpdate({ errorCauses })}
+          onRename={onRenameCause}
+        />
+
+        <TagManager allTags={allTags} onRename={onRenameTag} onRemove={onRemoveTag} />
+      </div>
+    </div>
+  );
+}
+
+// 错因分类：增删改；改名同步到错题，从分类中删除则不动已填的错题
+function CauseManager({ causes, allCauses, onChange, onRename }) {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [adding, setAdding] = useState("");
+
+  const commit = () => {
+    const target = normalizeCause(draft);
+    if (target && target !== editing) {
+      const merging = allCauses.some((c) => c.cause === target);
+      if (!merging || window.confirm(`错因“${target}”已存在，将把“${editing}”合并进去？`)) {
+        onRename(editing, target);
+      }
+    }
+    setEditing(null);
+  };
+
+  const add = () => {
+    const cause = normalizeCause(adding);
+    if (cause && !causes.includes(cause)) onChange([...causes, cause]);
+    setAdding("");
+  };
+
+  return (
+    <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3 flex flex-col gap-2">
+      <div className="text-sm font-semibold">错因分类</div>
+      <div className="text-[11px] text-slate-500">
+        错题卡片上从这些分类中选择错因。改名会同步到所有错题；从分类中删除后，已填的错题保留原错因。
+      </div>
+      <div className="flex flex-col gap-1">
+        {allCauses.map(({ cause, count, custom }) => (
+          <div key={cause} className="flex items-center justify-between gap-2">
+            {editing === cause ? (
+              <input
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") commit();
+                  if (e.key === "Escape") setEditing(null);
+                }}
+                className="flex-1 bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-slate-100"
+              />
+            ) : (
+              <span className="flex-1 truncate">
+                <span
+                  className={`px-1.5 py-0.5 rounded-full ${
+                    custom
+                      ? "border border-dashed border-slate-600 text-slate-400"
+                      : "bg-amber-900/50 text-amber-200"
+                  }`}
+                >
+                  {cause}
+                </span>
+                <span className="ml-2 text-[10px] text-slate-500">
+                  {count} 道错题{custom ? " · 不在分类中" : ""}
+                </span>
+              </span>
+            )}
+            <button
+              onClick={() => {
+                setEditing(cause);
+                setDraft(cause);
+              }}
+              className="text-[10px] text-sky-300 hover:text-sky-100"
+            >
+              改名 / 合并
+            </button>
+            {custom ? (
+              <button
+                onClick={() => onChange([...causes, cause])}
+                className="text-[10px] text-emerald-300 hover:text-emerald-100"
+              >
+                加入分类
+              </button>
+            ) : (
+              <button
+                onClick={() => onChange(causes.filter((c) => c !== cause))}
+                className="text-[10px] text-red-400 hover:text-red-200"
+              >
+                删除
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <input
+          value={adding}
+          onChange={(e) => setAdding(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") add();
+          }}
+          placeholder="新增错因，如“公式记错”"
+          className="flex-1 bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-slate-100"
+        />
+        <button
+          onClick={add}
+          disabled={!normalizeCause(adding)}
+          className="px-2 py-0.5 rounded border border-slate-700 text-slate-300 hover:border-slate-500 disabled:opacity-50"
+        >
+          添加
+        </button>
+      </div>
+    </section>
+  );
+}
+
+// 标签管理：改成已有标签的名字即合并
+function TagManager({ allTags, onRename, onRemove }) {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState("");
+
+  const commit = () => {
+    const target = draft.trim();
+    if (target && target !== editing) {
+      const merging = allTags.some((t) => t.tag === target);
+      if (!merging || window.confirm(`标签“${target}”已存在，将把“${editing}”合并进去？`)) {
+        onRename(editing, target);
+      }
+    }
+    setEditing(null);
+  };
+
+  return (
+    <section className="border border-slate-800 rounded-xl bg-slate-900/70 p-3 flex flex-col gap-2">
+      <div className="text-sm font-semibold">标签管理</div>
+      <div className="text-[11px] text-slate-500">
+        改名会同步到所有错题；改成已有的标签名即可合并两个标签。
+      </div>
+      {allTags.length === 0 && (
+        <div className="text-[11px] text-slate-500">还没有标签，可在错题卡片上添加。</div>
+      )}
+      <div className="flex flex-col gap-1">
+        {allTags.map(({ tag, count }) => (
+          <div key={tag} className="flex items-center justify-between gap-2">
+            {editing === tag ? (
+              <input
+                autoFocus
+                list="tag-suggestions"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") commit();
+                  if (e.key === "Escape") setEditing(null);
+                }}
+                className="flex-1 bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-slate-100"
+              />
+            ) : (
+              <span className="flex-1 truncate">
+                <span className="px-1.5 py-0.5 rounded-full bg-slate-800 text-slate-100">{tag}</span>
+                <span className="ml-2 text-[10px] text-slate-500">{count} 道错题</span>
+              </span>
+            )}
+            <button
+              onClick={() => {
+                setEditing(tag);
+                setDraft(tag);
+              }}
+              className="text-[10px] text-sky-300 hover:text-sky-100"
+            >
+              改名 / 合并
+            </button>
+            <button
+              onClick={() => onRemove(tag)}
+              className="text-[10px] text-red-400 hover:text-red-200"
+            >
+              删除
+            </button>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// 错题卡片上的错因（从设置里的分类中选）和题目难度，再点一次已选的难度即清除
+function ReflectionEditor({ mistake, allCauses = [], onChange }) {
+  const cause = mistake.errorCause || "";
+  const level = mistake.questionDifficulty || null;
+  return (
+    <div className="flex items-center gap-2 text-[10px]">
+      <select
+        value={cause}
+        onChange={(e) => onChange({ errorCause: e.target.value })}
+        className={`flex-1 min-w-0 bg-slate-950 border border-slate-700 rounded px-1 py-0.5 ${
+          cause ? "text-amber-200" : "text-slate-500"
+        }`}
+      >
+        <option value="">选择错因…</option>
+        {allCauses.map((c) => (
+          <option key={c.cause} value={c.cause}>
+            {c.cause}
+            {c.custom ? "（已不在分类中）" : ""}
+          </option>
+        ))}
+      </select>
+      <span className="flex items-center gap-0.5" title="题目难度">
+        <span className="text-slate-500 mr-0.5">难度</span>
+        {DIFFICULTY_LEVELS.map((n) => (
+          <button
+            key={n}
+            title={DIFFICULTY_LABELS[n]}
+            onClick={() => onChange({ questionDifficulty: n === level ? null : n })}
+            className={`w-4 h-4 rounded-sm border leading-none ${
+              level && n <= level
+                ? "bg-amber-500/80 border-amber-400 text-slate-950"
+                : "border-slate-700 text-slate-500 hover:border-slate-500"
+            }`}
+          >
+            {n}
+          </button>
+        ))}
+      </span>
+    </div>
+  );
+}
+
+// 错因 / 难度筛选：各选一项，与标签筛选同时生效
+function ReflectionFilterBar({ allCauses, value, onChange, className = "" }) {
+  const selectClass =
+    "flex-1 min-w-0 bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-[10px] text-slate-200";
+  return (
+    <div className={"flex items-center gap-1 " + className}>
+      <select
+        value={value.cause}
+        onChange={(e) => onChange({ ...value, cause: e.target.value })}
+        className={selectClass}
+      >
+        <option value="">全部错因</option>
+        {allCauses.map(({ cause, count }) => (
+          <option key={cause} value={cause}>
+            {cause}（{count}）
+          </option>
+        ))}
+        <option value={UNSET}>{causeLabel("")}</option>
+      </select>
+      <select
+        value={value.difficulty}
+        onChange={(e) => onChange({ ...value, difficulty: e.target.value })}
+        className={selectClass}
+      >
+        <option value="">全部难度</option>
+        {DIFFICULTY_LEVELS.map((level) => (
+          <option key={level} value={String(level)}>
+            {difficultyLabel(level)}
+          </option>
+        ))}
+        <option value={UNSET}>{difficultyLabel(null)}</option>
+      </select>
+    </div>
+  );
+}
+
+// 标签筛选：点选切换，含任一所选标签即显示
+function TagFilterBar({ allTags, value, onChange, className = "" }) {
+  const toggle = (tag) =>
+    onChange(value.includes(tag) ? value.filter((t) => t !== tag) : [...value, tag]);
+
+  return (
+    <div className={"flex flex-wrap items-center gap-1 " + className}>
+      {allTags.map(({ tag, count }) => (
+        <button
+          key={tag}
+          onClick={() => toggle(tag)}
+          className={`px-1.5 py-0.5 rounded-full border text-[10px] ${
+            value.includes(tag)
+              ? "bg-sky-600 border-sky-400 text-white"
+              : "border-slate-700 text-slate-300 hover:border-slate-500"
+          }`}
+        >
+          {tag}
+          <span className="ml-1 opacity-60">{count}</span>
+        </button>
+      ))}
+      {value.length > 0 && (
+        <button
+          onClick={() => onChange([])}
+          className="text-[10px] text-slate-400 hover:text-slate-200"
+        >
+          清除
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Tailwind 的基础样式去掉了列表、标题等默认样式，渲染 Markdown 时补回来
+const MARKDOWN_CLASS =
+  "break-words [&_p]:my-0.5 [&_h1]:text-sm [&_h1]:font-semibold [&_h2]:font-semibold " +
+  "[&_h3]:font-semibold [&_h4]:font-semibold [&_ul]:list-disc [&_ul]:pl-4 [&_ol]:list-decimal " +
+  "[&_ol]:pl-4 [&_blockquote]:border-l-2 [&_blockquote]:border-slate-600 [&_blockquote]:pl-2 " +
+  "[&_blockquote]:text-slate-400 [&_code]:bg-slate-800 [&_code]:px-0.5 [&_code]:rounded " +
+  "[&_pre]:bg-slate-800 [&_pre]:p-1.5 [&_pre]:rounded [&_pre]:overflow-x-auto " +
+  "[&_.katex-display]:my-1 [&_.katex-display]:overflow-x-auto [&_.katex-display]:overflow-y-hidden";
+
+// 标题 / 备注：Markdown + LaTeX，inline 时只渲染行内格式（标题用）
+function MarkdownText({ source, inline, className = "" }) {
+  const html = useMemo(
+    () => (inline ? renderInlineMarkdown(source) : renderMarkdown(source)),
+    [source, inline]
+  );
+  const Tag = inline ? "span" : "div";
+  return (
+    <Tag
+      className={`${MARKDOWN_CLASS} ${className}`}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+// 用 div 做的“按钮”（里面要渲染 Markdown）：回车和空格也能触发
+const activateOnKey = (fn) => (e) => {
+  if (e.key !== "Enter" && e.key !== " ") return;
+  e.preventDefault();
+  fn();
+};
+
+const focusOnMount = (el) => el?.focus();
+
+// 备注编辑：编辑 / 预览切换，焦点离开整个编辑区时保存。
+// Safari 点按钮时不会把焦点给按钮（blur 的 relatedTarget 为空），所以切换按钮按下时不抢焦点，
+// 预览区挂载时接过焦点，失焦后等焦点落定再看它是否还在编辑区里
+function NoteEditor({ value, onSave }) {
+  const [draft, setDraft] = useState(value || "");
+  const [preview, setPreview] = useState(false);
+  const rootRef = useRef(null);
+  const draftRef = useRef(draft);
+  draftRef.current = draft;
+
+  const tabClass = (active) =>
+    `px-1.5 py-0.5 rounded ${
+      active ? "bg-slate-700 text-slate-100" : "text-slate-400 hover:text-slate-200"
+    }`;
+  const keepFocus = (e) => e.preventDefault();
+
+  return (
+    <div
+      ref={rootRef}
+      onBlur={() =>
+        setTimeout(() => {
+          const root = rootRef.current;
+          if (root && !root.contains(document.activeElement)) onSave(draftRef.current);
+        }, 0)
+      }
+      className="flex flex-col gap-1"
+    >
+      <div className="flex items-center gap-1 text-[10px]">
+        <button
+          onMouseDown={keepFocus}
+          onClick={() => setPreview(false)}
+          className={tabClass(!preview)}
+        >
+          编辑
+        </button>
+        <button
+          onMouseDown={keepFocus}
+          onClick={() => setPreview(true)}
+          className={tabClass(preview)}
+        >
+          预览
+        </button>
+        <span className="ml-auto text-slate-500">支持 Markdown 与 $公式$、$$独立公式$$</span>
+      </div>
+      {preview ? (
+        <div
+          ref={focusOnMount}
+          tabIndex={-1}
+          className="min-h-[4.5em] bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-[11px] text-slate-300 outline-none"
+        >
+          {draft.trim() ? (
+            <MarkdownText source={draft} />
+          ) : (
+            <span className="text-slate-500">（空）</span>
+          )}
+        </div>
+      ) : (
+        <textarea
+          autoFocus
+          value={draft}
+          rows={4}
+          onChange={(e) => setDraft(e.target.value)}
+          className="w-full bg-slate-950 border border-slate-700 rounded px-1 py-0.5 text-xs text-slate-100 resize-y font-mono"
+        />
+      )}
+      <button
+        onClick={() => onSave(draft)}
+        className="self-end px-2 py-0.5 rounded bg-sky-600 hover:bg-sky-500 text-[10px] text-white"
+      >
+        完成
+      </button>
+    </div>
+  );
+}
+
+// 错题卡片上的标签编辑，输入时从已有标签中提示
+function TagEditor({ tags, onChange }) {
+  const [draft, setDraft] = useState("");
+
+  const commit = () => {
+    const next = addTag(tags, draft);
+    if (next !== tags) onChange(next);
+    setDraft("");
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {(tags || []).map((t) => (
+        <span
+          key={t}
+          className="flex items-center gap-0.5 px-1.5 py-0.5 rounded-full bg-slate-800 text-[10px] text-slate-100"
+        >
+          {t}
+          <button
+            onClick={() => onChange(tags.filter((x) => x !== t))}
+            className="text-slate-400 hover:text-red-300"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        list="tag-suggestions"
+        value={draft}
+        placeholder="+ 标签"
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => draft.trim() && commit()}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === "," || e.key === "，") {
+            e.preventDefault();
+            commit();
+          }
+        }}
+        className="w-20 flex-1 min-w-[4rem] bg-transparent border-b border-slate-700 px-0.5 text-[10px] text-slate-100 focus:outline-none focus:border-slate-400"
+      />
+    </div>
+  );
+}
+
+function StatCard({ label, value }) {
+  return (
+    <div className="border border-slate-800 rounded-xl bg-slate-900/70 p-3 flex flex-col gap-1">
+      <div className="text-[11px] text-slate-400">{label}</div>
+      <div className="text-lg font-semibold text-slate-50">{value}</div>
+    </div>
+  );
+}
+
+// 按区域裁剪显示题目：多个区域按顺序竖直拼在一起；只有一个区域且 fit 时缩放到填满可视区域
+function RegionStack({ fileUrl, fingerprint, regions, masks, masksRevealed, padding, fit }) {
+  const containerRef = useRef(null);
+  const [box, setBox] = useState(null);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(([entry]) =>
+      setBox({ width: entry.contentRect.width, height: entry.contentRect.height })
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const fitBox = fit && regions.length === 1 ? box : null;
+
+  return (
+    <div ref={containerRef} className="w-full h-full overflow-auto p-3">
+      <div
+        className={`flex flex-col gap-2 mx-auto ${
+          fitBox ? "h-full items-center justify-center" : "w-[min(56rem,100%)]"
+        }`}
+      >
+        {regions.map((r, i) => (
+          <RegionCrop
+            key={i}
+            fileUrl={fileUrl}
+            fingerprint={fingerprint}
+            pageIndex={r.pageIndex}
+            bbox={r.bbox}
+            padding={padding}
+            masks={masks.filter((m) => m.pageIndex === r.pageIndex).map((m) => m.bbox)}
+            masksRevealed={masksRevealed}
+            label={regions.length > 1 ? `第 ${r.pageIndex + 1} 页` : null}
+            fitBox={fitBox}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// 复习时区域裁剪的目标像素宽度；预取时要用同一个值才能命中缓存
+const cropTargetWidth = () => Math.round(1200 * (window.devicePixelRatio || 1));
+
+// 高分辨率渲染一个区域（四周留 padding），遮挡按页面坐标叠加在裁剪结果上
+function RegionCrop({
+  fileUrl,
+  fingerprint,
+  pageIndex,
+  bbox,
+  padding = 0,
+  masks,
+  masksRevealed,
+  label,
+  fitBox,
+}) {
+  const canvasRef = useRef(null);
+  const [crop, setCrop] = useState(null);
+
+  useEffect(() => {
+    let canceled = false;
+    (async () => {
+      try {
+        const result = await renderCachedCrop(fileUrl, fingerprint, pageIndex, bbox, {
+          padding,
+          targetWidth: cropTargetWidth(),
+        });
+        if (canceled || !canvasRef.current) return;
+        const canvas = canvasRef.current;
+        canvas.width = result.canvas.width;
+        canvas.height = result.canvas.height;
+        canvas.getContext("2d").drawImage(result.canvas, 0, 0);
+        setCrop({ ...result.crop, aspect: canvas.width / canvas.height });
+      } catch (e) {
+        console.error(e);
+      }
+    })();
+    return () => {
+      canceled = true;
+    };
+  }, [fileUrl, fingerprint, pageIndex, bbox.x, bbox.y, bbox.width, bbox.height, padding]);
+
+  // 页面坐标 → 裁剪区域内的百分比位置
+  const place = (r) => ({
+    left: ((r.x - crop.x) / crop.width) * 100 + "%",
+    top: ((r.y - crop.y) / crop.height) * 100 + "%",
+    width: (r.width / crop.width) * 100 + "%",
+    height: (r.height / crop.height) * 100 + "%",
+  });
+
+  const style =
+    fitBox && crop
+      ? { width: Math.floor(Math.min(fitBox.width, fitBox.height * crop.aspect)) - 4 }
+      : { width: "100%" };
+
+  return (
+    <div
+      className="relative shrink-0 rounded-lg border border-slate-800 bg-white overflow-hidden"
+      style={style}
+    >
+      <canvas ref={canvasRef} className="block w-full h-auto" />
+      {crop && (
+        <>
+          {padding > 0 && <div className="absolute border border-amber-400/80" style={place(bbox)} />}
+          {(masks || []).map((m, i) => (
+            <div
+              key={i}
+              className={`absolute ${
+                masksRevealed
+                  ? "border border-dashed border-slate-400"
+                  : "bg-slate-600 border border-slate-400 flex items-center justify-center"
+              }`}
+              style={place(m)}
+            >
+              {!masksRevealed && <span className="text-slate-200 text-lg">?</span>}
+            </div>
+          ))}
+        </>
+      )}
+      {label && (
+        <span className="absolute top-1 right-1 px-1.5 rounded bg-slate-900/70 text-[10px] text-slate-200">
+          {label}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// 查看器缩放：zoom 为 1 时按实际物理尺寸显示（1 pt = 96/72 CSS 像素）
+const PT_TO_CSS = 96 / 72;
+const ZOOM_MIN = 0.25;
+const ZOOM_MAX = 5;
+const ZOOM_STEP = 1.25;
+// 页面四周留白、连续滚动时页与页之间的间距（CSS 像素）
+const PAGE_MARGIN = 8;
+const PAGE_GAP = 12;
+// 渲染位图的上限：宽不超过 4096 像素、总像素不超过 16M（Safari 的画布上限），再放大只是拉伸
+const MAX_VIEWER_WIDTH = 4096;
+const MAX_VIEWER_PIXELS = 16 * 1024 * 1024;
+
+const clampZoom = (z) => Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, z));
+
+// 查看器的缩放与平移（单页和连续滚动共用）：适合宽度 / 适合页面 / 自由缩放（按钮、Ctrl+滚轮、
+// 双指捏合）；拖动空白处、按住空格或鼠标中键拖动可平移，不能框选时直接拖动即平移。
+// baseSize 为适合宽度 / 页面时参照的页面尺寸（PDF 点）
+function usePanZoom({ interactive, defaultFit, baseSize }) {
+  const scrollRef = useRef(null);
+  const contentRef = useRef(null);
+  const [box, setBox] = useState({ width: 0, height: 0 });
+  // fit：width | page | null（自由缩放，用 zoom）
+  const [view, setView] = useState({ fit: defaultFit, zoom: 1 });
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [panning, setPanning] = useState(false);
+  const anchorRef = useRef(null);
+  const hoverRef = useRef(false);
+  // 正在进行的拖动平移，调用即结束（双指捏合开始时要先停掉单指平移）
+  const panStopRef = useRef(null);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(() =>
+      setBox({ width: el.clientWidth, height: el.clientHeight })
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const fitZoom = (fit) => {
+    if (!baseSize || !box.width) return 1;
+    const byWidth = (box.width - PAGE_MARGIN * 2) / (baseSize.width * PT_TO_CSS);
+    const byHeight = (box.height - PAGE_MARGIN * 2) / (baseSize.height * PT_TO_CSS);
+    return clampZoom(fit === "page" ? Math.min(byWidth, byHeight) : byWidth);
+  };
+  const zoom = view.fit ? fitZoom(view.fit) : view.zoom;
+
+  // 缩放时让锚点（鼠标位置、捏合中心或视图中心）下的内容保持不动
+  const keepAnchor = (anchor) => {
+    const el = scrollRef.current;
+    const content = contentRef.current;
+    if (!el || !content || !content.offsetWidth) return;
+    const a = anchor || { x: el.clientWidth / 2, y: el.clientHeight / 2 };
+    anchorRef.current = {
+      x: a.x,
+      y: a.y,
+      nx: (el.scrollLeft + a.x - content.offsetLeft) / content.offsetWidth,
+      ny: (el.scrollTop + a.y - content.offsetTop) / content.offsetHeight,
+    };
+  };
+  const zoomTo = (nextZoom, anchor) => {
+    keepAnchor(anchor);
+    setView({ fit: null, zoom: clampZoom(nextZoom) });
+  };
+  const fitTo = (fit) => {
+    keepAnchor();
+    setView({ fit, zoom });
+  };
+  const zoomToRef = useRef(zoomTo);
+  zoomToRef.current = zoomTo;
+  const zoomRef = useRef(zoom);
+  zoomRef.current = zoom;
+
+  useLayoutEffect(() => {
+    const anchor = anchorRef.current;
+    const el = scrollRef.current;
+    const content = contentRef.current;
+    anchorRef.current = null;
+    if (!anchor || !el || !content) return;
+    el.scrollLeft = content.offsetLeft + anchor.nx * content.offsetWidth - anchor.x;
+    el.scrollTop = content.offsetTop + anchor.ny * content.offsetHeight - anchor.y;
+  }, [zoom]);
+
+  // Ctrl+滚轮（触控板捏合也是这个事件）和触屏双指捏合；需要非 passive 监听才能阻止浏览器整页缩放
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return undefined;
+    const local = (clientX, clientY) => {
+      const rect = el.getBoundingClientRect();
+      return { x: clientX - rect.left, y: clientY - rect.top };
+    };
+    const handleWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      const factor = Math.exp(-e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.002));
+      zoomToRef.current(zoomRef.current * factor, local(e.clientX, e.clientY));
+    };
+    let pinch = null;
+    const distance = (t) =>
+      Math.hypot(t[0].clientX - t[1].clientX, t[0].clientY - t[1].clientY);
+    const handleTouchStart = (e) => {
+      if (e.touches.length !== 2) return;
+      panStopRef.current?.();
+      pinch = { distance: distance(e.touches), zoom: zoomRef.current };
+    };
+    const handleTouchMove = (e) => {
+      if (!pinch || e.touches.length !== 2) return;
+      e.preventDefault();
+      const [a, b] = e.touches;
+      const center = local((a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2);
+      zoomToRef.current((pinch.zoom * distance(e.touches)) / pinch.distance, center);
+    };
+    const handleTouchEnd = (e) => {
+      if (e.touches.length < 2) pinch = null;
+    };
+    el.addEventListener("wheel", handleWheel, { passive: false });
+    el.addEventListener("touchstart", handleTouchStart, { passive: true });
+    el.addEventListener("touchmove", handleTouchMove, { passive: false });
+    el.addEventListener("touchend", handleTouchEnd);
+    el.addEventListener("touchcancel", handleTouchEnd);
+    return () => {
+      el.removeEventListener("wheel", handleWheel);
+      el.removeEventListener("touchstart", handleTouchStart);
+      el.removeEventListener("touchmove", handleTouchMove);
+      el.removeEventListener("touchend", handleTouchEnd);
+      el.removeEventListener("touchcancel", handleTouchEnd);
+    };
+  }, []);
+
+  // 鼠标在查看器上时按住空格临时切换成平移
+  useEffect(() => {
+    const editable = (t) =>
+      t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName));
+    const handleDown = (e) => {
+      if (e.code !== "Space" || !hoverRef.current || editable(e.target)) return;
+      e.preventDefault();
+      setSpaceHeld(true);
+    };
+    const handleUp = (e) => {
+      if (e.code === "Space") setSpaceHeld(false);
+    };
+    window.addEventListener("keydown", handleDown);
+    window.addEventListener("keyup", handleUp);
+    return () => {
+      window.removeEventListener("keydown", handleDown);
+      window.removeEventListener("keyup", handleUp);
+    };
+  }, []);
+
+  // 鼠标、笔、手指都走 pointer 事件；同一时间只跟一根手指
+  const startPan = (e) => {
+    const el = scrollRef.current;
+    if (!el || panStopRef.current) return;
+    e.preventDefault();
+    e.currentTarget?.setPointerCapture?.(e.pointerId);
+    const { pointerId } = e;
+    const origin = { x: e.clientX, y: e.clientY, left: el.scrollLeft, top: el.scrollTop };
+    setPanning(true);
+    const handleMove = (ev) => {
+      if (ev.pointerId !== pointerId) return;
+      el.scrollLeft = origin.left - (ev.clientX - origin.x);
+      el.scrollTop = origin.top - (ev.clientY - origin.y);
+    };
+    const stop = (ev) => {
+      if (ev && ev.pointerId !== pointerId) return;
+      panStopRef.current = null;
+      setPanning(false);
+      window.removeEventListener("pointermove", handleMove);
+      window.removeEventListener("pointerup", stop);
+      window.removeEventListener("pointercancel", stop);
+    };
+    panStopRef.current = stop;
+    window.addEventListener("pointermove", handleMove);
+    window.addEventListener("pointerup", stop);
+    window.addEventListener("pointercancel", stop);
+  };
+
+  return {
+    scrollRef,
+    contentRef,
+    box,
+    view,
+    zoom,
+    zoomTo,
+    fitTo,
+    startPan,
+    panning,
+    panMode: !interactive || spaceHeld,
+    hoverProps: {
+      onMouseEnter: () => (hoverRef.current = true),
+      onMouseLeave: () => {
+        hoverRef.current = false;
+        setSpaceHeld(false);
+      },
+    },
+  };
+}
+
+// 查看器外框：可滚动区域 + 居中的内容 + 缩放工具条
+function ViewerFrame({ pz, contentSize, onScroll, children }) {
+  const zoomButton =
+    "px-1.5 py-0.5 rounded border border-slate-700 hover:border-slate-500 disabled:opacity-40";
+  const fitButton = (fit) =>
+    `px-1.5 py-0.5 rounded border ${
+      pz.view.fit === fit
+        ? "bg-slate-200 border-slate-200 text-slate-900"
+        : "border-slate-700 hover:border-slate-500"
+    }`;
+
+  return (
+    <div
+      className="relative w-full h-full min-h-0 bg-slate-900 rounded-lg border border-slate-800 overflow-hidden"
+      {...pz.hoverProps}
+    >
+      <div
+        ref={pz.scrollRef}
+        data-viewer-blank="1"
+        className={"absolute inset-0 overflow-auto " + (pz.panning ? "cursor-grabbing" : "")}
+        style={{ touchAction: "pan-x pan-y" }}
+        onScroll={onScroll}
+        onPointerDown={(e) => {
+          // 页面外的空白处直接拖动平移；手指在这里由浏览器自己滚动
+          if (e.pointerType !== "touch" && e.target.dataset?.viewerBlank) pz.startPan(e);
+        }}
+      >
+        <div
+          data-viewer-blank="1"
+          className="relative flex items-center justify-center"
+          style={{
+            width: Math.max(pz.box.width, contentSize.width + PAGE_MARGIN * 2),
+            height: Math.max(pz.box.height, contentSize.height + PAGE_MARGIN * 2),
+          }}
+        >
+          <div
+            ref={pz.contentRef}
+            data-viewer-blank="1"
+            className="relative shrink-0"
+            style={{ width: contentSize.width, height: contentSize.height }}
+          >
+            {children}
+          </div>
+        </div>
+      </div>
+      <div className="absolute top-2 right-4 flex items-center gap-1 px-1.5 py-1 rounded-lg bg-slate-900/90 border border-slate-700 text-[10px] text-slate-200">
+        <button
+          onClick={() => pz.zoomTo(pz.zoom / ZOOM_STEP)}
+          disabled={pz.zoom <= ZOOM_MIN}
+          title="缩小（Ctrl+滚轮）"
+          className={zoomButton}
+        >
+          −
+        </button>
+        <span className="w-9 text-center tabular-nums">{Math.round(pz.zoom * 100)}%</span>
+        <button
+          onClick={() => pz.zoomTo(pz.zoom * ZOOM_STEP)}
+          disabled={pz.zoom >= ZOOM_MAX}
+          title="放大（Ctrl+滚轮）"
+          className={zoomButton}
+        >
+          +
+        </button>
+        <button
+          onClick={() => pz.fitTo("width")}
+          className={fitButton("width")}
+        >
+          适合宽度
+        </button>
+        <button
+          onClick={() => pz.fitTo("page")}
+          className={fitButton("page")}
+        >
+          适合页面
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const scaledSize = (size, zoom) => ({
+  width: Math.round(size.width * PT_TO_CSS * zoom),
+  height: Math.round(size.height * PT_TO_CSS * zoom),
+});
+
+// 单页查看器
+function PdfPageViewer({ fileUrl, fingerprint, pageIndex, defaultFit = "width", ...surfaceProps }) {
+  const [pageSize, setPageSize] = useState(null);
+  const pz = usePanZoom({ interactive: surfaceProps.interactive, defaultFit, baseSize: pageSize });
+
+  useEffect(() => {
+    let canceled = false;
+    if (!fileUrl) return undefined;
+    getPageSize(fileUrl, fingerprint, pageIndex)
+      .then((size) => {
+        if (!canceled) setPageSize(size);
+      })
+      .catch((e) => {
+        if (!canceled) console.error(e);
+      });
+    return () => {
+      canceled = true;
+    };
+  }, [fileUrl, fingerprint, pageIndex]);
+
+  const renderSize = pageSize ? scaledSize(pageSize, pz.zoom) : { width: 0, height: 0 };
+
+  return (
+    <ViewerFrame pz={pz} contentSize={renderSize}>
+      {renderSize.width > 0 && (
+        <PageSurface
+          {...surfaceProps}
+          fileUrl={fileUrl}
+          fingerprint={fingerprint}
+          pageIndex={pageIndex}
+          renderSize={renderSize}
+          panMode={pz.panMode}
+          panning={pz.panning}
+          onPanStart={pz.startPan}
+        />
+      )}
+    </ViewerFrame>
+  );
+}
+
+// 连续滚动：所有页面从上到下排开，只挂载可见的几页；滚动时通过 onPageChange 报告当前页，
+// pageIndex 从外部改变（点缩略图、输入页码）时滚动到那一页。overlayPropsFor(i) 给出第 i 页的框选、高亮等
+function PdfScrollViewer({
+  fileUrl,
+  fingerprint,
+  pageCount,
+  pageIndex,
+  onPageChange,
+  interactive,
+  overlayPropsFor,
+}) {
+  const [sizes, setSizes] = useState([]);
+  const [range, setRange] = useState([pageIndex, pageIndex]);
+  const reportedRef = useRef(null);
+  const frameRef = useRef(0);
+
+  useEffect(() => {
+    let canceled = false;
+    setSizes([]);
+    (async () => {
+      try {
+        const first = await getPageSize(fileUrl, fingerprint, 0);
+        if (canceled) return;
+        setSizes([first]);
+        const all = [first];
+        for (let i = 1; i < pageCount && !canceled; i++) {
+          all.push(await getPageSize(fileUrl, fingerprint, i));
+        }
+        if (!canceled) setSizes(all);
+      } catch (e) {
+        if (!canceled) console.error(e);
+      }
+    })();
+    return () => {
+      canceled = true;
+    };
+  }, [fileUrl, fingerprint, pageCount]);
+
+  const baseSize = sizes.length
+    ? {
+        width: Math.max(...sizes.map((s) => s.width)),
+        height: (sizes[pageIndex] || sizes[0]).height,
+      }
+    : null;
+  const pz = usePanZoom({ interactive, defaultFit: "width", baseSize });
+
+  // 还没取到尺寸的页面先按第一页的尺寸占位
+  const layout = useMemo(() => {
+    const pages = [];
+    let top = 0;
+    let width = 0;
+    if (sizes.length) {
+      for (let i = 0; i < pageCount; i++) {
+        const size = scaledSize(sizes[i] || sizes[0], pz.zoom);
+        pages.push({ top, ...size });
+        top += size.height + PAGE_GAP;
+        width = Math.max(width, size.width);
+      }
+    }
+    return { pages, width, height: Math.max(0, top - PAGE_GAP) };
+  }, [sizes, pageCount, pz.zoom]);
+
+  const measure = () => {
+    const el = pz.scrollRef.current;
+    const content = pz.contentRef.current;
+    if (!el || !content || layout.pages.length === 0) return;
+    const top = el.scrollTop - content.offsetTop;
+    const bottom = top + el.clientHeight;
+    const { pages } = layout;
+    let first = pages.findIndex((p) => p.top + p.height >= top);
+    if (first < 0) first = pages.length - 1;
+    let last = first;
+    while (last + 1 < pages.length && pages[last + 1].top <= bottom) last += 1;
+    setRange((prev) => (prev[0] === first && prev[1] === last ? prev : [first, last]));
+    // 视口上部三分之一处所在的页即当前页
+    const probe = top + el.clientHeight / 3;
+    let current = first;
+    while (current + 1 <= last && pages[current + 1].top <= probe) current += 1;
+    if (current !== reportedRef.current) {
+      reportedRef.current = current;
+      onPageChange(current);
+    }
+  };
+
+  const handleScroll = () => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = 0;
+      measure();
+    });
+  };
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  // 页码从外部改变时滚动过去；滚动报告出来的页码不再触发滚动
+  useLayoutEffect(() => {
+    const el = pz.scrollRef.current;
+    const content = pz.contentRef.current;
+    const page = layout.pages[pageIndex];
+    if (!el || !content || !page || pageIndex === reportedRef.current) return;
+    reportedRef.current = pageIndex;
+    el.scrollTop = content.offsetTop + page.top - PAGE_MARGIN;
+  }, [pageIndex, layout]);
+
+  useEffect(measure, [layout, pz.box.width, pz.box.height]);
+
+  return (
+    <ViewerFrame
+      pz={pz}
+      contentSize={{ width: layout.width, height: layout.height }}
+      onScroll={handleScroll}
+    >
+      {layout.pages.map((p, i) =>
+        i < range[0] - 1 || i > range[1] + 1 ? null : (
+          <div
+            key={i}
+            className="absolute"
+            style={{ top: p.top, left: (layout.width - p.width) / 2 }}
+          >
+            <PageSurface
+              {...overlayPropsFor(i)}
+              fileUrl={fileUrl}
+              fingerprint={fingerprint}
+              pageIndex={i}
+              renderSize={{ width: p.width, height: p.height }}
+              interactive={interactive}
+              panMode={pz.panMode}
+              panning={pz.panning}
+              onPanStart={pz.startPan}
+            />
+            <span className="absolute left-1 top-1 px-1 rounded bg-slate-900/80 text-[10px] text-slate-300 pointer-events-none">
+              {i + 1}
+            </span>
+          </div>
+        )
+      )}
+    </ViewerFrame>
+  );
+}
+
+// 一页：按显示尺寸 × devicePixelRatio 渲染的画布，加上框选、高亮、遮挡、候选框等覆盖层。
+// renderSize 为显示尺寸（CSS 像素），覆盖层的坐标都是归一化的，按它换算
+function PageSurface({
+  fileUrl,
+  fingerprint,
+  pageIndex,
+  renderSize,
+  panMode,
+  panning,
+  onPanStart,
+  interactive,
+  onRectSelected,
+  highlightRects,
+  candidates,
+  onCandidateToggle,
+  onCandidateChange,
+  masks,
+  masksRevealed,
+  onMaskChange,
+  onMaskRemove,
+  editableHighlights,
+  selectedHighlightId,
+  onHighlightSelect,
+  onHighlightChange,
+  onHighlightCommit,
+  onHighlightLongPress,
+}) {
   const canvasRef = useRef(null);
   const overlayRef = useRef(null);
-  const [renderSize, setRenderSize] = useState({ width: 0, height: 0 });
   const [selection, setSelection] = useState(null);
   const startRef = useRef(null);
 
   useEffect(() => {
-    let canceled = false;
-    async function render() {
-      if (!fileUrl || !canvasRef.current) return;
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext("2d");
-      if (!ctx) return;
-
-      const pdf = await getDocument(fileUrl).promise;
-      const page = await pdf.getPage(pageIndex + 1);
-      const viewport = page.getViewport({ scale: 1.5 });
-      if (canceled) {
-        pdf.destroy();
-        return;
-      }
+    startRef.current = null;
+    setSelection(null);
+  }, [fileUrl, pageIndex]);
+
+  // 连续滚动时页面不停地挂载、卸载；卸载时把画布缩成 0×0，Safari 才会马上释放它的内存
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    return () => {
+      canvas.width = 0;
+      canvas.height = 0;
+    };
+  }, []);
 
-      canvas.width = viewport.width;
-      canvas.height = viewport.height;
-      await page.render({ canvasContext: ctx, viewport }).promise;
-      if (!canceled) setRenderSize({ width: viewport.width, height: viewport.height });
-      pdf.destroy();
+  // 文档和渲染好的页面都走共享缓存，翻页时不重新解析 PDF。
+  // 换页时先拉伸显示缓存里已有的位图；缩放停下来后再按新尺寸 × devicePixelRatio 重新渲染
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!fileUrl || !canvas || !renderSize.width) return undefined;
+    let canceled = false;
+    const pageKey = `${fingerprint || fileUrl}:${pageIndex}`;
+    const draw = (page) => {
+      if (canceled) return;
+      canvas.width = page.width;
+      canvas.height = page.height;
+      canvas.getContext("2d").drawImage(page, 0, 0);
+      canvas.dataset.page = pageKey;
+    };
+    const pageChanged = canvas.dataset.page !== pageKey;
+    if (pageChanged) {
+      const preview = peekPage(fileUrl, fingerprint, pageIndex);
+      if (preview) draw(preview);
     }
-    render();
+    const dpr = window.devicePixelRatio || 1;
+    const aspect = renderSize.height / renderSize.width;
+    const width = Math.min(
+      Math.round(renderSize.width * dpr),
+      MAX_VIEWER_WIDTH,
+      Math.floor(Math.sqrt(MAX_VIEWER_PIXELS / aspect))
+    );
+    const timer = setTimeout(
+      () =>
+        renderPage(fileUrl, fingerprint, pageIndex, { width })
+          .then(draw)
+          .catch((e) => {
+            if (!canceled) console.error(e);
+          }),
+      pageChanged ? 0 : 150
+    );
     return () => {
       canceled = true;
+      clearTimeout(timer);
     };
-  }, [fileUrl, pageIndex]);
+  }, [fileUrl, fingerprint, pageIndex, renderSize.width, renderSize.height]);
 
-  const handleMouseDown = (e) => {
-    if (!interactive || !overlayRef.current) return;
+  // 框选用 pointer 事件并捕获指针，鼠标和笔都能画；手指在框选模式下拖动是平移
+  // （页面区域关掉了浏览器自带的触摸滚动，免得笔一落下页面就跟着滚），否则交给浏览器滚动
+  const handlePointerDown = (e) => {
+    if (e.pointerType === "touch") {
+      if (interactive) onPanStart(e);
+      return;
+    }
+    if (panMode || e.button === 1) {
+      onPanStart(e);
+      return;
+    }
+    if (e.button !== 0 || !overlayRef.current) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
     const rect = overlayRef.current.getBoundingClientRect();
-    startRef.current = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    startRef.current = {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top,
+      pointerId: e.pointerId,
+    };
     setSelection({ x: startRef.current.x, y: startRef.current.y, width: 0, height: 0 });
   };
 
-  const handleMouseMove = (e) => {
-    if (!interactive || !overlayRef.current || !startRef.current) return;
+  const ownsPointer = (e) => startRef.current && startRef.current.pointerId === e.pointerId;
+
+  const handlePointerMove = (e) => {
+    if (!interactive || !overlayRef.current || !ownsPointer(e)) return;
     const rect = overlayRef.current.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
@@ -936,7 +5327,8 @@ function PdfPageViewer({ fileUrl, pageIndex, interactive, onRectSelected, highli
     });
   };
 
-  const handleMouseUp = () => {
+  const handlePointerUp = (e) => {
+    if (!ownsPointer(e)) return;
     if (!interactive || !overlayRef.current || !selection) {
       startRef.current = null;
       setSelection(null);
@@ -951,50 +5343,280 @@ function PdfPageViewer({ fileUrl, pageIndex, interactive, onRectSelected, highli
         width: selection.width / rect.width,
         height: selection.height / rect.height,
       };
-      onRectSelected && onRectSelected(bbox);
+      onRectSelected && onRectSelected(bbox, { shiftKey: e.shiftKey });
     }
     startRef.current = null;
     setSelection(null);
   };
 
+  const handlePointerCancel = (e) => {
+    if (!ownsPointer(e)) return;
+    startRef.current = null;
+    setSelection(null);
+  };
+
+  const cursor = panning ? "cursor-grabbing" : panMode ? "cursor-grab" : "cursor-crosshair";
+
   return (
-    <div className="relative bg-slate-900 rounded-lg border border-slate-800 overflow-auto max-h-full max-w-full">
-      <div className="relative inline-block">
-        <canvas ref={canvasRef} className="block bg-slate-950" />
-        <div
-          ref={overlayRef}
-          className="absolute inset-0 cursor-crosshair"
-          onMouseDown={handleMouseDown}
-          onMouseMove={handleMouseMove}
-          onMouseUp={handleMouseUp}
-        >
-          {selection && (
+    <div
+      className="relative bg-slate-950"
+      style={{ width: renderSize.width, height: renderSize.height }}
+    >
+      <canvas
+        ref={canvasRef}
+        className="block"
+        style={{ width: renderSize.width, height: renderSize.height }}
+      />
+      <div
+        ref={overlayRef}
+        className={"absolute inset-0 select-none " + cursor}
+        style={{ touchAction: interactive ? "none" : undefined, WebkitTouchCallout: "none" }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onContextMenu={(e) => interactive && e.preventDefault()}
+      >
+        {selection && (
+          <div
+            className="absolute border border-sky-400/80 bg-sky-500/10"
+            style={{
+              left: selection.x,
+              top: selection.y,
+              width: selection.width,
+              height: selection.height,
+            }}
+          />
+        )}
+        {highlightRects &&
+          renderSize.width > 0 &&
+          highlightRects.map((r, i) => (
             <div
-              className="absolute border border-sky-400/80 bg-sky-500/10"
+              key={i}
+              className="absolute border border-amber-400/80 bg-amber-300/10"
               style={{
-                left: selection.x,
-                top: selection.y,
-                width: selection.width,
-                height: selection.height,
+                left: r.x * renderSize.width,
+                top: r.y * renderSize.height,
+                width: r.width * renderSize.width,
+                height: r.height * renderSize.height,
               }}
             />
-          )}
-          {highlightRects &&
-            renderSize.width > 0 &&
-            highlightRects.map((r, i) => (
+          ))}
+        {editableHighlights &&
+          renderSize.width > 0 &&
+          editableHighlights.map((h) => {
+            const selected = h.id === selectedHighlightId;
+            return (
+              <EditableRect
+                key={h.id}
+                rect={h.rect}
+                size={renderSize}
+                className={
+                  selected
+                    ? "border-2 border-amber-300 bg-amber-300/20"
+                    : "border border-amber-400/80 bg-amber-300/10 hover:bg-amber-300/20"
+                }
+                onClick={() => onHighlightSelect && onHighlightSelect(h.id)}
+                onChange={selected ? (rect) => onHighlightChange(h.id, rect) : undefined}
+                onCommit={selected ? (rect) => onHighlightCommit(h.id, rect) : undefined}
+                onLongPress={onHighlightLongPress ? () => onHighlightLongPress(h.id) : undefined}
+                onPanStart={onPanStart}
+              >
+                {h.label && (
+                  <span className="absolute -top-2 -left-2 w-4 h-4 rounded-full bg-amber-400 text-[10px] leading-4 text-center text-slate-900 font-semibold">
+                    {h.label}
+                  </span>
+                )}
+              </EditableRect>
+            );
+          })}
+        {candidates &&
+          renderSize.width > 0 &&
+          candidates.map((c) => (
+            <EditableRect
+              key={c.id}
+              rect={c.bbox}
+              size={renderSize}
+              className={
+                c.selected
+                  ? "border-2 border-dashed border-violet-400 bg-violet-400/15"
+                  : "border border-dashed border-slate-500 bg-slate-400/5"
+              }
+              onClick={() => onCandidateToggle && onCandidateToggle(c.id)}
+              onChange={(bbox) => onCandidateChange && onCandidateChange(c.id, bbox)}
+              onPanStart={onPanStart}
+            />
+          ))}
+        {masks &&
+          renderSize.width > 0 &&
+          masks.map((r, i) =>
+            onMaskChange ? (
+              <EditableRect
+                key={i}
+                rect={r}
+                size={renderSize}
+                className="border border-slate-300 bg-slate-600/80"
+                onChange={(bbox) => onMaskChange(i, bbox)}
+                onPanStart={onPanStart}
+              >
+                <button
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onClick={() => onMaskRemove && onMaskRemove(i)}
+                  className="absolute top-0.5 right-0.5 px-1 rounded bg-slate-900/80 text-[10px] text-slate-200 hover:text-red-300"
+                >
+                  ✕
+                </button>
+              </EditableRect>
+            ) : (
               <div
                 key={i}
-                className="absolute border border-amber-400/80 bg-amber-300/10"
+                className={`absolute ${
+                  masksRevealed
+                    ? "border border-dashed border-slate-400"
+                    : "bg-slate-600 border border-slate-400 flex items-center justify-center"
+                }`}
                 style={{
                   left: r.x * renderSize.width,
                   top: r.y * renderSize.height,
                   width: r.width * renderSize.width,
                   height: r.height * renderSize.height,
                 }}
-              />
-            ))}
-        </div>
+              >
+                {!masksRevealed && <span className="text-slate-200 text-lg">?</span>}
+              </div>
+            )
+          )}
       </div>
     </div>
   );
 }
+
+// 按住不动多久算长按
+const LONG_PRESS_MS = 500;
+// 移动超过这么多像素就不再算点按 / 长按；手指和笔比鼠标抖得厉害
+const tapSlop = (pointerType) => (pointerType === "mouse" ? 3 : 8);
+
+// 可拖动、可从四角缩放的框，坐标为归一化 bbox
+// onChange 在拖动过程中持续调用，onCommit 在松开时以最终位置调用一次。
+// 鼠标和笔拖动移动 / 缩放框；手指拖动交给 onPanStart 平移页面，只用来点按和长按。
+// onLongPress 只响应手指和笔（鼠标按住不动再拖很常见）
+function EditableRect({
+  rect,
+  size,
+  className,
+  onClick,
+  onChange,
+  onCommit,
+  onLongPress,
+  onPanStart,
+  children,
+}) {
+  const dragRef = useRef(null);
+
+  const startDrag = (e, mode) => {
+    if (e.button !== 0 || dragRef.current) return;
+    e.stopPropagation();
+    e.preventDefault();
+    const fingerPan = e.pointerType === "touch" && !!onPanStart;
+    if (fingerPan) onPanStart(e);
+    else e.currentTarget.setPointerCapture(e.pointerId);
+    const d = {
+      mode,
+      pointerId: e.pointerId,
+      x: e.clientX,
+      y: e.clientY,
+      rect,
+      moved: false,
+      slop: tapSlop(e.pointerType),
+    };
+    dragRef.current = d;
+
+    const finish = () => {
+      clearTimeout(d.timer);
+      dragRef.current = null;
+      window.removeEventListener("pointermove", handleMove);
+      window.removeEventListener("pointerup", handleUp);
+      window.removeEventListener("pointercancel", handleCancel);
+    };
+    const handleMove = (ev) => {
+      if (ev.pointerId !== d.pointerId) return;
+      if (Math.abs(ev.clientX - d.x) + Math.abs(ev.clientY - d.y) > d.slop) d.moved = true;
+      if (!d.moved || fingerPan) return;
+      const dx = (ev.clientX - d.x) / size.width;
+      const dy = (ev.clientY - d.y) / size.height;
+      d.last = resizeRect(d.rect, d.mode, dx, dy);
+      onChange && onChange(d.last);
+    };
+    const handleUp = (ev) => {
+      if (ev.pointerId !== d.pointerId) return;
+      finish();
+      if (!d.moved && d.mode === "move") onClick && onClick();
+      if (d.last && onCommit) onCommit(d.last);
+    };
+    const handleCancel = (ev) => {
+      if (ev.pointerId !== d.pointerId) return;
+      finish();
+      if (d.last && onCommit) onCommit(d.last);
+    };
+    if (onLongPress && mode === "move" && e.pointerType !== "mouse") {
+      d.timer = setTimeout(() => {
+        if (d.moved) return;
+        finish();
+        onLongPress();
+      }, LONG_PRESS_MS);
+    }
+    window.addEventListener("pointermove", handleMove);
+    window.addEventListener("pointerup", handleUp);
+    window.addEventListener("pointercancel", handleCancel);
+  };
+
+  const handles = ["nw", "ne", "sw", "se"];
+
+  return (
+    <div
+      className={"absolute cursor-move " + className}
+      style={{
+        left: rect.x * size.width,
+        top: rect.y * size.height,
+        width: rect.width * size.width,
+        height: rect.height * size.height,
+      }}
+      onPointerDown={(e) => startDrag(e, "move")}
+    >
+      {children}
+      {onChange &&
+        handles.map((h) => (
+          <div
+            key={h}
+            onPointerDown={(e) => startDrag(e, h)}
+            className="absolute w-2.5 h-2.5 bg-white border border-slate-700 rounded-sm"
+            style={{
+              left: h.includes("w") ? -5 : undefined,
+              right: h.includes("e") ? -5 : undefined,
+              top: h.includes("n") ? -5 : undefined,
+              bottom: h.includes("s") ? -5 : undefined,
+              cursor: h + "-resize",
+            }}
+          />
+        ))}
+    </div>
+  );
+}
+
+// 按拖动方式计算新的归一化框，保持在页面内且不小于最小尺寸
+function resizeRect(rect, mode, dx, dy) {
+  const min = 0.01;
+  let { x, y, width, height } = rect;
+  if (mode === "move") {
+    x = Math.min(Math.max(0, x + dx), 1 - width);
+    y = Math.min(Math.max(0, y + dy), 1 - height);
+    return { x, y, width, height };
+  }
+  let x1 = x + width;
+  let y1 = y + height;
+  if (mode.includes("w")) x = Math.min(Math.max(0, x + dx), x1 - min);
+  if (mode.includes("e")) x1 = Math.max(Math.min(1, x1 + dx), x + min);
+  if (mode.includes("n")) y = Math.min(Math.max(0, y + dy), y1 - min);
+  if (mode.includes("s")) y1 = Math.max(Math.min(1, y1 + dy), y + min);
+  return { x, y, width: x1 - x, height: y1 - y };
+}
@@ -0,0 +1,368 @@
+// 干净版与错题版的页面对齐
+// 对每一页做角点检测 + BRIEF 描述子匹配，再用 RANSAC 估计相似变换（平移 / 旋转 / 缩放），
+// 结果以归一化坐标下的仿射矩阵 [a, b, c, d, e, f] 保存：
+//   x' = a·x + b·y + c，y' = d·x + e·y + f（错题版坐标 → 干净版坐标）
+
+import { openPdfPair, renderPdfPage } from "./pdfRender";
+import { toCleanPage } from "./pageMap";
+
+const ALIGN_WIDTH = 800;
+const PATCH_RADIUS = 15;
+const BORDER = PATCH_RADIUS + 2;
+const GRID = 8;
+const PER_CELL = 10;
+const DESCRIPTOR_BITS = 256;
+const RANSAC_ITERATIONS = 600;
+const INLIER_PX = 3;
+const MIN_INLIERS = 12;
+
+export const IDENTITY = [1, 0, 0, 0, 1, 0];
+
+export function applyAffine(m, x, y) {
+  return [m[0] * x + m[1] * y + m[2], m[3] * x + m[4] * y + m[5]];
+}
+
+export function invertAffine(m) {
+  const [a, b, c, d, e, f] = m;
+  const det = a * e - b * d;
+  if (!det) return IDENTITY;
+  return [e / det, -b / det, (b * f - c * e) / det, -d / det, a / det, (c * d - a * f) / det];
+}
+
+// 变换后取四个角的外接矩形，并限制在页面内
+export function mapBbox(bbox, m) {
+  if (!bbox || !m) return bbox;
+  const corners = [
+    applyAffine(m, bbox.x, bbox.y),
+    applyAffine(m, bbox.x + bbox.width, bbox.y),
+    applyAffine(m, bbox.x, bbox.y + bbox.height),
+    applyAffine(m, bbox.x + bbox.width, bbox.y + bbox.height),
+  ];
+  const clamp01 = (v) => Math.min(1, Math.max(0, v));
+  const xs = corners.map((p) => clamp01(p[0]));
+  const ys = corners.map((p) => clamp01(p[1]));
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+// 干净版文档上记录的某页变换（错题版 → 干净版），没有或页码映射已改变时返回 null
+export function getPageTransform(cleanMeta, pageIndex) {
+  const t = cleanMeta?.pageTransforms?.[pageIndex];
+  if (!t || !t.matrix) return null;
+  if ((t.cleanPageIndex ?? pageIndex) !== toCleanPage(cleanMeta, pageIndex)) return null;
+  return t.matrix;
+}
+
+// 把 canvas 按变换重采样到目标尺寸：目标坐标经 m（归一化）映射到源坐标
+// 用于把干净版“摆正”到错题版的坐标系里
+export function warpCanvas(source, m, width, height) {
+  const out = document.createElement("canvas");
+  out.width = width;
+  out.height = height;
+  const ctx = out.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, width, height);
+  const sw = source.width;
+  const sh = source.height;
+  // 像素坐标下的 目标 → 源 变换，canvas 需要的是它的逆
+  const px = [
+    (m[0] * sw) / width,
+    (m[1] * sw) / height,
+    m[2] * sw,
+    (m[3] * sh) / width,
+    (m[4] * sh) / height,
+    m[5] * sh,
+  ];
+  const inv = invertAffine(px);
+  ctx.setTransform(inv[0], inv[3], inv[1], inv[4], inv[2], inv[5]);
+  ctx.drawImage(source, 0, 0);
+  return out;
+}
+
+// ---------- 特征提取 ----------
+
+function toGray(canvas) {
+  const { width: w, height: h } = canvas;
+  const data = canvas.getContext("2d").getImageData(0, 0, w, h).data;
+  const gray = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+  return { gray, w, h };
+}
+
+function boxBlur(src, w, h, r) {
+  const tmp = new Float32Array(w * h);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    let sum = 0;
+    for (let x = -r; x <= r; x++) sum += src[y * w + Math.min(w - 1, Math.max(0, x))];
+    for (let x = 0; x < w; x++) {
+      tmp[y * w + x] = sum / (2 * r + 1);
+      sum += src[y * w + Math.min(w - 1, x + r + 1)] - src[y * w + Math.max(0, x - r)];
+    }
+  }
+  for (let x = 0; x < w; x++) {
+    let sum = 0;
+    for (let y = -r; y <= r; y++) sum += tmp[Math.min(h - 1, Math.max(0, y)) * w + x];
+    for (let y = 0; y < h; y++) {
+      out[y * w + x] = sum / (2 * r + 1);
+      sum += tmp[Math.min(h - 1, y + r + 1) * w + x] - tmp[Math.max(0, y - r) * w + x];
+    }
+  }
+  return out;
+}
+
+// Harris 角点，按网格分桶保证分布均匀
+function detectCorners(gray, w, h) {
+  const ixx = new Float32Array(w * h);
+  const iyy = new Float32Array(w * h);
+  const ixy = new Float32Array(w * h);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const gx =
+        gray[i - w + 1] + 2 * gray[i + 1] + gray[i + w + 1] -
+        gray[i - w - 1] - 2 * gray[i - 1] - gray[i + w - 1];
+      const gy =
+        gray[i + w - 1] + 2 * gray[i + w] + gray[i + w + 1] -
+        gray[i - w - 1] - 2 * gray[i - w] - gray[i - w + 1];
+      ixx[i] = gx * gx;
+      iyy[i] = gy * gy;
+      ixy[i] = gx * gy;
+    }
+  }
+  const sxx = boxBlur(ixx, w, h, 2);
+  const syy = boxBlur(iyy, w, h, 2);
+  const sxy = boxBlur(ixy, w, h, 2);
+  const response = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    const tr = sxx[i] + syy[i];
+    response[i] = sxx[i] * syy[i] - sxy[i] * sxy[i] - 0.04 * tr * tr;
+  }
+
+  const cells = Array.from({ length: GRID * GRID }, () => []);
+  for (let y = BORDER; y < h - BORDER; y++) {
+    for (let x = BORDER; x < w - BORDER; x++) {
+      const i = y * w + x;
+      const r = response[i];
+      if (r <= 1e6) continue;
+      // 3×3 非极大值抑制
+      if (
+        r < response[i - 1] || r < response[i + 1] ||
+        r < response[i - w] || r < response[i + w] ||
+        r < response[i - w - 1] || r < response[i - w + 1] ||
+        r < response[i + w - 1] || r < response[i + w + 1]
+      ) {
+        continue;
+      }
+      const cell = Math.floor((y / h) * GRID) * GRID + Math.floor((x / w) * GRID);
+      cells[cell].push({ x, y, r });
+    }
+  }
+  return cells.flatMap((list) => list.sort((a, b) => b.r - a.r).slice(0, PER_CELL));
+}
+
+// 固定种子的随机点对，两份文档用同一组采样模式
+function buildPattern() {
+  let seed = 0x2f6b9d;
+  const rand = () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const gauss = () => {
+    const v = Math.sqrt(-2 * Math.log(rand() + 1e-9)) * Math.cos(2 * Math.PI * rand());
+    return Math.max(-PATCH_RADIUS, Math.min(PATCH_RADIUS, Math.round((v * PATCH_RADIUS) / 2.5)));
+  };
+  return Array.from({ length: DESCRIPTOR_BITS }, () => [gauss(), gauss(), gauss(), gauss()]);
+}
+
+const PATTERN = buildPattern();
+
+function describe(smooth, w, corners) {
+  return corners.map((c) => {
+    const bits = new Uint32Array(DESCRIPTOR_BITS / 32);
+    PATTERN.forEach(([x1, y1, x2, y2], k) => {
+      if (smooth[(c.y + y1) * w + c.x + x1] < smooth[(c.y + y2) * w + c.x + x2]) {
+        bits[k >> 5] |= 1 << (k & 31);
+      }
+    });
+    return { x: c.x, y: c.y, bits };
+  });
+}
+
+function popcount(v) {
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hamming(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) d += popcount(a[i] ^ b[i]);
+  return d;
+}
+
+function extractFeatures(canvas) {
+  const { gray, w, h } = toGray(canvas);
+  const smooth = boxBlur(gray, w, h, 2);
+  return { features: describe(smooth, w, detectCorners(gray, w, h)), w, h };
+}
+
+// 最近邻比值检验 + 双向一致
+function matchFeatures(fa, fb) {
+  const nearest = (f, list) => {
+    let best = Infinity;
+    let second = Infinity;
+    let idx = -1;
+    list.forEach((g, j) => {
+      const d = hamming(f.bits, g.bits);
+      if (d < best) {
+        second = best;
+        best = d;
+        idx = j;
+      } else if (d < second) {
+        second = d;
+      }
+    });
+    return { idx, best, second };
+  };
+  const matches = [];
+  fa.forEach((f, i) => {
+    const ab = nearest(f, fb);
+    if (ab.idx < 0 || ab.best > 64 || ab.best > 0.8 * ab.second) return;
+    if (nearest(fb[ab.idx], fa).idx !== i) return;
+    matches.push([f, fb[ab.idx]]);
+  });
+  return matches;
+}
+
+// ---------- 相似变换估计 ----------
+
+// 最小二乘相似变换：q = [A -B; B A]·p + t
+function fitSimilarity(pairs) {
+  const n = pairs.length;
+  let px = 0;
+  let py = 0;
+  let qx = 0;
+  let qy = 0;
+  pairs.forEach(([p, q]) => {
+    px += p.x;
+    py += p.y;
+    qx += q.x;
+    qy += q.y;
+  });
+  px /= n;
+  py /= n;
+  qx /= n;
+  qy /= n;
+  let num1 = 0;
+  let num2 = 0;
+  let den = 0;
+  pairs.forEach(([p, q]) => {
+    const ax = p.x - px;
+    const ay = p.y - py;
+    const bx = q.x - qx;
+    const by = q.y - qy;
+    num1 += ax * bx + ay * by;
+    num2 += ax * by - ay * bx;
+    den += ax * ax + ay * ay;
+  });
+  if (!den) return null;
+  const A = num1 / den;
+  const B = num2 / den;
+  return { A, B, tx: qx - A * px + B * py, ty: qy - B * px - A * py };
+}
+
+function residual(s, [p, q]) {
+  const x = s.A * p.x - s.B * p.y + s.tx;
+  const y = s.B * p.x + s.A * p.y + s.ty;
+  return Math.hypot(x - q.x, y - q.y);
+}
+
+function ransac(matches) {
+  if (matches.length < MIN_INLIERS) return null;
+  let best = null;
+  let bestInliers = [];
+  for (let it = 0; it < RANSAC_ITERATIONS; it++) {
+    const i = Math.floor(Math.random() * matches.length);
+    const j = Math.floor(Math.random() * matches.length);
+    if (i === j) continue;
+    const s = fitSimilarity([matches[i], matches[j]]);
+    if (!s) continue;
+    const inliers = matches.filter((m) => residual(s, m) < INLIER_PX);
+    if (inliers.length > bestInliers.length) {
+      best = s;
+      bestInliers = inliers;
+    }
+  }
+  if (!best || bestInliers.length < MIN_INLIERS) return null;
+  const refined = fitSimilarity(bestInliers) || best;
+  const inliers = matches.filter((m) => residual(refined, m) < INLIER_PX);
+  const rms = Math.sqrt(
+    inliers.reduce((sum, m) => sum + residual(refined, m) ** 2, 0) / Math.max(1, inliers.length)
+  );
+  return { s: refined, inliers: inliers.length, rms };
+}
+
+// 估计一页的变换；匹配不足或结果离谱（缩放 / 旋转过大）时返回 null
+export function estimatePageTransform(markedCanvas, cleanCanvas) {
+  const a = extractFeatures(markedCanvas);
+  const b = extractFeatures(cleanCanvas);
+  const matches = matchFeatures(a.features, b.features);
+  const res = ransac(matches);
+  if (!res) return null;
+  const { A, B, tx, ty } = res.s;
+  const scale = Math.hypot(A, B);
+  const angle = (Math.atan2(B, A) * 180) / Math.PI;
+  if (scale < 0.5 || scale > 2 || Math.abs(angle) > 20) return null;
+
+  // 像素坐标下的相似变换换算成归一化坐标下的仿射矩阵
+  return {
+    matrix: [
+      (A * a.w) / b.w,
+      (-B * a.h) / b.w,
+      tx / b.w,
+      (B * a.w) / b.h,
+      (A * a.h) / b.h,
+      ty / b.h,
+    ],
+    scale,
+    angle,
+    inliers: res.inliers,
+    matches: matches.length,
+    rms: res.rms,
+  };
+}
+
+// 对齐一组页对（见 pageMap.mappedPagePairs），返回 { [错题版页码]: 结果 }，失败的页 matrix 为 null
+export async function alignPages({ markedUrl, cleanUrl, pages, onProgress }) {
+  const [markedPdf, cleanPdf] = await openPdfPair(markedUrl, cleanUrl);
+  const result = {};
+  try {
+    for (let i = 0; i < pages.length; i++) {
+      const { markedIndex, cleanIndex } = pages[i];
+      onProgress && onProgress(i, pages.length);
+      const marked = await renderPdfPage(markedPdf, markedIndex, { width: ALIGN_WIDTH });
+      const clean = await renderPdfPage(cleanPdf, cleanIndex, { width: ALIGN_WIDTH });
+      const t = estimatePageTransform(marked, clean);
+      result[markedIndex] = {
+        cleanPageIndex: cleanIndex,
+        matrix: t ? t.matrix : null,
+        scale: t?.scale ?? null,
+        angle: t?.angle ?? null,
+        inliers: t?.inliers ?? 0,
+        rms: t?.rms ?? null,
+        computedAt: new Date().toISOString(),
+      };
+    }
+    onProgress && onProgress(pages.length, pages.length);
+  } finally {
+    markedPdf.destroy();
+    cleanPdf.destroy();
+  }
+  return result;
+}
@@ -0,0 +1,177 @@
+// 仪表盘统计：全部基于 reviewLogs 与错题上的 nextReviewAt 计算，不另存数据
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RATING_LABELS = {
+  again: "完全忘",
+  hard: "模糊",
+  good: "基本记",
+  easy: "很熟",
+};
+
+// 按复习前的间隔分组统计真实记忆保持率
+export const INTERVAL_BUCKETS = [
+  { label: "当天", min: 0, max: 1 },
+  { label: "1 天", min: 1, max: 2 },
+  { label: "2–3 天", min: 2, max: 4 },
+  { label: "4–7 天", min: 4, max: 8 },
+  { label: "8–14 天", min: 8, max: 15 },
+  { label: "15–30 天", min: 15, max: 31 },
+  { label: "31–90 天", min: 31, max: 91 },
+  { label: "90 天以上", min: 91, max: Infinity },
+];
+
+// 本地日期 YYYY-MM-DD
+export function dayKey(date) {
+  const d = new Date(date);
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${m}-${day}`;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+// 所在周的周一 0 点
+function startOfWeek(date) {
+  const d = startOfDay(date);
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
+
+// 自定义复习中不影响排期的评分不算进保持率
+function scheduledLogs(reviewLogs) {
+  return reviewLogs.filter((l) => !l.practice && l.reviewedAt && RATING_LABELS[l.rating]);
+}
+
+// 日历热力图：最近 weeks 周，按周一开头分列
+export function reviewHeatmap(reviewLogs, { weeks = 26, now = new Date() } = {}) {
+  const counts = new Map();
+  reviewLogs.forEach((l) => {
+    if (!l.reviewedAt) return;
+    const key = dayKey(l.reviewedAt);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const today = startOfDay(now);
+  const start = addDays(startOfWeek(today), -(weeks - 1) * 7);
+  const columns = [];
+  let max = 0;
+  let total = 0;
+  for (let w = 0; w < weeks; w++) {
+    const column = [];
+    for (let d = 0; d < 7; d++) {
+      const date = addDays(start, w * 7 + d);
+      if (date > today) {
+        column.push(null);
+        continue;
+      }
+      const key = dayKey(date);
+      const count = counts.get(key) || 0;
+      max = Math.max(max, count);
+      total += count;
+      column.push({ date: key, count });
+    }
+    columns.push(column);
+  }
+  return { columns, max, total };
+}
+
+export function retentionByInterval(reviewLogs) {
+  const buckets = INTERVAL_BUCKETS.map((b) => ({ ...b, total: 0, recalled: 0 }));
+  scheduledLogs(reviewLogs).forEach((l) => {
+    const interval = l.oldInterval || 0;
+    const bucket = buckets.find((b) => interval >= b.min && interval < b.max);
+    if (!bucket) return;
+    bucket.total += 1;
+    if (l.rating !== "again") bucket.recalled += 1;
+  });
+  return buckets.map((b) => ({ ...b, rate: b.total ? b.recalled / b.total : null }));
+}
+
+// 每周各评分的次数，最近 weeks 周；按本地日历的周一归组，夏令时切换的那周不会错位
+export function ratingDistribution(reviewLogs, { weeks = 12, now = new Date() } = {}) {
+  const firstMonday = addDays(startOfWeek(now), -(weeks - 1) * 7);
+  const rows = Array.from({ length: weeks }, (_, i) => ({
+    weekStart: dayKey(addDays(firstMonday, i * 7)),
+    again: 0,
+    hard: 0,
+    good: 0,
+    easy: 0,
+    total: 0,
+  }));
+  const rowByWeek = new Map(rows.map((row) => [row.weekStart, row]));
+  reviewLogs.forEach((l) => {
+    if (!l.reviewedAt || !RATING_LABELS[l.rating]) return;
+    const row = rowByWeek.get(dayKey(startOfWeek(l.reviewedAt)));
+    if (!row) return;
+    row[l.rating] += 1;
+    row.total += 1;
+  });
+  return rows;
+}
+
+// 未来 days 天每天到期的错题数，已过期的算在今天
+export function dueForecast(mistakes, { days = 30, now = new Date() } = {}) {
+  const today = startOfDay(now);
+  const rows = Array.from({ length: days }, (_, i) => ({
+    date: dayKey(addDays(today, i)),
+    count: 0,
+  }));
+  mistakes.forEach((m) => {
+    const due = m.nextReviewAt ? startOfDay(m.nextReviewAt) : today;
+    const i = Math.max(0, Math.round((due - today) / DAY_MS));
+    if (i < days) rows[i].count += 1;
+  });
+  return rows;
+}
+
+// 按分组汇总：keysOf(m) 返回错题所属的分组（一道错题可以属于多个标签）
+export function groupBreakdown(mistakes, reviewLogs, keysOf, { now = new Date() } = {}) {
+  const byMistake = new Map();
+  scheduledLogs(reviewLogs).forEach((l) => {
+    const list = byMistake.get(l.mistakeId) || [];
+    list.push(l);
+    byMistake.set(l.mistakeId, list);
+  });
+
+  const groups = new Map();
+  mistakes.forEach((m) => {
+    keysOf(m).forEach((key) => {
+      const g = groups.get(key) || {
+        key,
+        mistakes: 0,
+        due: 0,
+        reviews: 0,
+        recalled: 0,
+        intervalSum: 0,
+      };
+      const logs = byMistake.get(m.id) || [];
+      g.mistakes += 1;
+      if (!m.nextReviewAt || new Date(m.nextReviewAt) <= now) g.due += 1;
+      g.reviews += logs.length;
+      g.recalled += logs.filter((l) => l.rating !== "again").length;
+      g.intervalSum += m.intervalDays || 0;
+      groups.set(key, g);
+    });
+  });
+
+  return Array.from(groups.values())
+    .map((g) => ({
+      key: g.key,
+      mistakes: g.mistakes,
+      due: g.due,
+      reviews: g.reviews,
+      retention: g.reviews ? g.recalled / g.reviews : null,
+      avgInterval: g.intervalSum / g.mistakes,
+    }))
+    .sort((a, b) => b.mistakes - a.mistakes);
+}
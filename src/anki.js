@@ -0,0 +1,384 @@
+// 导出 Anki 卡组（.apkg）：每道错题一张卡，正面是干净版题目裁图，背面是错题版裁图 + 标题 / 备注
+// 排期（intervalDays / easiness / nextReviewAt）写进卡片的 ivl / factor / due，复习记录写进 revlog
+// .apkg 是一个 zip：collection.anki2（旧版 schema 11 的 SQLite 库）+ media（编号 → 文件名）+ 编号命名的图片
+
+import { zipSync, strToU8 } from "fflate";
+import { openPdf, renderCrop } from "./pdfRender";
+import { mistakeRegions } from "./regions";
+import { questionSource } from "./worksheet";
+import { canvasToJpeg } from "./pdfWriter";
+import { buildSqliteDatabase } from "./sqliteWriter";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IMAGE_WIDTH = 1000;
+// 固定的笔记类型 id：重复导出时 Anki 会认成同一个笔记类型，按 guid 更新已有笔记
+const MODEL_ID = 1700000000317;
+const DECK_ROOT = "错题本";
+const FIELDS = ["题目", "批改", "标题", "备注", "来源"];
+const RATING_EASE = { again: 1, hard: 2, good: 3, easy: 4 };
+
+const SCHEMA = {
+  col: `CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)`,
+  notes: `CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)`,
+  cards: `CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)`,
+  revlog: `CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)`,
+  graves: `CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)`,
+};
+
+const CARD_CSS = `.card { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; font-size: 18px; text-align: center; color: #0f172a; background: #fff; }
+img { max-width: 100%; }
+.title { font-weight: 600; margin-top: 8px; }
+.note { text-align: left; margin-top: 6px; }
+.source { color: #94a3b8; font-size: 12px; margin-top: 8px; }`;
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const textField = (text) => escapeHtml(text).replace(/\n/g, "<br>");
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// Anki 用第一个字段去掉 HTML 后 SHA-1 的前 8 位判断重复，图片保留文件名
+async function fieldChecksum(html) {
+  const text = html
+    .replace(/<img[^>]*src="([^"]*)"[^>]*>/g, " $1 ")
+    .replace(/<[^>]+>/g, "")
+    .trim();
+  const hash = await crypto.subtle.digest("SHA-1", strToU8(text));
+  const hex = Array.from(new Uint8Array(hash).slice(0, 4))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  return parseInt(hex, 16);
+}
+
+function deckConfig(now) {
+  return {
+    id: 1,
+    name: "Default",
+    mod: Math.floor(now / 1000),
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 0], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+    rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, bury: false, hardFactor: 1.2 },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 },
+  };
+}
+
+function deck(id, name, now) {
+  return {
+    id,
+    name,
+    mod: Math.floor(now / 1000),
+    usn: 0,
+    lrnToday: [0, 0],
+    revToday: [0, 0],
+    newToday: [0, 0],
+    timeToday: [0, 0],
+    collapsed: false,
+    browserCollapsed: false,
+    desc: "",
+    dyn: 0,
+    conf: 1,
+    extendNew: 0,
+    extendRev: 0,
+  };
+}
+
+function noteModel(now) {
+  return {
+    id: MODEL_ID,
+    name: "错题卡",
+    type: 0,
+    mod: Math.floor(now / 1000),
+    usn: 0,
+    sortf: 2,
+    did: 1,
+    tmpls: [
+      {
+        name: "重做",
+        ord: 0,
+        qfmt: "{{题目}}",
+        afmt:
+          `{{FrontSide}}<hr id=answer>{{批改}}` +
+          `<div class="title">{{标题}}</div><div class="note">{{备注}}</div>` +
+          `<div class="source">{{来源}}</div>`,
+        bqfmt: "",
+        bafmt: "",
+        did: null,
+        bfont: "",
+        bsize: 0,
+      },
+    ],
+    flds: FIELDS.map((name, ord) => ({
+      name,
+      ord,
+      sticky: false,
+      rtl: false,
+      font: "Arial",
+      size: 20,
+      media: [],
+    })),
+    css: CARD_CSS,
+    latexPre:
+      "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}",
+    latexsvg: false,
+    req: [[0, "any", [0]]],
+    tags: [],
+    vers: [],
+  };
+}
+
+// 递增取不重复的 id（Anki 的 id 都是毫秒时间戳）
+function idAllocator() {
+  const used = new Set();
+  return (preferred) => {
+    let id = Math.floor(preferred);
+    while (used.has(id)) id += 1;
+    used.add(id);
+    return id;
+  };
+}
+
+// getFileUrl(fingerprint, role) 返回已加载 PDF 的地址，未加载时返回 null
+// 返回 { blob, count, skipped }，skipped 为题目 PDF 未加载、无法裁图的错题
+export async function buildAnkiPackage({
+  mistakes,
+  reviewLogs,
+  documentMetas,
+  getFileUrl,
+  padding = 0,
+  now = new Date(),
+  onProgress,
+}) {
+  const docs = new Map();
+  const getPdf = (url) => {
+    if (!docs.has(url)) docs.set(url, openPdf(url));
+    return docs.get(url);
+  };
+  const titleOf = (fingerprint) =>
+    documentMetas.find((d) => d.fingerprint === fingerprint)?.title || "未命名文档";
+
+  const media = {};
+  const files = {};
+  const addImages = async (url, regions, prefix) => {
+    const pdf = await getPdf(url);
+    const tags = [];
+    for (let i = 0; i < regions.length; i++) {
+      const { canvas } = await renderCrop(pdf, regions[i].pageIndex, regions[i].bbox, {
+        padding,
+        targetWidth: IMAGE_WIDTH,
+      });
+      const name = `${prefix}-${i + 1}.jpg`;
+      const key = String(Object.keys(media).length);
+      media[key] = name;
+      // JPEG 已压缩，zip 里直接存储
+      files[key] = [(await canvasToJpeg(canvas)).bytes, { level: 0 }];
+      tags.push(`<img src="${name}">`);
+    }
+    return tags.join("<br>");
+  };
+
+  const nowMs = now.getTime();
+  const crt = startOfDay(now);
+  const nextId = idAllocator();
+  const decks = { 1: deck(1, "Default", nowMs) };
+  const deckIds = new Map();
+  const deckFor = (title) => {
+    const name = `${DECK_ROOT}::${title.replace(/::/g, ":")}`;
+    if (!deckIds.has(name)) {
+      if (deckIds.size === 0) {
+        const rootId = nextId(nowMs);
+        decks[rootId] = deck(rootId, DECK_ROOT, nowMs);
+      }
+      const id = nextId(nowMs);
+      decks[id] = deck(id, name, nowMs);
+      deckIds.set(name, id);
+    }
+    return deckIds.get(name);
+  };
+
+  const logsByMistake = new Map();
+  reviewLogs
+    .filter((l) => !l.practice && l.reviewedAt && RATING_EASE[l.rating])
+    .sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt))
+    .forEach((l) => {
+      const list = logsByMistake.get(l.mistakeId) || [];
+      list.push(l);
+      logsByMistake.set(l.mistakeId, list);
+    });
+
+  const notes = [];
+  const cards = [];
+  const revlog = [];
+  const skipped = [];
+  let newPosition = 0;
+
+  try {
+    for (let i = 0; i < mistakes.length; i++) {
+      const m = mistakes[i];
+      onProgress?.({ done: i, total: mistakes.length });
+      const source = questionSource(m, documentMetas, getFileUrl);
+      if (!source) {
+        skipped.push(m);
+        continue;
+      }
+      const front = await addImages(source.url, source.regions, `cuoti-${m.id}-q`);
+      const markedUrl = getFileUrl(m.originalFingerprint, "with_handwriting");
+      const back = markedUrl
+        ? await addImages(markedUrl, mistakeRegions(m), `cuoti-${m.id}-a`)
+        : "";
+      const pages = Array.from(new Set(mistakeRegions(m).map((r) => r.pageIndex + 1)));
+      const paperTitle = titleOf(m.originalFingerprint);
+      const fields = [
+        front,
+        back,
+        textField(m.title),
+        textField(m.note),
+        escapeHtml(`${paperTitle} · 第 ${pages.join("、")} 页`),
+      ];
+
+      const noteId = nextId(new Date(m.createdAt).getTime() || nowMs);
+      const mod = Math.floor(nowMs / 1000);
+      const tags = (m.tags || []).map((t) => t.replace(/\s+/g, "_"));
+      notes.push({
+        rowid: noteId,
+        values: [
+          null,
+          `cuoti-${m.id}`,
+          MODEL_ID,
+          mod,
+          -1,
+          tags.length ? ` ${tags.join(" ")} ` : "",
+          fields.join("\x1f"),
+          m.title || "",
+          await fieldChecksum(front),
+          0,
+          "",
+        ],
+      });
+
+      // 复习过的按复习卡导入，due 为距 crt 的天数；没复习过的按新卡
+      const logs = logsByMistake.get(m.id) || [];
+      const reviewed = !!m.lastReviewedAt || logs.length > 0;
+      const factor = Math.max(1300, Math.round((m.easiness || 2.5) * 1000));
+      const cardId = nextId(noteId);
+      const due = reviewed
+        ? Math.round((startOfDay(m.nextReviewAt || now) - crt) / DAY_MS)
+        : ++newPosition;
+      cards.push({
+        rowid: cardId,
+        values: [
+          null,
+          noteId,
+          deckFor(paperTitle),
+          0,
+          mod,
+          -1,
+          reviewed ? 2 : 0,
+          reviewed ? 2 : 0,
+          due,
+          reviewed ? Math.max(1, Math.round(m.intervalDays || 0)) : 0,
+          reviewed ? factor : 0,
+          logs.length,
+          logs.filter((l) => l.rating === "again").length,
+          0,
+          0,
+          0,
+          0,
+          "",
+        ],
+      });
+      logs.forEach((l, k) =>
+        revlog.push({
+          rowid: nextId(new Date(l.reviewedAt).getTime()),
+          values: [
+            null,
+            cardId,
+            -1,
+            RATING_EASE[l.rating],
+            Math.round(l.newInterval || 0),
+            Math.round(l.oldInterval || 0),
+            factor,
+            0,
+            k === 0 ? 0 : 1,
+          ],
+        })
+      );
+    }
+  } finally {
+    for (const p of docs.values()) p.then((pdf) => pdf.destroy()).catch(() => {});
+  }
+  onProgress?.({ done: mistakes.length, total: mistakes.length });
+  if (notes.length === 0) return { blob: null, count: 0, skipped };
+
+  const conf = {
+    nextPos: newPosition + 1,
+    estTimes: true,
+    activeDecks: [1],
+    sortType: "noteFld",
+    timeLim: 0,
+    sortBackwards: false,
+    addToCur: true,
+    curDeck: 1,
+    newSpread: 0,
+    dueCounts: true,
+    curModel: MODEL_ID,
+    collapseTime: 1200,
+  };
+  const byRowid = (a, b) => a.rowid - b.rowid;
+  const collection = buildSqliteDatabase([
+    {
+      name: "col",
+      sql: SCHEMA.col,
+      rows: [
+        {
+          rowid: 1,
+          values: [
+            null,
+            Math.floor(crt.getTime() / 1000),
+            nowMs,
+            nowMs,
+            11,
+            0,
+            0,
+            0,
+            JSON.stringify(conf),
+            JSON.stringify({ [MODEL_ID]: noteModel(nowMs) }),
+            JSON.stringify(decks),
+            JSON.stringify({ 1: deckConfig(nowMs) }),
+            "{}",
+          ],
+        },
+      ],
+    },
+    { name: "notes", sql: SCHEMA.notes, rows: notes.sort(byRowid) },
+    { name: "cards", sql: SCHEMA.cards, rows: cards.sort(byRowid) },
+    { name: "revlog", sql: SCHEMA.revlog, rows: revlog.sort(byRowid) },
+    { name: "graves", sql: SCHEMA.graves, rows: [] },
+  ]);
+
+  const zip = zipSync({
+    "collection.anki2": collection,
+    media: strToU8(JSON.stringify(media)),
+    ...files,
+  });
+  return {
+    blob: new Blob([zip], { type: "application/octet-stream" }),
+    count: notes.length,
+    skipped,
+  };
+}
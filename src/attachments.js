@@ -0,0 +1,60 @@
+// 错题附图：粘贴 / 拖入的图片（课本照片、解答截图）和手绘草图
+// 照片往往几 MB，长边超过 MAX_SIDE 或文件过大时先缩小再存
+
+import { createId } from "./id";
+
+const MAX_SIDE = 1600;
+const MAX_BYTES = 1.5 * 1024 * 1024;
+
+export const ATTACHMENT_KINDS = {
+  image: "图片",
+  sketch: "手绘",
+};
+
+// 从粘贴 / 拖放的数据里取出图片文件
+export function imageFilesFrom(dataTransfer) {
+  if (!dataTransfer) return [];
+  return Array.from(dataTransfer.files || []).filter((f) => f.type.startsWith("image/"));
+}
+
+export async function prepareImage(file) {
+  const bitmap = await createImageBitmap(file);
+  const { width, height } = bitmap;
+  const scale = Math.min(1, MAX_SIDE / Math.max(width, height));
+  if (scale === 1 && file.size <= MAX_BYTES) {
+    bitmap.close();
+    return { blob: file, width, height };
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext("2d");
+  // 透明背景的截图转 JPEG 时垫白底
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error("图片压缩失败"))),
+      "image/jpeg",
+      0.85
+    )
+  );
+  return { blob, width: canvas.width, height: canvas.height };
+}
+
+export function newAttachment(mistakeId, kind, { blob, width, height }, name = "") {
+  return {
+    id: createId(),
+    mistakeId,
+    kind,
+    blob,
+    type: blob.type,
+    name,
+    size: blob.size,
+    width,
+    height,
+    createdAt: new Date().toISOString(),
+  };
+}
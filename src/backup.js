@@ -0,0 +1,214 @@
+// 整本错题本的备份与恢复
+// 备份文件是一个 zip：manifest.json（文档、错题、复习记录、附图信息）+ pdfs/<指纹>.pdf
+// + attachments/<附图 id>
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from "fflate";
+import { loadPdfFile, loadAllAttachments, SCHEMA_VERSION } from "./storage";
+import { normalizeMistakeRegions } from "./regions";
+
+const BACKUP_FORMAT = "wrongbook-backup";
+const BACKUP_VERSION = 1;
+const MANIFEST_PATH = "manifest.json";
+
+const pdfPath = (fingerprint) => "pdfs/" + fingerprint + ".pdf";
+const attachmentPath = (id) => "attachments/" + id;
+const docKey = (d) => d.fingerprint + "|" + d.role;
+
+// 冲突检测时比较的错题字段
+const MISTAKE_FIELDS = [
+  "nextReviewAt",
+  "intervalDays",
+  "easiness",
+  "reviewStreak",
+  "lastReviewedAt",
+  "pageIndex",
+  "bbox",
+  "regions",
+  "masks",
+  "title",
+  "note",
+  "tags",
+  "errorCause",
+  "questionDifficulty",
+  "correctAnswer",
+];
+
+export async function buildBackupArchive({ documents, mistakes, reviews }) {
+  const entries = {};
+  const files = [];
+  const fingerprints = Array.from(new Set(documents.map((d) => d.fingerprint)));
+  for (const fingerprint of fingerprints) {
+    const rec = await loadPdfFile(fingerprint);
+    if (!rec) continue;
+    const path = pdfPath(fingerprint);
+    // PDF 本身已压缩，直接存储
+    entries[path] = [new Uint8Array(await rec.blob.arrayBuffer()), { level: 0 }];
+    files.push({ fingerprint, name: rec.name, size: rec.size, path });
+  }
+
+  // 附图的 blob 单独存文件，manifest 里只留元信息
+  const attachments = [];
+  for (const { blob, ...meta } of await loadAllAttachments()) {
+    const path = attachmentPath(meta.id);
+    entries[path] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+    attachments.push({ ...meta, path });
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    documents,
+    mistakes,
+    reviews,
+    attachments,
+    files,
+  };
+  entries[MANIFEST_PATH] = strToU8(JSON.stringify(manifest));
+
+  return new Blob([zipSync(entries)], { type: "application/zip" });
+}
+
+export async function readBackupArchive(file) {
+  let entries;
+  try {
+    entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+  } catch {
+    throw new Error("不是有效的备份文件（无法解压）");
+  }
+  if (!entries[MANIFEST_PATH]) {
+    throw new Error("备份文件中缺少 manifest.json");
+  }
+  const manifest = JSON.parse(strFromU8(entries[MANIFEST_PATH]));
+  if (manifest.format !== BACKUP_FORMAT) {
+    throw new Error("不是 Wrongbook 的备份文件");
+  }
+  if (manifest.version > BACKUP_VERSION || manifest.schemaVersion > SCHEMA_VERSION) {
+    throw new Error("备份来自更新版本的 Wrongbook，请先升级后再导入");
+  }
+
+  const files = new Map();
+  (manifest.files || []).forEach((f) => {
+    const data = entries[f.path];
+    if (!data) return;
+    const blob = new Blob([data], { type: "application/pdf" });
+    files.set(f.fingerprint, new File([blob], f.name || f.fingerprint + ".pdf", {
+      type: "application/pdf",
+    }));
+  });
+
+  const attachments = [];
+  (manifest.attachments || []).forEach(({ path, ...meta }) => {
+    const data = entries[path];
+    if (!data || !meta.id) return;
+    attachments.push({ ...meta, blob: new Blob([data], { type: meta.type || "image/png" }) });
+  });
+
+  return {
+    documents: manifest.documents || [],
+    // 早于 schema v4 的备份里错题还没有 regions
+    mistakes: (manifest.mistakes || []).map(normalizeMistakeRegions),
+    reviews: manifest.reviews || [],
+    attachments,
+    files,
+  };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// 合并备份与本地数据：文档按指纹、错题和复习记录按 id 去重
+// 同一错题两边不一致时，保留最近复习过的那一份（相同则保留本地），并记为冲突
+export function mergeBackup(local, incoming, storedFingerprints) {
+  const result = {
+    documents: [],
+    mistakes: [],
+    reviews: [],
+    attachments: [],
+    files: [],
+    conflicts: [],
+    skipped: { documents: 0, mistakes: 0, reviews: 0, attachments: 0 },
+  };
+
+  // 本地已有同一文件时沿用本地的配对 id，备份里的错题跟着改过来
+  const pairRemap = new Map();
+  const localDocs = new Map(local.documents.map((d) => [docKey(d), d]));
+  const incomingDocs = incoming.documents.filter((d) => d && d.fingerprint && d.role);
+  incomingDocs.forEach((doc) => {
+    const existing = localDocs.get(docKey(doc));
+    if (existing && existing.pairGroupId !== doc.pairGroupId) {
+      pairRemap.set(doc.pairGroupId, existing.pairGroupId);
+    }
+  });
+  incomingDocs.forEach((doc) => {
+    const existing = localDocs.get(docKey(doc));
+    if (!existing) {
+      const pairGroupId = pairRemap.get(doc.pairGroupId) || doc.pairGroupId;
+      result.documents.push({ ...doc, pairGroupId });
+      return;
+    }
+    result.skipped.documents += 1;
+    if (existing.pageCount !== doc.pageCount) {
+      result.conflicts.push({
+        type: "document",
+        id: doc.fingerprint,
+        label: existing.title || doc.title,
+        fields: ["pageCount"],
+        kept: "local",
+      });
+    }
+  });
+
+  const localMistakes = new Map(local.mistakes.map((m) => [m.id, m]));
+  incoming.mistakes.forEach((raw) => {
+    if (!raw || !raw.id) return;
+    const m = { ...raw, pairGroupId: pairRemap.get(raw.pairGroupId) || raw.pairGroupId };
+    const existing = localMistakes.get(m.id);
+    if (!existing) {
+      result.mistakes.push(m);
+      return;
+    }
+    result.skipped.mistakes += 1;
+    const fields = MISTAKE_FIELDS.filter((f) => !sameValue(existing[f], m[f]));
+    if (fields.length === 0) return;
+    const incomingNewer = (m.lastReviewedAt || "") > (existing.lastReviewedAt || "");
+    if (incomingNewer) result.mistakes.push(m);
+    result.conflicts.push({
+      type: "mistake",
+      id: m.id,
+      label: existing.title || m.title || "第 " + (existing.pageIndex + 1) + " 页错题",
+      fields,
+      local: { nextReviewAt: existing.nextReviewAt, lastReviewedAt: existing.lastReviewedAt },
+      incoming: { nextReviewAt: m.nextReviewAt, lastReviewedAt: m.lastReviewedAt },
+      kept: incomingNewer ? "incoming" : "local",
+    });
+  });
+
+  const localReviewIds = new Set(local.reviews.map((r) => r.id));
+  incoming.reviews.forEach((r) => {
+    if (!r || !r.id) return;
+    if (localReviewIds.has(r.id)) {
+      result.skipped.reviews += 1;
+      return;
+    }
+    result.reviews.push(r);
+  });
+
+  // 附图只增不改，按 id 去重
+  const localAttachmentIds = new Set(local.attachmentIds || []);
+  (incoming.attachments || []).forEach((a) => {
+    if (localAttachmentIds.has(a.id)) {
+      result.skipped.attachments += 1;
+      return;
+    }
+    result.attachments.push(a);
+  });
+
+  incoming.files.forEach((file, fingerprint) => {
+    if (!storedFingerprints.has(fingerprint)) result.files.push({ fingerprint, file });
+  });
+
+  return result;
+}
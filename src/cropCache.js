@@ -0,0 +1,45 @@
+// 错题卡片上的题目缩略图：按文档指纹 + 区域缓存 dataURL，同一时间只渲染一张
+
+import { renderCrop } from "./pdfRender";
+import { withPdfDocument } from "./pdfDocuments";
+
+const THUMB_WIDTH = 480;
+const MAX_ENTRIES = 300;
+
+const cache = new Map();
+let queue = Promise.resolve();
+
+function cacheKey(fingerprint, region, padding) {
+  const b = region.bbox;
+  return [fingerprint, region.pageIndex, b.x, b.y, b.width, b.height, padding]
+    .map((v) => (typeof v === "number" ? v.toFixed(4) : v))
+    .join(":");
+}
+
+export function peekCropThumbnail(fingerprint, region, padding) {
+  return cache.get(cacheKey(fingerprint, region, padding)) || null;
+}
+
+export function getCropThumbnail(fileUrl, fingerprint, region, padding = 0) {
+  const key = cacheKey(fingerprint, region, padding);
+  if (cache.has(key)) {
+    // 重新插入，让最近用过的排在最后
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    return Promise.resolve(value);
+  }
+  const task = queue.then(async () => {
+    if (cache.has(key)) return cache.get(key);
+    const { canvas } = await withPdfDocument(fileUrl, fingerprint, (pdf) =>
+      renderCrop(pdf, region.pageIndex, region.bbox, { padding, targetWidth: THUMB_WIDTH })
+    );
+    const url = canvas.toDataURL("image/jpeg", 0.8);
+    cache.set(key, url);
+    while (cache.size > MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    return url;
+  });
+  // 一张失败不影响后面的
+  queue = task.catch(() => {});
+  return task;
+}
@@ -0,0 +1,123 @@
+// 表格分析用的 CSV 导出：错题元数据、复习记录各一份，带 BOM 方便 Excel 直接识别 UTF-8；
+// 两份打成一个 zip 下载，浏览器一次只下载一个文件时不会丢掉第二份
+
+import { zipSync, strToU8 } from "fflate";
+import { mistakeRegions } from "./regions";
+import { RATING_LABELS } from "./analytics";
+
+function csvCell(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  const lines = [header, ...rows].map((row) => row.map(csvCell).join(","));
+  return strToU8("\uFEFF" + lines.join("\r\n") + "\r\n");
+}
+
+const paperTitle = (documentMetas, fingerprint) =>
+  documentMetas.find((d) => d.fingerprint === fingerprint)?.title || "";
+
+function mistakesCsv(mistakes, reviewLogs, documentMetas) {
+  const stats = new Map();
+  reviewLogs.forEach((l) => {
+    if (l.practice) return;
+    const s = stats.get(l.mistakeId) || { reviews: 0, again: 0 };
+    s.reviews += 1;
+    if (l.rating === "again") s.again += 1;
+    stats.set(l.mistakeId, s);
+  });
+  const header = [
+    "id",
+    "试卷",
+    "页码",
+    "区域数",
+    "标题",
+    "备注",
+    "标签",
+    "错因",
+    "题目难度",
+    "正确答案",
+    "创建时间",
+    "上次复习",
+    "下次复习",
+    "间隔天数",
+    "难度系数",
+    "连续记住",
+    "复习次数",
+    "完全忘次数",
+    "调度算法",
+  ];
+  const rows = mistakes.map((m) => {
+    const regions = mistakeRegions(m);
+    const s = stats.get(m.id) || { reviews: 0, again: 0 };
+    return [
+      m.id,
+      paperTitle(documentMetas, m.originalFingerprint),
+      Array.from(new Set(regions.map((r) => r.pageIndex + 1))).join(" "),
+      regions.length,
+      m.title,
+      m.note,
+      (m.tags || []).join(" "),
+      m.errorCause,
+      m.questionDifficulty,
+      m.correctAnswer,
+      m.createdAt,
+      m.lastReviewedAt,
+      m.nextReviewAt,
+      m.intervalDays,
+      m.easiness,
+      m.reviewStreak,
+      s.reviews,
+      s.again,
+      m.scheduledBy,
+    ];
+  });
+  return toCsv(header, rows);
+}
+
+function reviewLogsCsv(reviewLogs, mistakes, documentMetas) {
+  const byId = new Map(mistakes.map((m) => [m.id, m]));
+  const header = [
+    "id",
+    "错题 id",
+    "试卷",
+    "错题标题",
+    "复习时间",
+    "评分",
+    "评分说明",
+    "原间隔",
+    "新间隔",
+    "调度算法",
+    "计入排期",
+  ];
+  const rows = reviewLogs
+    .slice()
+    .sort((a, b) => (a.reviewedAt || "").localeCompare(b.reviewedAt || ""))
+    .map((l) => {
+      const m = byId.get(l.mistakeId);
+      return [
+        l.id,
+        l.mistakeId,
+        m ? paperTitle(documentMetas, m.originalFingerprint) : "",
+        m?.title,
+        l.reviewedAt,
+        l.rating,
+        RATING_LABELS[l.rating],
+        l.oldInterval,
+        l.newInterval,
+        l.scheduler,
+        l.practice ? "否" : "是",
+      ];
+    });
+  return toCsv(header, rows);
+}
+
+export function buildCsvArchive(mistakes, reviewLogs, documentMetas) {
+  const entries = {
+    "mistakes.csv": mistakesCsv(mistakes, reviewLogs, documentMetas),
+    "reviews.csv": reviewLogsCsv(reviewLogs, mistakes, documentMetas),
+  };
+  return new Blob([zipSync(entries)], { type: "application/zip" });
+}
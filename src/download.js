@@ -0,0 +1,25 @@
+// 浏览器端文件下载
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // 给浏览器一点时间开始下载再释放
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function timestampForFilename(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    date.getFullYear() +
+    pad(date.getMonth() + 1) +
+    pad(date.getDate()) +
+    "-" +
+    pad(date.getHours()) +
+    pad(date.getMinutes())
+  );
+}
@@ -0,0 +1,212 @@
+// 笔迹自动识别：对比错题版与干净版同一页的像素差异，把手写 / 红笔区域聚类成候选框
+
+import { openPdfPair, renderPdfPage } from "./pdfRender";
+import { createId } from "./id";
+import { IDENTITY, getPageTransform, warpCanvas } from "./alignment";
+
+const DETECT_WIDTH = 1200;
+const CELL_SIZE = 8;
+// 两份 PDF 之间允许的错位（像素）
+const SHIFT_TOLERANCE = 3;
+
+export const SENSITIVITY_PRESETS = {
+  low: { label: "低", inkThreshold: 90, minCellPixels: 12, gapCells: 2, minArea: 0.002 },
+  medium: { label: "中", inkThreshold: 60, minCellPixels: 6, gapCells: 3, minArea: 0.001 },
+  high: { label: "高", inkThreshold: 40, minCellPixels: 3, gapCells: 4, minArea: 0.0005 },
+};
+
+function toGray(data, n) {
+  const gray = new Uint8ClampedArray(n);
+  for (let i = 0; i < n; i++) {
+    const o = i * 4;
+    gray[i] = (data[o] * 299 + data[o + 1] * 587 + data[o + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+function isRed(data, o) {
+  const r = data[o];
+  return r > 140 && r - data[o + 1] > 50 && r - data[o + 2] > 50;
+}
+
+// 可分离的最小值滤波：干净版的墨迹向外扩几个像素，抵消轻微错位
+function minFilter(src, w, h, r) {
+  const tmp = new Uint8ClampedArray(w * h);
+  const out = new Uint8ClampedArray(w * h);
+  for (let y = 0; y < h; y++) {
+    const row = y * w;
+    for (let x = 0; x < w; x++) {
+      let m = 255;
+      for (let k = Math.max(0, x - r); k <= Math.min(w - 1, x + r); k++) {
+        if (src[row + k] < m) m = src[row + k];
+      }
+      tmp[row + x] = m;
+    }
+  }
+  for (let x = 0; x < w; x++) {
+    for (let y = 0; y < h; y++) {
+      let m = 255;
+      for (let k = Math.max(0, y - r); k <= Math.min(h - 1, y + r); k++) {
+        if (tmp[k * w + x] < m) m = tmp[k * w + x];
+      }
+      out[y * w + x] = m;
+    }
+  }
+  return out;
+}
+
+function overlaps(a, b) {
+  return a.x0 <= b.x1 && b.x0 <= a.x1 && a.y0 <= b.y1 && b.y0 <= a.y1;
+}
+
+// 合并相互重叠的框
+function mergeBoxes(boxes) {
+  const result = boxes.slice();
+  let merged = true;
+  while (merged) {
+    merged = false;
+    for (let i = 0; i < result.length && !merged; i++) {
+      for (let j = i + 1; j < result.length; j++) {
+        if (!overlaps(result[i], result[j])) continue;
+        const a = result[i];
+        const b = result[j];
+        result[i] = {
+          x0: Math.min(a.x0, b.x0),
+          y0: Math.min(a.y0, b.y0),
+          x1: Math.max(a.x1, b.x1),
+          y1: Math.max(a.y1, b.y1),
+          ink: a.ink + b.ink,
+          red: a.red + b.red,
+        };
+        result.splice(j, 1);
+        merged = true;
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+// 输入两张同尺寸的 canvas，返回归一化坐标的候选框
+export function detectInkRegions(markedCanvas, cleanCanvas, sensitivity = "medium") {
+  const opts = SENSITIVITY_PRESETS[sensitivity] || SENSITIVITY_PRESETS.medium;
+  const w = markedCanvas.width;
+  const h = markedCanvas.height;
+  const n = w * h;
+  const marked = markedCanvas.getContext("2d").getImageData(0, 0, w, h).data;
+  const clean = cleanCanvas.getContext("2d").getImageData(0, 0, w, h).data;
+  const cleanMin = minFilter(toGray(clean, n), w, h, SHIFT_TOLERANCE);
+  const markedGray = toGray(marked, n);
+
+  // 按格子统计新增墨迹像素
+  const cols = Math.ceil(w / CELL_SIZE);
+  const rows = Math.ceil(h / CELL_SIZE);
+  const inkCount = new Uint16Array(cols * rows);
+  const redCount = new Uint16Array(cols * rows);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      const o = i * 4;
+      const red = isRed(marked, o) && !isRed(clean, o);
+      if (!red && markedGray[i] >= cleanMin[i] - opts.inkThreshold) continue;
+      const c = Math.floor(y / CELL_SIZE) * cols + Math.floor(x / CELL_SIZE);
+      inkCount[c] += 1;
+      if (red) redCount[c] += 1;
+    }
+  }
+
+  // 相距 gapCells 以内的活跃格子视为同一块笔迹
+  const active = new Uint8Array(cols * rows);
+  for (let c = 0; c < active.length; c++) {
+    if (inkCount[c] >= opts.minCellPixels) active[c] = 1;
+  }
+  const visited = new Uint8Array(cols * rows);
+  const boxes = [];
+  for (let start = 0; start < active.length; start++) {
+    if (!active[start] || visited[start]) continue;
+    const box = { x0: cols, y0: rows, x1: 0, y1: 0, ink: 0, red: 0 };
+    const queue = [start];
+    visited[start] = 1;
+    while (queue.length) {
+      const c = queue.pop();
+      const cx = c % cols;
+      const cy = Math.floor(c / cols);
+      box.x0 = Math.min(box.x0, cx);
+      box.y0 = Math.min(box.y0, cy);
+      box.x1 = Math.max(box.x1, cx);
+      box.y1 = Math.max(box.y1, cy);
+      box.ink += inkCount[c];
+      box.red += redCount[c];
+      for (let dy = -opts.gapCells; dy <= opts.gapCells; dy++) {
+        const ny = cy + dy;
+        if (ny < 0 || ny >= rows) continue;
+        for (let dx = -opts.gapCells; dx <= opts.gapCells; dx++) {
+          const nx = cx + dx;
+          if (nx < 0 || nx >= cols) continue;
+          const nc = ny * cols + nx;
+          if (active[nc] && !visited[nc]) {
+            visited[nc] = 1;
+            queue.push(nc);
+          }
+        }
+      }
+    }
+    boxes.push(box);
+  }
+
+  return mergeBoxes(boxes)
+    .map((b) => {
+      // 四周各留一格余量
+      const x = Math.max(0, (b.x0 - 1) * CELL_SIZE);
+      const y = Math.max(0, (b.y0 - 1) * CELL_SIZE);
+      const x1 = Math.min(w, (b.x1 + 2) * CELL_SIZE);
+      const y1 = Math.min(h, (b.y1 + 2) * CELL_SIZE);
+      const area = (x1 - x) * (y1 - y);
+      return {
+        bbox: { x: x / w, y: y / h, width: (x1 - x) / w, height: (y1 - y) / h },
+        score: b.ink / area,
+        hasRed: b.red > b.ink * 0.3,
+      };
+    })
+    .filter((c) => {
+      const area = c.bbox.width * c.bbox.height;
+      // 几乎整页都不同，多半是两份 PDF 没对齐，不作为候选
+      return area >= opts.minArea && area < 0.6;
+    })
+    .sort((a, b) => a.bbox.y - b.bbox.y || a.bbox.x - b.bbox.x);
+}
+
+// 对一组页对（见 pageMap.mappedPagePairs）做识别，返回带错题版页码的候选框
+// 干净版上有页面对齐结果时，先把干净版摆正再比较
+export async function detectHandwriting({
+  markedUrl,
+  cleanUrl,
+  cleanMeta,
+  pages,
+  sensitivity,
+  onProgress,
+}) {
+  const [markedPdf, cleanPdf] = await openPdfPair(markedUrl, cleanUrl);
+  const candidates = [];
+  try {
+    for (let i = 0; i < pages.length; i++) {
+      const { markedIndex, cleanIndex } = pages[i];
+      onProgress && onProgress(i, pages.length);
+      const markedCanvas = await renderPdfPage(markedPdf, markedIndex, { width: DETECT_WIDTH });
+      const cleanCanvas = warpCanvas(
+        await renderPdfPage(cleanPdf, cleanIndex, { width: DETECT_WIDTH }),
+        getPageTransform(cleanMeta, markedIndex) || IDENTITY,
+        markedCanvas.width,
+        markedCanvas.height
+      );
+      detectInkRegions(markedCanvas, cleanCanvas, sensitivity).forEach((c) =>
+        candidates.push({ id: createId(), pageIndex: markedIndex, selected: true, ...c })
+      );
+    }
+    onProgress && onProgress(pages.length, pages.length);
+  } finally {
+    markedPdf.destroy();
+    cleanPdf.destroy();
+  }
+  return candidates;
+}
@@ -0,0 +1,3 @@
+export function createId() {
+  return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
@@ -0,0 +1,142 @@
+// 标题 / 备注的 Markdown + LaTeX 渲染
+// 支持 $…$、\(…\) 行内公式，$$…$$、\[…\] 独立公式（KaTeX，含 mhchem 的 \ce{}），
+// 以及标题、列表、引用、粗体 / 斜体 / 删除线、行内代码与代码块。
+// 段落内的单个换行保留为换行，原来的纯文本备注显示效果不变；公式写错时原样显示源码。
+
+import katex from "katex";
+import "katex/contrib/mhchem";
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderMath(tex, displayMode, source) {
+  try {
+    return katex.renderToString(tex, { displayMode, throwOnError: true, strict: "ignore" });
+  } catch {
+    return escapeHtml(source);
+  }
+}
+
+// 代码和公式先换成占位符，免得里面的 * _ # 等被当成 Markdown
+// 块级内容（代码块、独立公式）用 \u0001 标记，单独占一行时不放进段落
+function protect(source) {
+  const slots = [];
+  const slot = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+  const blockSlot = (html) => `\u0001${slots.push(html) - 1}\u0001`;
+  let text = source.replace(/[\u0000\u0001]/g, "");
+
+  text = text.replace(/^```[^\n]*\n([\s\S]*?)\n```[ \t]*$/gm, (_, code) =>
+    blockSlot(`<pre><code>${escapeHtml(code)}</code></pre>`)
+  );
+  text = text.replace(/`([^`\n]+)`/g, (_, code) => slot(`<code>${escapeHtml(code)}</code>`));
+  text = text.replace(/\\\$/g, () => slot("$"));
+  text = text.replace(/\$\$([\s\S]+?)\$\$/g, (m, tex) => blockSlot(renderMath(tex, true, m)));
+  text = text.replace(/\\\[([\s\S]+?)\\\]/g, (m, tex) => blockSlot(renderMath(tex, true, m)));
+  text = text.replace(/\\\((.+?)\\\)/g, (m, tex) => slot(renderMath(tex, false, m)));
+  // $ 后紧跟非空白、结尾 $ 前也非空白，且结尾 $ 后不是数字，避免把“5$ 和 3$”这类文字当成公式
+  text = text.replace(/\$(?=\S)([^$\n]*?\S)\$(?!\d)/g, (m, tex) => slot(renderMath(tex, false, m)));
+
+  const restore = (html) =>
+    html.replace(/([\u0000\u0001])(\d+)\1/g, (_, mark, i) => slots[Number(i)]);
+  return { text, restore };
+}
+
+function inline(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+    .replace(/(^|[^*])\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g, "$1<em>$2</em>");
+}
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+
+function blocks(text) {
+  const out = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) out.push(`<p>${paragraph.map(inline).join("<br>")}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) {
+      const items = list.items.map((item) => `<li>${item.map(inline).join("<br>")}</li>`);
+      out.push(`<${list.tag}>${items.join("")}</${list.tag}>`);
+    }
+    list = null;
+  };
+  const flushQuote = () => {
+    if (quote.length) out.push(`<blockquote>${quote.map(inline).join("<br>")}</blockquote>`);
+    quote = [];
+  };
+  const flushAll = () => {
+    flushParagraph();
+    flushList();
+    flushQuote();
+  };
+
+  text.split("\n").forEach((line) => {
+    if (!line.trim()) {
+      flushAll();
+      return;
+    }
+    if (/^\u0001\d+\u0001$/.test(line.trim())) {
+      flushAll();
+      out.push(line.trim());
+      return;
+    }
+    const heading = line.match(/^(#{1,4})\s+(.*)$/);
+    if (heading) {
+      flushAll();
+      out.push(`<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`);
+      return;
+    }
+    const quoted = line.match(/^>\s?(.*)$/);
+    if (quoted) {
+      flushParagraph();
+      flushList();
+      quote.push(quoted[1]);
+      return;
+    }
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const tag = item[1] ? "ul" : "ol";
+      flushParagraph();
+      flushQuote();
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push([item[3]]);
+      return;
+    }
+    // 缩进的行接在上一个列表项后面
+    if (list && /^\s+/.test(line)) {
+      list.items[list.items.length - 1].push(line.trim());
+      return;
+    }
+    flushList();
+    flushQuote();
+    paragraph.push(line);
+  });
+  flushAll();
+  return out.join("");
+}
+
+export function renderMarkdown(source) {
+  if (!source) return "";
+  const { text, restore } = protect(String(source).replace(/\r\n?/g, "\n"));
+  return restore(blocks(text));
+}
+
+// 单行（标题）：只处理行内格式和公式
+export function renderInlineMarkdown(source) {
+  if (!source) return "";
+  const { text, restore } = protect(String(source));
+  return restore(inline(text));
+}
@@ -0,0 +1,37 @@
+// 错题版页码 → 干净版页码的映射，记在干净版文档的 pageMap 上
+// pageMap[i] 为错题版第 i 页对应的干净版页码（从 0 开始），null 表示干净版没有这一页；
+// 没有 pageMap 时按页码一一对应
+
+export function offsetPageMap(withCount, cleanCount, offset = 0) {
+  return Array.from({ length: withCount }, (_, i) => {
+    const j = i + offset;
+    return j >= 0 && j < cleanCount ? j : null;
+  });
+}
+
+export function toCleanPage(cleanMeta, markedIndex) {
+  if (!cleanMeta) return null;
+  const j = cleanMeta.pageMap ? cleanMeta.pageMap[markedIndex] : markedIndex;
+  return j != null && j >= 0 && j < cleanMeta.pageCount ? j : null;
+}
+
+export function toMarkedPage(cleanMeta, cleanIndex, withCount) {
+  for (let i = 0; i < withCount; i++) {
+    if (toCleanPage(cleanMeta, i) === cleanIndex) return i;
+  }
+  return null;
+}
+
+// 有对应关系的页对
+export function mappedPagePairs(cleanMeta, withCount) {
+  const pairs = [];
+  for (let i = 0; i < withCount; i++) {
+    const j = toCleanPage(cleanMeta, i);
+    if (j != null) pairs.push({ markedIndex: i, cleanIndex: j });
+  }
+  return pairs;
+}
+
+export function isIdentityMap(pageMap, cleanCount) {
+  return (pageMap || []).every((j, i) => (i < cleanCount ? j === i : j == null));
+}
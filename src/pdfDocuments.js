@@ -0,0 +1,175 @@
+// PDF 文档管理：按指纹复用打开的 PDFDocumentProxy，整页渲染结果按 LRU 缓存
+// 翻页、切换复习卡片时不再重新解析整份 PDF（上百页的扫描卷要好几秒）。
+// 缓存里的画布是共享的，使用方只能 drawImage 拷贝，不能在上面画东西；拿到后要马上拷贝，
+// 被替换或挤出缓存的画布随后会被清空。
+
+import { openPdf, renderPdfPage, cropRect, cropPageWidth, cropCanvas } from "./pdfRender";
+
+// 同时保持打开的文档数
+const MAX_DOCUMENTS = 8;
+// 页面位图缓存按像素字节数计，超出后丢掉最久没用的。iPad Safari 所有画布加起来只有几百 MB，
+// 超了之后新画布一律画成空白，所以预算要留得很宽裕
+const MAX_BITMAP_BYTES = 96 * 1024 * 1024;
+
+// key（指纹，没有时用 URL）→ { url, promise, users, closed }，Map 的顺序即最近使用顺序。
+// users 为正在用它渲染的次数；关闭或被挤出时还有人在用就先从表里摘掉，等用完再 destroy()，
+// 否则进行中的渲染会因 worker 被销毁而失败
+const documents = new Map();
+// `${key}:${pageIndex}` → canvas，每页只留一张，按新尺寸重新渲染后替换掉旧的
+const bitmaps = new Map();
+let bitmapBytes = 0;
+// 正在渲染的页面，避免预取和显示同时渲染同一页
+const pending = new Map();
+
+const touch = (map, key, value) => {
+  map.delete(key);
+  map.set(key, value);
+};
+
+// 把画布缩成 0×0，Safari 才会马上释放它占的内存。放到下一个宏任务里做：
+// 刚从 renderPage 拿到它的使用方都在微任务里同步 drawImage，这时已经拷贝完了
+function release(canvas) {
+  setTimeout(() => {
+    canvas.width = 0;
+    canvas.height = 0;
+  }, 0);
+}
+
+function removeBitmap(bitmapKey) {
+  const canvas = bitmaps.get(bitmapKey);
+  if (!canvas) return;
+  bitmapBytes -= canvas.width * canvas.height * 4;
+  bitmaps.delete(bitmapKey);
+  release(canvas);
+}
+
+function dropBitmaps(key) {
+  for (const bitmapKey of Array.from(bitmaps.keys())) {
+    if (bitmapKey.startsWith(key + ":")) removeBitmap(bitmapKey);
+  }
+}
+
+function destroy(entry) {
+  entry.promise.then((pdf) => pdf.destroy()).catch(() => {});
+}
+
+function acquire(fileUrl, fingerprint) {
+  const key = fingerprint || fileUrl;
+  const entry = documents.get(key);
+  if (entry && entry.url === fileUrl) {
+    touch(documents, key, entry);
+    return entry;
+  }
+  // 同一指纹换了 URL（重新上传）时旧文档作废
+  if (entry) closePdfDocument(key);
+
+  const fresh = { url: fileUrl, promise: openPdf(fileUrl), users: 0, closed: false };
+  documents.set(key, fresh);
+  fresh.promise.catch(() => {
+    if (documents.get(key) === fresh) documents.delete(key);
+  });
+  while (documents.size > MAX_DOCUMENTS) {
+    closePdfDocument(documents.keys().next().value);
+  }
+  return fresh;
+}
+
+// 用共享的文档做一件事（渲染、读页数等）；期间文档不会被关闭
+export async function withPdfDocument(fileUrl, fingerprint, fn) {
+  const entry = acquire(fileUrl, fingerprint);
+  entry.users += 1;
+  try {
+    return await fn(await entry.promise);
+  } finally {
+    entry.users -= 1;
+    if (entry.closed && entry.users === 0) destroy(entry);
+  }
+}
+
+// PDF 从本地移除或被替换时调用
+export function closePdfDocument(key) {
+  const entry = documents.get(key);
+  if (!entry) return;
+  documents.delete(key);
+  dropBitmaps(key);
+  entry.closed = true;
+  if (entry.users === 0) destroy(entry);
+}
+
+function storeBitmap(pageKey, canvas) {
+  const bytes = canvas.width * canvas.height * 4;
+  // 单张超过预算的一半就不缓存（放得很大时的查看器渲染），免得把其他页全挤掉
+  if (bytes > MAX_BITMAP_BYTES / 2) return;
+  removeBitmap(pageKey);
+  bitmaps.set(pageKey, canvas);
+  bitmapBytes += bytes;
+  while (bitmapBytes > MAX_BITMAP_BYTES) removeBitmap(bitmaps.keys().next().value);
+}
+
+// 整页渲染（按宽度或缩放比例），命中缓存时直接返回
+export function renderPage(fileUrl, fingerprint, pageIndex, { width, scale = 1.5 } = {}) {
+  const key = fingerprint || fileUrl;
+  return withPdfDocument(fileUrl, fingerprint, async (pdf) => {
+    const page = await pdf.getPage(pageIndex + 1);
+    const base = page.getViewport({ scale: 1 });
+    const pixelWidth = Math.round(width || base.width * scale);
+    const pageKey = `${key}:${pageIndex}`;
+
+    // 缓存的位图不比要的小、也不超过两倍大就直接用，缩小显示不影响清晰度
+    const cached = bitmaps.get(pageKey);
+    if (cached && cached.width >= pixelWidth && cached.width <= pixelWidth * 2) {
+      touch(bitmaps, pageKey, cached);
+      return cached;
+    }
+    const pendingKey = `${pageKey}:${pixelWidth}`;
+    if (pending.has(pendingKey)) return pending.get(pendingKey);
+
+    const task = renderPdfPage(pdf, pageIndex, { width: pixelWidth })
+      .then((canvas) => {
+        // 渲染期间文档被关掉了就不再缓存
+        if (documents.get(key)?.url === fileUrl) storeBitmap(pageKey, canvas);
+        return canvas;
+      })
+      .finally(() => pending.delete(pendingKey));
+    pending.set(pendingKey, task);
+    return task;
+  });
+}
+
+// 页面尺寸（PDF 点，已计入页面旋转）
+export function getPageSize(fileUrl, fingerprint, pageIndex) {
+  return withPdfDocument(fileUrl, fingerprint, async (pdf) => {
+    const page = await pdf.getPage(pageIndex + 1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    return { width, height };
+  });
+}
+
+// 缓存里这一页的位图，按新尺寸渲染完之前先拉伸着显示
+export function peekPage(fileUrl, fingerprint, pageIndex) {
+  return bitmaps.get(`${fingerprint || fileUrl}:${pageIndex}`) || null;
+}
+
+// 只取一个区域：整页按需要的宽度渲染（走缓存）后裁出来，返回 { canvas, crop }
+export async function renderCachedCrop(
+  fileUrl,
+  fingerprint,
+  pageIndex,
+  bbox,
+  { padding = 0, targetWidth = 1200 } = {}
+) {
+  const crop = cropRect(bbox, padding);
+  const page = await renderPage(fileUrl, fingerprint, pageIndex, {
+    width: cropPageWidth(crop, targetWidth),
+  });
+  return { canvas: cropCanvas(page, crop), crop };
+}
+
+// 预取：提前打开文档并渲染好页面，失败不提示
+export function prefetchPage(fileUrl, fingerprint, pageIndex, options) {
+  renderPage(fileUrl, fingerprint, pageIndex, options).catch(() => {});
+}
+
+export function prefetchCrop(fileUrl, fingerprint, pageIndex, bbox, options) {
+  renderCachedCrop(fileUrl, fingerprint, pageIndex, bbox, options).catch(() => {});
+}
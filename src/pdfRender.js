@@ -0,0 +1,68 @@
+// 离屏渲染 PDF 页面（自动识别、裁剪等需要像素数据的功能使用）
+
+import { getDocument } from "pdfjs-dist";
+
+// 单页离屏渲染的最大宽度，避免小框放大后画布过大
+const MAX_RENDER_WIDTH = 4096;
+
+export function openPdf(fileUrl) {
+  return getDocument(fileUrl).promise;
+}
+
+// 同时打开错题版和干净版；其中一份打不开时把已经打开的那份关掉再报错
+export async function openPdfPair(markedUrl, cleanUrl) {
+  const results = await Promise.allSettled([openPdf(markedUrl), openPdf(cleanUrl)]);
+  const failed = results.find((r) => r.status === "rejected");
+  if (failed) {
+    results.forEach((r) => r.status === "fulfilled" && r.value.destroy());
+    throw failed.reason;
+  }
+  return results.map((r) => r.value);
+}
+
+// 按目标宽度（像素）或缩放比例渲染一页，返回 canvas
+export async function renderPdfPage(pdf, pageIndex, { width, scale = 1.5 } = {}) {
+  const page = await pdf.getPage(pageIndex + 1);
+  const base = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: width ? width / base.width : scale });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(viewport.width);
+  canvas.height = Math.round(viewport.height);
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  page.cleanup();
+  return canvas;
+}
+
+// 框四周加留白后的裁剪范围（归一化坐标，限制在页面内）
+export function cropRect(bbox, padding = 0) {
+  const x0 = Math.max(0, bbox.x - padding);
+  const y0 = Math.max(0, bbox.y - padding);
+  const x1 = Math.min(1, bbox.x + bbox.width + padding);
+  const y1 = Math.min(1, bbox.y + bbox.height + padding);
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+// 裁剪后的宽度要达到 targetWidth 像素时整页需要渲染的宽度
+export function cropPageWidth(crop, targetWidth) {
+  return Math.min(MAX_RENDER_WIDTH, Math.ceil(targetWidth / Math.max(crop.width, 0.01)));
+}
+
+// 从整页画布上切出 crop 范围（归一化坐标）
+export function cropCanvas(page, crop) {
+  const sx = Math.round(crop.x * page.width);
+  const sy = Math.round(crop.y * page.height);
+  const sw = Math.max(1, Math.round(crop.width * page.width));
+  const sh = Math.max(1, Math.round(crop.height * page.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = sw;
+  canvas.height = sh;
+  canvas.getContext("2d").drawImage(page, sx, sy, sw, sh, 0, 0, sw, sh);
+  return canvas;
+}
+
+// 只渲染一个区域：按裁剪后的宽度达到 targetWidth 像素来选渲染比例，返回 { canvas, crop }
+export async function renderCrop(pdf, pageIndex, bbox, { padding = 0, targetWidth = 1200 } = {}) {
+  const crop = cropRect(bbox, padding);
+  const page = await renderPdfPage(pdf, pageIndex, { width: cropPageWidth(crop, targetWidth) });
+  return { canvas: cropCanvas(page, crop), crop };
+}
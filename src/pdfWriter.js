@@ -0,0 +1,77 @@
+// 极简 PDF 生成：每页一张整页 JPEG 图片（版面先画在 canvas 上，中文等文字随图片一起输出）
+
+const encoder = new TextEncoder();
+
+// 用 canvas 画好的页面转成 JPEG 字节
+export async function canvasToJpeg(canvas, quality = 0.85) {
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error("页面图片生成失败"))),
+      "image/jpeg",
+      quality
+    )
+  );
+  return {
+    bytes: new Uint8Array(await blob.arrayBuffer()),
+    width: canvas.width,
+    height: canvas.height,
+  };
+}
+
+// pages: [{ bytes, width, height }]，页面尺寸单位为 pt（A4 为 595.28 × 841.89）
+export function buildImagePdf(pages, { pageWidth = 595.28, pageHeight = 841.89 } = {}) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write("stream\n");
+      write(stream);
+      write("\nendstream\n");
+    }
+    write("endobj\n");
+  };
+
+  // 对象编号：1 目录，2 页面树，之后每页占 3 个（页面、内容流、图片）
+  const pageIds = pages.map((_, i) => 3 + i * 3);
+  write("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+
+  pages.forEach((page, i) => {
+    const id = pageIds[i];
+    const w = pageWidth.toFixed(2);
+    const h = pageHeight.toFixed(2);
+    const content = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+    object(
+      id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] ` +
+        `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`
+    );
+    object(id + 1, `<< /Length ${content.length} >>`, encoder.encode(content));
+    object(
+      id + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.bytes.length} >>`,
+      page.bytes
+    );
+  });
+
+  const count = 3 + pages.length * 3;
+  const xref = length;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) {
+    write(String(offsets[id]).padStart(10, "0") + " 00000 n \n");
+  }
+  write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: "application/pdf" });
+}
@@ -0,0 +1,73 @@
+// 离线使用：注册 service worker（public/sw.js）并挂上 manifest，让应用可安装、断网可用
+// 页面加载完后把已经请求过的同源资源和 pdf.js worker 地址交给 service worker 预先缓存，
+// 这样第一次联网打开之后，没打开过的视图（复习、仪表盘）断网时也能用；这份清单也是当前版本用到的全部资源，
+// service worker 据此删掉旧版本留下的文件
+// public 下的文件和页面部署在同一目录，地址都相对页面解析，应用放在子路径下也能用
+
+const publicUrl = (path) => new URL(path, document.baseURI).href;
+
+function ensureHeadLink(rel, href) {
+  if (document.querySelector(`link[rel="${rel}"]`)) return;
+  const link = document.createElement("link");
+  link.rel = rel;
+  link.href = href;
+  document.head.appendChild(link);
+}
+
+function ensureThemeColor(color) {
+  if (document.querySelector('meta[name="theme-color"]')) return;
+  const meta = document.createElement("meta");
+  meta.name = "theme-color";
+  meta.content = color;
+  document.head.appendChild(meta);
+}
+
+function loadedResourceUrls() {
+  if (typeof performance === "undefined" || !performance.getEntriesByType) return [];
+  return performance
+    .getEntriesByType("resource")
+    .map((e) => e.name)
+    .filter((url) => url.startsWith(window.location.origin));
+}
+
+function warmCache(registration, extraUrls) {
+  const urls = Array.from(new Set([window.location.href, ...extraUrls, ...loadedResourceUrls()]));
+  registration.active?.postMessage({ type: "cache-urls", urls });
+}
+
+// onUpdateReady(apply)：新版本已下载，调用 apply() 切换并刷新
+export async function registerServiceWorker({ extraUrls = [], onUpdateReady } = {}) {
+  if (typeof window === "undefined" || !("serviceWorker" in navigator)) return null;
+  ensureHeadLink("manifest", publicUrl("manifest.webmanifest"));
+  ensureHeadLink("icon", publicUrl("icon.svg"));
+  ensureThemeColor("#0f172a");
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(publicUrl("sw.js"));
+  } catch (e) {
+    console.error(e);
+    return null;
+  }
+
+  const notifyWaiting = (worker) => {
+    // 首次安装时没有旧版本控制页面，不算更新
+    if (!worker || !navigator.serviceWorker.controller) return;
+    onUpdateReady?.(() => {
+      navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), {
+        once: true,
+      });
+      worker.postMessage({ type: "skip-waiting" });
+    });
+  };
+  notifyWaiting(registration.waiting);
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed") notifyWaiting(worker);
+    });
+  });
+
+  navigator.serviceWorker.ready.then((ready) => warmCache(ready, extraUrls));
+  return registration;
+}
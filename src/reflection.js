@@ -0,0 +1,70 @@
+// 结构化反思：错因（可在设置里增删改的分类）、题目难度（1–5）、正确答案
+// 题目难度存为 questionDifficulty，与 FSRS 的记忆难度 difficulty 区分开
+
+export const DEFAULT_ERROR_CAUSES = [
+  "计算失误",
+  "审题不清",
+  "概念不清",
+  "方法不会",
+  "粗心抄错",
+  "时间不够",
+];
+
+export const DIFFICULTY_LEVELS = [1, 2, 3, 4, 5];
+
+export const DIFFICULTY_LABELS = {
+  1: "容易",
+  2: "较易",
+  3: "中等",
+  4: "较难",
+  5: "很难",
+};
+
+// 筛选 / 统计里表示“没填”的取值
+export const UNSET = "__unset__";
+
+export const causeLabel = (cause) => cause || "未填错因";
+
+export const difficultyLabel = (level) =>
+  level ? `${level} · ${DIFFICULTY_LABELS[level]}` : "未填难度";
+
+export function normalizeCause(raw) {
+  return String(raw || "")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+// 设置里的分类在前，其次是错题上用过但已不在分类里的错因
+export function collectCauses(mistakes, taxonomy) {
+  const counts = new Map((taxonomy || []).map((c) => [c, 0]));
+  mistakes.forEach((m) => {
+    if (m.errorCause) counts.set(m.errorCause, (counts.get(m.errorCause) || 0) + 1);
+  });
+  return Array.from(counts, ([cause, count]) => ({
+    cause,
+    count,
+    custom: !(taxonomy || []).includes(cause),
+  }));
+}
+
+// filter：{ cause, difficulty }，空串表示不过滤，UNSET 表示只看没填的
+export const DEFAULT_REFLECTION_FILTER = { cause: "", difficulty: "" };
+
+export function matchesReflection(mistake, filter) {
+  if (!filter) return true;
+  const { cause, difficulty } = filter;
+  if (cause && (mistake.errorCause || UNSET) !== cause) return false;
+  if (difficulty && String(mistake.questionDifficulty || UNSET) !== String(difficulty)) {
+    return false;
+  }
+  return true;
+}
+
+export const isReflectionFiltered = (filter) => !!(filter && (filter.cause || filter.difficulty));
+
+// 把错因 from 改名为 to，返回需要更新的错题
+export function renameCause(mistakes, from, to) {
+  const target = normalizeCause(to);
+  if (!target || target === from) return [];
+  return mistakes.filter((m) => m.errorCause === from).map((m) => ({ ...m, errorCause: target }));
+}
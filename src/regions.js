@@ -0,0 +1,82 @@
+// 错题区域：一道错题由若干个有序的区域（页码 + 框）组成，可以跨页；坐标均为页面归一化坐标
+// 错题上的 pageIndex / bbox 始终与第一个区域一致，供只关心“在哪一页”的地方使用
+
+export function mistakeRegions(mistake) {
+  if (mistake.regions && mistake.regions.length) return mistake.regions;
+  return [{ pageIndex: mistake.pageIndex, bbox: mistake.bbox }];
+}
+
+export function withRegions(mistake, regions) {
+  return { ...mistake, regions, pageIndex: regions[0].pageIndex, bbox: regions[0].bbox };
+}
+
+// 旧数据只有 pageIndex / bbox，补上 regions
+export function normalizeMistakeRegions(mistake) {
+  if (mistake.regions && mistake.regions.length) return mistake;
+  return withRegions(mistake, mistakeRegions(mistake));
+}
+
+// 遮挡区域所在的页（早期的遮挡没有记页码，都在第一个区域所在页）
+export function maskPage(mistake, mask) {
+  return mask.pageIndex ?? mistake.pageIndex;
+}
+
+const INK_THRESHOLD = 200;
+// 贴合后四周留的空白（像素，按渲染画布计）
+const SNAP_PADDING = 6;
+// 边缘还压着墨迹时最多向外扩多少像素
+const MAX_GROW = 60;
+
+function inkTester(canvas) {
+  const w = canvas.width;
+  const data = canvas.getContext("2d").getImageData(0, 0, w, canvas.height).data;
+  return (x, y) => {
+    const o = (y * w + x) * 4;
+    return (data[o] * 299 + data[o + 1] * 587 + data[o + 2] * 114) / 1000 < INK_THRESHOLD;
+  };
+}
+
+// 把框收缩到框内墨迹的外接矩形；边缘切到文字时向外扩展到完整包住。框内没有墨迹时返回 null
+export function snapToContent(canvas, bbox) {
+  const w = canvas.width;
+  const h = canvas.height;
+  const isInk = inkTester(canvas);
+  const rowHasInk = (y, x0, x1) => {
+    for (let x = x0; x <= x1; x++) if (isInk(x, y)) return true;
+    return false;
+  };
+  const colHasInk = (x, y0, y1) => {
+    for (let y = y0; y <= y1; y++) if (isInk(x, y)) return true;
+    return false;
+  };
+
+  let x0 = Math.max(0, Math.floor(bbox.x * w));
+  let y0 = Math.max(0, Math.floor(bbox.y * h));
+  let x1 = Math.min(w - 1, Math.ceil((bbox.x + bbox.width) * w) - 1);
+  let y1 = Math.min(h - 1, Math.ceil((bbox.y + bbox.height) * h) - 1);
+
+  while (y0 <= y1 && !rowHasInk(y0, x0, x1)) y0++;
+  while (y1 >= y0 && !rowHasInk(y1, x0, x1)) y1--;
+  if (y0 > y1) return null;
+  while (x0 <= x1 && !colHasInk(x0, y0, y1)) x0++;
+  while (x1 >= x0 && !colHasInk(x1, y0, y1)) x1--;
+
+  // 边缘紧贴的一行 / 一列还有墨迹，说明框切到了内容，继续向外扩
+  for (let grown = 0; grown < MAX_GROW; grown++) {
+    const top = y0 > 0 && rowHasInk(y0 - 1, x0, x1);
+    const bottom = y1 < h - 1 && rowHasInk(y1 + 1, x0, x1);
+    const left = x0 > 0 && colHasInk(x0 - 1, y0, y1);
+    const right = x1 < w - 1 && colHasInk(x1 + 1, y0, y1);
+    if (!top && !bottom && !left && !right) break;
+    if (top) y0 -= 1;
+    if (bottom) y1 += 1;
+    if (left) x0 -= 1;
+    if (right) x1 += 1;
+  }
+
+  x0 = Math.max(0, x0 - SNAP_PADDING);
+  y0 = Math.max(0, y0 - SNAP_PADDING);
+  x1 = Math.min(w - 1, x1 + SNAP_PADDING);
+  y1 = Math.min(h - 1, y1 + SNAP_PADDING);
+  return { x: x0 / w, y: y0 / h, width: (x1 + 1 - x0) / w, height: (y1 + 1 - y0) / h };
+}
@@ -0,0 +1,226 @@
+// 单套试卷的错题分析报告：每页错题数、未掌握的题、掌握进度，生成可打印的独立 HTML
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 间隔达到这么多天且最近没有忘记，视为已掌握
+const MASTERED_INTERVAL = 21;
+const RECENT_AGAIN_DAYS = 14;
+// easiness 低于此值视为难题（SM-2 初始为 2.5）
+const LOW_EASINESS = 2.1;
+
+function againSince(logs, since, until) {
+  return logs.some((l) => l.rating === "again" && l.reviewedAt >= since && l.reviewedAt <= until);
+}
+
+// 按某一时刻的复习记录判断掌握情况：mastered | learning | unmastered
+function statusAt(logs, at) {
+  const until = at.toISOString();
+  const since = new Date(at.getTime() - RECENT_AGAIN_DAYS * DAY_MS).toISOString();
+  const past = logs.filter((l) => l.reviewedAt <= until);
+  if (past.length === 0) return "learning";
+  if (againSince(past, since, until)) return "unmastered";
+  return (past[past.length - 1].newInterval || 0) >= MASTERED_INTERVAL ? "mastered" : "learning";
+}
+
+export const STATUS_LABELS = {
+  mastered: "已掌握",
+  learning: "学习中",
+  unmastered: "未掌握",
+};
+
+export function buildPairReport({ title, pageCount, mistakes, reviewLogs, now = new Date() }) {
+  const ids = new Set(mistakes.map((m) => m.id));
+  const logsByMistake = new Map();
+  reviewLogs
+    .filter((l) => ids.has(l.mistakeId) && !l.practice && l.reviewedAt)
+    .slice()
+    .sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt))
+    .forEach((l) => {
+      const list = logsByMistake.get(l.mistakeId) || [];
+      list.push(l);
+      logsByMistake.set(l.mistakeId, list);
+    });
+
+  const items = mistakes
+    .slice()
+    .sort((a, b) => a.pageIndex - b.pageIndex || (a.bbox?.y || 0) - (b.bbox?.y || 0))
+    .map((m, i) => {
+      const logs = logsByMistake.get(m.id) || [];
+      const reasons = [];
+      let status = statusAt(logs, now);
+      if (status === "unmastered") reasons.push("最近 " + RECENT_AGAIN_DAYS + " 天内评过“完全忘”");
+      if (m.easiness != null && m.easiness < LOW_EASINESS) {
+        reasons.push("难度系数偏低（" + m.easiness.toFixed(2) + "）");
+        status = "unmastered";
+      }
+      return {
+        number: i + 1,
+        id: m.id,
+        pageIndex: m.pageIndex,
+        title: m.title,
+        note: m.note,
+        tags: m.tags || [],
+        createdAt: m.createdAt,
+        ageDays: Math.floor((now - new Date(m.createdAt)) / DAY_MS),
+        reviewCount: logs.length,
+        againCount: logs.filter((l) => l.rating === "again").length,
+        intervalDays: m.intervalDays || 0,
+        nextReviewAt: m.nextReviewAt,
+        status,
+        reasons,
+      };
+    });
+
+  const pages = Array.from({ length: pageCount || 0 }, (_, i) => ({
+    pageIndex: i,
+    count: 0,
+    unmastered: 0,
+  }));
+  items.forEach((it) => {
+    const p = pages[it.pageIndex] || { pageIndex: it.pageIndex, count: 0, unmastered: 0 };
+    pages[it.pageIndex] = p;
+    p.count += 1;
+    if (it.status === "unmastered") p.unmastered += 1;
+  });
+
+  // 掌握进度：从第一道错题创建起按周取样
+  const timeline = [];
+  if (mistakes.length > 0) {
+    const first = Math.min(...mistakes.map((m) => new Date(m.createdAt).getTime()));
+    const weeks = Math.max(1, Math.ceil((now - first) / (7 * DAY_MS)));
+    const step = Math.ceil(weeks / 26);
+    const samples = [];
+    for (let w = 0; w < weeks; w += step) samples.push(w);
+    samples.push(weeks);
+    samples.forEach((w) => {
+      const at = w === weeks ? now : new Date(first + w * 7 * DAY_MS);
+      const existing = mistakes.filter((m) => new Date(m.createdAt) <= at);
+      const point = { date: at.toISOString().slice(0, 10), total: existing.length, mastered: 0 };
+      existing.forEach((m) => {
+        if (statusAt(logsByMistake.get(m.id) || [], at) === "mastered") point.mastered += 1;
+      });
+      timeline.push(point);
+    });
+  }
+
+  const counts = { mastered: 0, learning: 0, unmastered: 0 };
+  items.forEach((it) => (counts[it.status] += 1));
+
+  return {
+    title,
+    generatedAt: now.toISOString(),
+    firstCreatedAt: items.length
+      ? items.reduce((a, b) => (a.createdAt < b.createdAt ? a : b)).createdAt
+      : null,
+    total: items.length,
+    counts,
+    pages: pages.filter(Boolean),
+    items,
+    timeline,
+  };
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function timelineSvg(timeline) {
+  if (timeline.length < 2) return `<p class="muted">复习记录还不够，暂时画不出趋势。</p>`;
+  const w = 640;
+  const h = 160;
+  const max = Math.max(1, ...timeline.map((p) => p.total));
+  const x = (i) => 30 + (i / (timeline.length - 1)) * (w - 40);
+  const y = (v) => h - 20 - (v / max) * (h - 40);
+  const line = (key) =>
+    timeline.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(" ");
+  return `<svg viewBox="0 0 ${w} ${h}" width="100%" class="chart">
+  <line x1="30" y1="${h - 20}" x2="${w - 10}" y2="${h - 20}" stroke="#ccc" />
+  <text x="26" y="${y(max) + 4}" text-anchor="end">${max}</text>
+  <text x="26" y="${h - 16}" text-anchor="end">0</text>
+  <polyline points="${line("total")}" fill="none" stroke="#94a3b8" stroke-width="2" />
+  <polyline points="${line("mastered")}" fill="none" stroke="#059669" stroke-width="2" />
+  <text x="30" y="${h - 4}">${timeline[0].date}</text>
+  <text x="${w - 10}" y="${h - 4}" text-anchor="end">${timeline[timeline.length - 1].date}</text>
+</svg>
+<p class="muted"><span style="color:#94a3b8">━</span> 错题总数　<span style="color:#059669">━</span> 已掌握</p>`;
+}
+
+// 生成独立 HTML：可直接下载保存，也可在浏览器里打印 / 另存为 PDF
+export function renderReportHtml(report) {
+  const pct = (n) => (report.total ? Math.round((n / report.total) * 100) : 0) + "%";
+  const maxPage = Math.max(1, ...report.pages.map((p) => p.count));
+  const pageRows = report.pages
+    .map(
+      (p) => `<tr><td>第 ${p.pageIndex + 1} 页</td><td class="num">${p.count}</td><td class="num">${p.unmastered}</td>
+<td><div class="bar"><span style="width:${(p.count / maxPage) * 100}%"></span></div></td></tr>`
+    )
+    .join("\n");
+  const itemRows = report.items
+    .map(
+      (it) => `<tr class="${it.status}">
+<td class="num">${it.number}</td><td>第 ${it.pageIndex + 1} 页</td>
+<td>${escapeHtml(it.title) || `<span class="muted">（未填写）</span>`}${
+        it.tags.length ? `<div class="tags">${it.tags.map(escapeHtml).join(" · ")}</div>` : ""
+      }${it.reasons.length ? `<div class="reason">${it.reasons.join("；")}</div>` : ""}</td>
+<td>${STATUS_LABELS[it.status]}</td>
+<td class="num">${it.ageDays} 天</td>
+<td class="num">${it.reviewCount}（忘 ${it.againCount}）</td>
+<td class="num">${it.intervalDays} 天</td>
+<td>${(it.nextReviewAt || "").slice(0, 10)}</td>
+</tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(report.title)} · 错题分析报告</title>
+<style>
+  body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; color: #0f172a; margin: 24px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #e2e8f0; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { font-weight: 600; color: #475569; }
+  .num { text-align: right; white-space: nowrap; }
+  .muted { color: #64748b; font-size: 12px; }
+  .summary { display: flex; gap: 12px; margin-top: 12px; }
+  .summary div { border: 1px solid #e2e8f0; border-radius: 8px; padding: 8px 12px; }
+  .summary b { display: block; font-size: 18px; }
+  .bar { background: #f1f5f9; height: 10px; border-radius: 3px; width: 200px; }
+  .bar span { display: block; height: 100%; background: #f59e0b; border-radius: 3px; }
+  tr.unmastered td:nth-child(4) { color: #dc2626; font-weight: 600; }
+  tr.mastered td:nth-child(4) { color: #059669; }
+  .tags { color: #0369a1; font-size: 11px; }
+  .reason { color: #dc2626; font-size: 11px; }
+  .chart text { font-size: 10px; fill: #64748b; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)} · 错题分析报告</h1>
+<div class="muted">生成于 ${report.generatedAt.slice(0, 10)}${
+    report.firstCreatedAt ? ` · 第一道错题记录于 ${report.firstCreatedAt.slice(0, 10)}` : ""
+  }</div>
+<div class="summary">
+  <div>错题总数<b>${report.total}</b></div>
+  <div>已掌握<b>${report.counts.mastered}（${pct(report.counts.mastered)}）</b></div>
+  <div>学习中<b>${report.counts.learning}</b></div>
+  <div>未掌握<b>${report.counts.unmastered}</b></div>
+</div>
+<h2>掌握进度</h2>
+${timelineSvg(report.timeline)}
+<h2>每页错题</h2>
+<table><thead><tr><th>页码</th><th class="num">错题</th><th class="num">未掌握</th><th></th></tr></thead>
+<tbody>${pageRows}</tbody></table>
+<h2>错题明细</h2>
+<table><thead><tr><th class="num">#</th><th>页码</th><th>题目</th><th>状态</th><th class="num">已记录</th><th class="num">复习次数</th><th class="num">当前间隔</th><th>下次复习</th></tr></thead>
+<tbody>${itemRows}</tbody></table>
+<p class="muted">已掌握：复习间隔达到 ${MASTERED_INTERVAL} 天且最近 ${RECENT_AGAIN_DAYS} 天内没有评“完全忘”。</p>
+</body>
+</html>`;
+}
@@ -0,0 +1,473 @@
+// 复习调度引擎：legacy（原有算法）、SM-2、FSRS 三种可切换
+// 所有算法都读写同一组公共字段（intervalDays / easiness / reviewStreak / nextReviewAt），
+// 各自的额外状态（learningStep、stability、difficulty…）缺失时从公共字段推算，
+// 因此切换算法时已有卡片的进度不会丢失。
+
+import { createId } from "./id";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const RATING_GRADE = { again: 1, hard: 2, good: 3, easy: 4 };
+
+function fuzzInterval(days) {
+  if (days < 2.5) return days;
+  const delta = days < 7 ? Math.max(1, days * 0.15) : days < 20 ? days * 0.1 : days * 0.05;
+  return Math.max(2, Math.round(days - delta + Math.random() * 2 * delta));
+}
+
+function stepMinutes(settings, index) {
+  const steps = settings.learningSteps || [];
+  return steps[Math.min(index, steps.length - 1)] || 10;
+}
+
+// ---------- legacy：原有的宽松 SM-2 变体 ----------
+
+const legacy = {
+  id: "legacy",
+  label: "原有算法",
+  description: "简单的 SM-2 变体，没有学习步长和随机扰动。",
+  review(card, rating) {
+    let interval = card.intervalDays || 0;
+    let ease = card.easiness || 2.5;
+    let streak = card.reviewStreak || 0;
+
+    switch (rating) {
+      case "again":
+        interval = 1;
+        ease = Math.max(1.3, ease - 0.3);
+        streak = 0;
+        break;
+      case "hard":
+        interval = Math.max(1, Math.round(interval * 1.2) || 1);
+        ease = Math.max(1.3, ease - 0.15);
+        streak = 0;
+        break;
+      case "good":
+        interval = interval === 0 ? 1 : Math.max(1, Math.round(interval * ease));
+        streak += 1;
+        break;
+      case "easy":
+        interval = interval === 0 ? 2 : Math.max(2, Math.round(interval * (ease + 0.15)));
+        ease += 0.1;
+        streak += 1;
+        break;
+      default:
+        break;
+    }
+
+    return {
+      intervalDays: interval,
+      dueInMs: interval * DAY_MS,
+      easiness: ease,
+      reviewStreak: streak,
+    };
+  },
+};
+
+// ---------- SM-2：按 SuperMemo 原始定义，加上学习步长 ----------
+
+const SM2_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+const SM2_EASY_INTERVAL = 4;
+
+function inLearning(card) {
+  return card.learningStep != null || !card.lastReviewedAt;
+}
+
+// 学习 / 重学阶段：按步长推进，走完步长后毕业
+function learningStepResult(card, rating, settings, graduate) {
+  const steps = settings.learningSteps || [];
+  const step = card.learningStep ?? 0;
+  if (steps.length === 0 || rating === "easy") return graduate(rating === "easy");
+
+  switch (rating) {
+    case "again":
+      return { learningStep: 0, dueInMs: stepMinutes(settings, 0) * MINUTE_MS };
+    case "hard": {
+      const cur = stepMinutes(settings, step);
+      const next = step + 1 < steps.length ? steps[step + 1] : cur * 1.5;
+      return { learningStep: step, dueInMs: ((cur + next) / 2) * MINUTE_MS };
+    }
+    default:
+      if (step + 1 >= steps.length) return graduate(false);
+      return { learningStep: step + 1, dueInMs: steps[step + 1] * MINUTE_MS };
+  }
+}
+
+const sm2 = {
+  id: "sm2",
+  label: "SM-2",
+  description: "经典 SuperMemo-2：第 1 次 1 天、第 2 次 6 天，之后按难度系数倍增。",
+  review(card, rating, settings) {
+    const ease = card.easiness || 2.5;
+    const reps = card.reviewStreak || 0;
+    const lapses = card.lapses || 0;
+
+    if (inLearning(card)) {
+      const res = learningStepResult(card, rating, settings, (easy) => {
+        const interval = easy ? SM2_EASY_INTERVAL : 1;
+        return {
+          learningStep: null,
+          intervalDays: interval,
+          dueInMs: interval * DAY_MS,
+          reviewStreak: 1,
+        };
+      });
+      return {
+        intervalDays: 0,
+        easiness: ease,
+        reviewStreak: reps,
+        lapses,
+        ...res,
+      };
+    }
+
+    const q = SM2_QUALITY[rating];
+    if (q < 3) {
+      // 遗忘：从头开始，难度系数不变
+      const relearn = (settings.learningSteps || []).length > 0;
+      return {
+        intervalDays: 1,
+        dueInMs: relearn ? stepMinutes(settings, 0) * MINUTE_MS : DAY_MS,
+        easiness: ease,
+        reviewStreak: 0,
+        lapses: lapses + 1,
+        learningStep: relearn ? 0 : null,
+      };
+    }
+
+    const nextReps = reps + 1;
+    let interval;
+    if (nextReps === 1) interval = 1;
+    else if (nextReps === 2) interval = 6;
+    else interval = Math.round((card.intervalDays || 1) * ease);
+    if (settings.fuzz) interval = fuzzInterval(interval);
+    const nextEase = Math.max(1.3, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+    return {
+      intervalDays: interval,
+      dueInMs: interval * DAY_MS,
+      easiness: nextEase,
+      reviewStreak: nextReps,
+      lapses,
+      learningStep: null,
+    };
+  },
+};
+
+// ---------- FSRS（4.5 版公式） ----------
+
+export const FSRS_DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461,
+  2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+
+// 拟合时各参数的取值范围
+const FSRS_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.1, 5], [0.1, 5], [0, 0.75], [0, 4.5], [0, 0.8], [0.01, 3.5],
+  [0.1, 5], [0.01, 0.25], [0.01, 0.9], [0.01, 4], [0, 1], [1, 6],
+];
+
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const MAX_INTERVAL_DAYS = 36500;
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+function retrievability(elapsedDays, stability) {
+  return Math.pow(1 + (FSRS_FACTOR * elapsedDays) / stability, FSRS_DECAY);
+}
+
+function initDifficulty(w, grade) {
+  return clamp(w[4] - (grade - 3) * w[5], 1, 10);
+}
+
+function nextDifficulty(w, d, grade) {
+  const next = d - w[6] * (grade - 3);
+  return clamp(w[7] * initDifficulty(w, 3) + (1 - w[7]) * next, 1, 10);
+}
+
+function nextRecallStability(w, d, s, r, grade) {
+  const hardPenalty = grade === 2 ? w[15] : 1;
+  const easyBonus = grade === 4 ? w[16] : 1;
+  return (
+    s *
+    (1 +
+      Math.exp(w[8]) *
+        (11 - d) *
+        Math.pow(s, -w[9]) *
+        (Math.exp(w[10] * (1 - r)) - 1) *
+        hardPenalty *
+        easyBonus)
+  );
+}
+
+function nextForgetStability(w, d, s, r) {
+  return w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r));
+}
+
+function fsrsInterval(stability, retention) {
+  const days = (stability / FSRS_FACTOR) * (Math.pow(retention, 1 / FSRS_DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL_DAYS);
+}
+
+// 难度系数与 FSRS 难度互相换算：2.5 ↔ 5，1.3 ↔ 9
+const easeToDifficulty = (ease) => clamp(5 + (2.5 - ease) / 0.3, 1, 10);
+const difficultyToEase = (d) => Math.max(1.3, 2.5 - (d - 5) * 0.3);
+
+// 单次复习后的记忆状态，fitFsrsWeights 回放历史时也用它
+function fsrsStep(w, state, grade, elapsedDays) {
+  if (!state) return { stability: w[grade - 1], difficulty: initDifficulty(w, grade) };
+  const r = retrievability(Math.max(0, elapsedDays), state.stability);
+  const difficulty = nextDifficulty(w, state.difficulty, grade);
+  const stability =
+    grade === 1
+      ? Math.min(state.stability, nextForgetStability(w, state.difficulty, state.stability, r))
+      : nextRecallStability(w, state.difficulty, state.stability, r, grade);
+  return { stability: Math.max(0.01, stability), difficulty };
+}
+
+const fsrs = {
+  id: "fsrs",
+  label: "FSRS",
+  description: "自由间隔重复调度器，按目标记忆保持率计算间隔，可用自己的复习记录拟合参数。",
+  review(card, rating, settings, now) {
+    const w = settings.fsrsWeights || FSRS_DEFAULT_WEIGHTS;
+    const retention = settings.desiredRetention || 0.9;
+    const grade = RATING_GRADE[rating];
+    const lapses = card.lapses || 0;
+
+    // 上次不是 FSRS 排的卡片：用当前间隔近似稳定性、用难度系数换算难度
+    let state = null;
+    if (card.stability != null && card.scheduledBy === "fsrs") {
+      state = { stability: card.stability, difficulty: card.difficulty ?? 5 };
+    } else if (card.lastReviewedAt) {
+      state = {
+        stability: Math.max(0.5, card.intervalDays || 0),
+        difficulty: easeToDifficulty(card.easiness || 2.5),
+      };
+    }
+
+    const graduate = (s) => {
+      let interval = fsrsInterval(s.stability, retention);
+      if (settings.fuzz) interval = Math.min(MAX_INTERVAL_DAYS, fuzzInterval(interval));
+      return { learningStep: null, intervalDays: interval, dueInMs: interval * DAY_MS };
+    };
+
+    // 学习步长内的短间隔复习不更新记忆状态
+    if (state && card.learningStep != null) {
+      const res = learningStepResult(card, rating, settings, () => graduate(state));
+      return {
+        intervalDays: 0,
+        easiness: difficultyToEase(state.difficulty),
+        reviewStreak: card.reviewStreak || 0,
+        lapses,
+        ...state,
+        ...res,
+      };
+    }
+
+    const elapsedDays = card.lastReviewedAt
+      ? (now.getTime() - new Date(card.lastReviewedAt).getTime()) / DAY_MS
+      : 0;
+    const next = fsrsStep(w, state, grade, elapsedDays);
+    const base = {
+      ...next,
+      easiness: difficultyToEase(next.difficulty),
+      lapses: state && grade === 1 ? lapses + 1 : lapses,
+      reviewStreak: grade === 1 ? 0 : (card.reviewStreak || 0) + 1,
+    };
+
+    const hasSteps = (settings.learningSteps || []).length > 0;
+    if (grade === 1 && hasSteps) {
+      return {
+        ...base,
+        intervalDays: 0,
+        learningStep: 0,
+        dueInMs: stepMinutes(settings, 0) * MINUTE_MS,
+      };
+    }
+    if (!state && hasSteps && grade < 4) {
+      // 新卡：先走学习步长
+      const res = learningStepResult({ learningStep: 0 }, rating, settings, () => graduate(next));
+      return { ...base, intervalDays: 0, ...res };
+    }
+    return { ...base, ...graduate(next) };
+  },
+};
+
+export const SCHEDULERS = { legacy, sm2, fsrs };
+
+export function getScheduler(settings) {
+  return SCHEDULERS[settings?.scheduler] || legacy;
+}
+
+export function scheduleInitial(now, settings) {
+  const delayDays = Math.max(0, Number(settings?.newCardDelayDays) || 0);
+  return {
+    lastReviewedAt: null,
+    nextReviewAt: new Date(now.getTime() + delayDays * DAY_MS).toISOString(),
+    intervalDays: 0,
+    easiness: 2.5,
+    reviewStreak: 0,
+  };
+}
+
+export function applyReview(mistake, rating, settings, now = new Date()) {
+  const scheduler = getScheduler(settings);
+  const oldInterval = mistake.intervalDays || 0;
+  // 上次由别的算法排期：它留下的学习步长对当前算法没有意义，清掉后按公共字段推算
+  const card =
+    mistake.scheduledBy && mistake.scheduledBy !== scheduler.id
+      ? { ...mistake, learningStep: null }
+      : mistake;
+  const { dueInMs, ...patch } = scheduler.review(card, rating, settings || {}, now);
+  const next = new Date(now.getTime() + dueInMs);
+
+  return {
+    updated: {
+      ...card,
+      ...patch,
+      scheduledBy: scheduler.id,
+      lastReviewedAt: now.toISOString(),
+      nextReviewAt: next.toISOString(),
+    },
+    log: {
+      id: createId(),
+      mistakeId: mistake.id,
+      rating,
+      reviewedAt: now.toISOString(),
+      oldInterval,
+      newInterval: patch.intervalDays,
+      scheduler: scheduler.id,
+    },
+  };
+}
+
+// 自定义复习中“不影响排期”的评分：只留记录，错题本身不变
+export function practiceLog(mistake, rating, settings, now = new Date()) {
+  return {
+    id: createId(),
+    mistakeId: mistake.id,
+    rating,
+    reviewedAt: now.toISOString(),
+    oldInterval: mistake.intervalDays || 0,
+    newInterval: mistake.intervalDays || 0,
+    scheduler: getScheduler(settings).id,
+    practice: true,
+  };
+}
+
+// ---------- 用复习记录拟合 FSRS 参数 ----------
+
+const MIN_FIT_REVIEWS = 50;
+
+// 每张卡的复习序列，同一天只保留第一次（与 FSRS 优化器一致）
+function buildHistories(reviewLogs) {
+  const byCard = new Map();
+  reviewLogs
+    .filter((l) => !l.practice && l.mistakeId && RATING_GRADE[l.rating] && l.reviewedAt)
+    .slice()
+    .sort((a, b) => a.reviewedAt.localeCompare(b.reviewedAt))
+    .forEach((l) => {
+      const list = byCard.get(l.mistakeId) || [];
+      const t = new Date(l.reviewedAt).getTime();
+      const prev = list[list.length - 1];
+      if (prev && new Date(prev.t).toDateString() === new Date(t).toDateString()) return;
+      list.push({ t, grade: RATING_GRADE[l.rating] });
+      byCard.set(l.mistakeId, list);
+    });
+  return Array.from(byCard.values()).filter((h) => h.length >= 2);
+}
+
+function logLoss(p, recalled) {
+  const q = clamp(p, 1e-4, 1 - 1e-4);
+  return -(recalled ? Math.log(q) : Math.log(1 - q));
+}
+
+function historyLoss(w, histories) {
+  let loss = 0;
+  let n = 0;
+  histories.forEach((h) => {
+    let state = null;
+    for (let i = 0; i < h.length; i++) {
+      const elapsed = i === 0 ? 0 : (h[i].t - h[i - 1].t) / DAY_MS;
+      if (state) {
+        loss += logLoss(retrievability(elapsed, state.stability), h[i].grade > 1);
+        n += 1;
+      }
+      state = fsrsStep(w, state, h[i].grade, elapsed);
+    }
+  });
+  return n ? loss / n : 0;
+}
+
+// 初始稳定性：按首次评分分组，对第二次复习的结果做一维搜索，数据少时向默认值收缩
+function fitInitialStability(histories, w) {
+  const result = w.slice(0, 4);
+  for (let grade = 1; grade <= 4; grade++) {
+    const points = histories
+      .filter((h) => h[0].grade === grade)
+      .map((h) => ({ t: (h[1].t - h[0].t) / DAY_MS, recalled: h[1].grade > 1 }));
+    if (points.length === 0) continue;
+    let best = w[grade - 1];
+    let bestLoss = Infinity;
+    for (let i = 0; i <= 200; i++) {
+      const s = Math.exp(Math.log(0.1) + (i / 200) * (Math.log(100) - Math.log(0.1)));
+      const loss = points.reduce((sum, p) => sum + logLoss(retrievability(p.t, s), p.recalled), 0);
+      if (loss < bestLoss) {
+        bestLoss = loss;
+        best = s;
+      }
+    }
+    const k = points.length / (points.length + 10);
+    result[grade - 1] = Math.exp(k * Math.log(best) + (1 - k) * Math.log(w[grade - 1]));
+  }
+  // 初始稳定性应随评分单调递增
+  for (let i = 1; i < 4; i++) result[i] = Math.max(result[i], result[i - 1]);
+  return result;
+}
+
+export function fitFsrsWeights(reviewLogs, startWeights = FSRS_DEFAULT_WEIGHTS) {
+  const histories = buildHistories(reviewLogs);
+  const reviewCount = histories.reduce((sum, h) => sum + h.length - 1, 0);
+  if (reviewCount < MIN_FIT_REVIEWS) {
+    throw new Error(
+      "有效复习记录太少（" + reviewCount + " 条），至少需要 " + MIN_FIT_REVIEWS + " 条才能拟合"
+    );
+  }
+
+  let w = startWeights.slice();
+  const lossBefore = historyLoss(w, histories);
+  w.splice(0, 4, ...fitInitialStability(histories, w));
+  let loss = historyLoss(w, histories);
+
+  // 其余参数做坐标下降，步长逐轮减半
+  let step = 0.2;
+  for (let pass = 0; pass < 8; pass++) {
+    for (let i = 4; i < w.length; i++) {
+      const [lo, hi] = FSRS_BOUNDS[i];
+      const delta = Math.max(step * Math.abs(w[i]), step * 0.1);
+      for (const dir of [1, -1]) {
+        const candidate = w.slice();
+        candidate[i] = clamp(w[i] + dir * delta, lo, hi);
+        const candidateLoss = historyLoss(candidate, histories);
+        if (candidateLoss < loss) {
+          w = candidate;
+          loss = candidateLoss;
+          break;
+        }
+      }
+    }
+    step /= 2;
+  }
+
+  return {
+    weights: w.map((v) => Math.round(v * 10000) / 10000),
+    reviewCount,
+    cardCount: histories.length,
+    lossBefore,
+    lossAfter: loss,
+  };
+}
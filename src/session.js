@@ -0,0 +1,97 @@
+// 自定义复习：按试卷、页码范围、标签、最近“完全忘”等条件临时组一轮复习，不看是否到期
+
+import { matchesTags } from "./tags";
+import { mistakeRegions } from "./regions";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SESSION_ORDERS = {
+  due: "按到期时间",
+  random: "随机",
+  easiness: "难的优先",
+  paper: "按试卷和页码",
+};
+
+export const DEFAULT_SESSION_CRITERIA = {
+  pairGroupId: "",
+  // 错题版页码范围（从 1 开始，含两端），null 表示不限
+  pageFrom: null,
+  pageTo: null,
+  tags: [],
+  // 最近 N 天内评过“完全忘”，0 表示不限
+  againWithinDays: 0,
+  dueOnly: false,
+  order: "due",
+  // 本轮评分是否计入正常排期
+  affectSchedule: false,
+};
+
+export function normalizeCriteria(raw) {
+  return { ...DEFAULT_SESSION_CRITERIA, ...(raw || {}) };
+}
+
+function shuffle(list) {
+  const a = list.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// 按条件挑出错题并排序；pairOrder 为试卷在列表中的顺序（按试卷排序时使用）
+export function buildSessionQueue(
+  mistakes,
+  reviewLogs,
+  rawCriteria,
+  { now = new Date(), pairOrder = [] } = {}
+) {
+  const c = normalizeCriteria(rawCriteria);
+  let recentAgain = null;
+  if (c.againWithinDays > 0) {
+    const since = new Date(now.getTime() - c.againWithinDays * DAY_MS).toISOString();
+    recentAgain = new Set(
+      reviewLogs
+        .filter((l) => l.rating === "again" && (l.reviewedAt || "") >= since)
+        .map((l) => l.mistakeId)
+    );
+  }
+
+  const picked = mistakes.filter((m) => {
+    if (c.pairGroupId && m.pairGroupId !== c.pairGroupId) return false;
+    // 跨页的错题只要有一个区域落在范围内即可
+    const inRange = mistakeRegions(m).some(
+      (r) =>
+        (c.pageFrom == null || r.pageIndex + 1 >= c.pageFrom) &&
+        (c.pageTo == null || r.pageIndex + 1 <= c.pageTo)
+    );
+    if (!inRange) return false;
+    if (!matchesTags(m, c.tags)) return false;
+    if (recentAgain && !recentAgain.has(m.id)) return false;
+    if (c.dueOnly && new Date(m.nextReviewAt) > now) return false;
+    return true;
+  });
+
+  switch (c.order) {
+    case "random":
+      return shuffle(picked);
+    case "easiness":
+      return picked.slice().sort((a, b) => (a.easiness || 0) - (b.easiness || 0));
+    case "paper": {
+      const rank = (m) => {
+        const i = pairOrder.indexOf(m.pairGroupId);
+        return i === -1 ? pairOrder.length : i;
+      };
+      return picked
+        .slice()
+        .sort(
+          (a, b) =>
+            rank(a) - rank(b) ||
+            a.pageIndex - b.pageIndex ||
+            (a.bbox?.y || 0) - (b.bbox?.y || 0)
+        );
+    }
+    default:
+      return picked.slice().sort((a, b) => a.nextReviewAt.localeCompare(b.nextReviewAt));
+  }
+}
@@ -0,0 +1,33 @@
+// 错题本级别的设置（整本共用一份，存在 IndexedDB 的 settings 表）
+
+import { DEFAULT_ERROR_CAUSES } from "./reflection";
+
+export const DEFAULT_SETTINGS = {
+  // 复习调度算法：legacy | sm2 | fsrs
+  scheduler: "legacy",
+  // 学习 / 重学步长（分钟），仅 SM-2 与 FSRS 使用
+  learningSteps: [10],
+  // 新建错题多少天后第一次复习，0 表示立即
+  newCardDelayDays: 0,
+  // 对较长的间隔加随机扰动，避免同一天建的卡片永远挤在同一天
+  fuzz: true,
+  // FSRS 目标记忆保持率
+  desiredRetention: 0.9,
+  // 根据复习记录拟合出的 FSRS 参数，null 表示使用默认参数
+  fsrsWeights: null,
+  fsrsFittedAt: null,
+  // 自定义复习的预设：[{ id, name, criteria }]
+  sessionPresets: [],
+  // 复习时默认只显示题目区域（否则显示整页）
+  reviewFocus: true,
+  // 只显示题目区域时四周的留白，占页面宽高的比例
+  cropPadding: 0.02,
+  // 错因分类，错题卡片上从中选择
+  errorCauses: DEFAULT_ERROR_CAUSES,
+};
+
+export function normalizeSettings(raw) {
+  const settings = { ...DEFAULT_SETTINGS, ...(raw || {}) };
+  // 旧数据或导入的备份里可能是字符串、负数
+  return { ...settings, newCardDelayDays: Math.max(0, Number(settings.newCardDelayDays) || 0) };
+}
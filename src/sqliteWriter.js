@@ -0,0 +1,218 @@
+// 极简 SQLite 数据库文件生成：只写表（无索引），一次性按 rowid 顺序建好 B 树
+// 用于导出 Anki 卡组（.apkg 里的 collection.anki2 是一个 SQLite 数据库）
+// 文件格式参见 https://www.sqlite.org/fileformat2.html
+
+const PAGE_SIZE = 4096;
+const HEADER_SIZE = 100;
+// 表叶子页单元格允许的最大本地负载，超过部分写到溢出页
+const MAX_LOCAL = PAGE_SIZE - 35;
+const MIN_LOCAL = Math.floor(((PAGE_SIZE - 12) * 32) / 255) - 23;
+
+const encoder = new TextEncoder();
+
+function varint(value) {
+  let v = BigInt(value);
+  if (v < 0n) v += 1n << 64n;
+  if (v > 0x00ffffffffffffffn) {
+    // 9 字节：前 8 字节各 7 位，最后一字节完整 8 位
+    const out = new Array(9);
+    out[8] = Number(v & 0xffn);
+    v >>= 8n;
+    for (let i = 7; i >= 0; i--) {
+      out[i] = Number(v & 0x7fn) | 0x80;
+      v >>= 7n;
+    }
+    return out;
+  }
+  const out = [Number(v & 0x7fn)];
+  v >>= 7n;
+  while (v > 0n) {
+    out.unshift(Number(v & 0x7fn) | 0x80);
+    v >>= 7n;
+  }
+  return out;
+}
+
+function intBytes(value, size) {
+  let v = BigInt.asUintN(size * 8, BigInt(value));
+  const out = new Array(size);
+  for (let i = size - 1; i >= 0; i--) {
+    out[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return out;
+}
+
+// 一个值的序列类型和内容（记录格式，schema format 4）
+function serialize(value) {
+  if (value == null) return { type: 0, body: [] };
+  if (typeof value === "number" && !Number.isInteger(value)) {
+    const buf = new DataView(new ArrayBuffer(8));
+    buf.setFloat64(0, value);
+    return { type: 7, body: Array.from(new Uint8Array(buf.buffer)) };
+  }
+  if (typeof value === "number" || typeof value === "bigint") {
+    const n = BigInt(value);
+    if (n === 0n) return { type: 8, body: [] };
+    if (n === 1n) return { type: 9, body: [] };
+    const sizes = [
+      [1, 1],
+      [2, 2],
+      [3, 3],
+      [4, 4],
+      [5, 6],
+      [6, 8],
+    ];
+    for (const [type, size] of sizes) {
+      const limit = 1n << BigInt(size * 8 - 1);
+      if (n >= -limit && n < limit) return { type, body: intBytes(n, size) };
+    }
+  }
+  if (value instanceof Uint8Array) {
+    return { type: value.length * 2 + 12, body: Array.from(value) };
+  }
+  const text = encoder.encode(String(value));
+  return { type: text.length * 2 + 13, body: Array.from(text) };
+}
+
+function encodeRecord(values) {
+  const cols = values.map(serialize);
+  const types = cols.flatMap((c) => varint(c.type));
+  // 头部长度包含自身的 varint
+  let headerLen = types.length + 1;
+  if (varint(headerLen).length > 1) headerLen = types.length + varint(types.length + 2).length;
+  return Uint8Array.from([...varint(headerLen), ...types, ...cols.flatMap((c) => c.body)]);
+}
+
+// rows: [{ rowid, values }]，必须按 rowid 升序
+export function buildSqliteDatabase(tables) {
+  const pages = [null]; // pages[0] 占位，页号从 1 开始；第 1 页留给 sqlite_master
+  const newPage = () => {
+    pages.push(new Uint8Array(PAGE_SIZE));
+    return pages.length - 1;
+  };
+
+  // 单元格负载超出本地上限时写溢出页，返回本地部分 + 第一个溢出页号
+  const leafCell = (rowid, payload) => {
+    let local = payload.length;
+    if (local > MAX_LOCAL) {
+      const k = MIN_LOCAL + ((payload.length - MIN_LOCAL) % (PAGE_SIZE - 4));
+      local = k <= MAX_LOCAL ? k : MIN_LOCAL;
+    }
+    const head = [...varint(payload.length), ...varint(rowid)];
+    if (local === payload.length) return Uint8Array.from([...head, ...payload]);
+
+    let rest = payload.subarray(local);
+    const first = newPage();
+    let pageNo = first;
+    while (rest.length) {
+      const chunk = rest.subarray(0, PAGE_SIZE - 4);
+      rest = rest.subarray(chunk.length);
+      const page = pages[pageNo];
+      page.set(chunk, 4);
+      if (rest.length) {
+        const next = newPage();
+        page.set(intBytes(next, 4), 0);
+        pageNo = next;
+      }
+    }
+    return Uint8Array.from([...head, ...payload.subarray(0, local), ...intBytes(first, 4)]);
+  };
+
+  // 把单元格写进一页；interior 时 rightChild 为最右子页
+  const writePage = (pageNo, type, cells, rightChild, offset = 0) => {
+    const page = pages[pageNo];
+    const headerSize = type === 0x05 ? 12 : 8;
+    let content = PAGE_SIZE;
+    cells.forEach((cell, i) => {
+      content -= cell.length;
+      page.set(cell, content);
+      page.set(intBytes(content, 2), offset + headerSize + i * 2);
+    });
+    page[offset] = type;
+    page.set(intBytes(cells.length, 2), offset + 3);
+    page.set(intBytes(content, 2), offset + 5);
+    if (type === 0x05) page.set(intBytes(rightChild, 4), offset + 8);
+  };
+
+  // 按顺序装页：返回 [{ pageNo, maxRowid }]
+  const packLeaves = (rows) => {
+    const out = [];
+    let cells = [];
+    let used = 8;
+    let maxRowid = 0;
+    const flush = () => {
+      const pageNo = newPage();
+      writePage(pageNo, 0x0d, cells);
+      out.push({ pageNo, maxRowid });
+      cells = [];
+      used = 8;
+    };
+    rows.forEach(({ rowid, values }) => {
+      const cell = leafCell(rowid, encodeRecord(values));
+      if (cells.length && used + cell.length + 2 > PAGE_SIZE) flush();
+      cells.push(cell);
+      used += cell.length + 2;
+      maxRowid = rowid;
+    });
+    if (cells.length || out.length === 0) flush();
+    return out;
+  };
+
+  // 每个内部单元格最多 4 字节页号 + 9 字节 rowid，再加 2 字节指针
+  const INTERIOR_FANOUT = Math.floor((PAGE_SIZE - 12) / 15) + 1;
+  const packInterior = (children) => {
+    // 均匀分组，保证每页至少有一个单元格 + 最右指针
+    const groups = Math.ceil(children.length / INTERIOR_FANOUT);
+    const per = Math.ceil(children.length / groups);
+    const out = [];
+    for (let i = 0; i < children.length; i += per) {
+      const group = children.slice(i, i + per);
+      const right = group.pop();
+      const cells = group.map((c) =>
+        Uint8Array.from([...intBytes(c.pageNo, 4), ...varint(c.maxRowid)])
+      );
+      const pageNo = newPage();
+      writePage(pageNo, 0x05, cells, right.pageNo);
+      out.push({ pageNo, maxRowid: right.maxRowid });
+    }
+    return out;
+  };
+
+  const buildTree = (rows) => {
+    let level = packLeaves(rows);
+    while (level.length > 1) level = packInterior(level);
+    return level[0].pageNo;
+  };
+
+  pages.push(new Uint8Array(PAGE_SIZE)); // 第 1 页
+  const master = tables.map((t, i) => ({
+    rowid: i + 1,
+    values: ["table", t.name, t.name, buildTree(t.rows), t.sql],
+  }));
+  const masterCells = master.map(({ rowid, values }) => leafCell(rowid, encodeRecord(values)));
+  const masterSize = masterCells.reduce((sum, c) => sum + c.length + 2, HEADER_SIZE + 8);
+  if (masterSize > PAGE_SIZE) throw new Error("表结构过多，无法放进第一页");
+  writePage(1, 0x0d, masterCells, 0, HEADER_SIZE);
+
+  const header = pages[1];
+  header.set(encoder.encode("SQLite format 3\0"), 0);
+  header.set(intBytes(PAGE_SIZE, 2), 16);
+  header[18] = 1; // 写版本：legacy
+  header[19] = 1; // 读版本
+  header[20] = 0; // 每页保留字节
+  header[21] = 64;
+  header[22] = 32;
+  header[23] = 32;
+  header.set(intBytes(1, 4), 24); // 文件修改计数
+  header.set(intBytes(pages.length - 1, 4), 28); // 总页数
+  header.set(intBytes(1, 4), 40); // schema cookie
+  header.set(intBytes(4, 4), 44); // schema format
+  header.set(intBytes(1, 4), 56); // 文本编码 UTF-8
+  header.set(intBytes(1, 4), 92); // 与文件修改计数一致，表示总页数有效
+  header.set(intBytes(3045000, 4), 96);
+
+  const out = new Uint8Array((pages.length - 1) * PAGE_SIZE);
+  for (let i = 1; i < pages.length; i++) out.set(pages[i], (i - 1) * PAGE_SIZE);
+  return out;
+}
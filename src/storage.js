@@ -0,0 +1,338 @@
+// 本地持久化：所有数据存入 IndexedDB
+// - pdfFiles：PDF 原文件，按 SHA-256 指纹索引
+// - documents / mistakes / reviews：文档元信息、错题、复习记录，逐条读写
+// - settings：错题本级别的设置
+// - attachments：错题解析里附的图片 / 手绘草图，按 mistakeId 索引
+
+import { normalizeMistakeRegions } from "./regions";
+
+const DB_NAME = "wrongbook";
+const PDF_STORE = "pdfFiles";
+const DOC_STORE = "documents";
+const MISTAKE_STORE = "mistakes";
+const REVIEW_STORE = "reviews";
+const SETTINGS_STORE = "settings";
+const ATTACHMENT_STORE = "attachments";
+const COLLECTION_SETTINGS_KEY = "collection";
+
+// 旧版本（localStorage）使用的键，迁移完成后删除
+const LEGACY_KEYS = {
+  documents: "wrongbook_documents_v1",
+  mistakes: "wrongbook_mistakes_v1",
+  reviews: "wrongbook_reviews_v1",
+};
+
+// 数据库版本即 schema 版本；MIGRATIONS[v] 负责从 v-1 升级到 v
+const MIGRATIONS = [
+  null,
+  // v1：PDF 原文件
+  (db) => {
+    db.createObjectStore(PDF_STORE, { keyPath: "fingerprint" });
+  },
+  // v2：文档、错题、复习记录从 localStorage 迁入
+  (db) => {
+    const docs = db.createObjectStore(DOC_STORE, { keyPath: ["fingerprint", "role"] });
+    const mistakes = db.createObjectStore(MISTAKE_STORE, { keyPath: "id" });
+    mistakes.createIndex("pairGroupId", "pairGroupId");
+    const reviews = db.createObjectStore(REVIEW_STORE, { keyPath: "id" });
+    reviews.createIndex("mistakeId", "mistakeId");
+
+    const legacy = readLegacyData();
+    // 旧数据没有 addedAt，按原数组顺序补上，保持配对列表顺序不变
+    const base = Date.now();
+    legacy.documents
+      .filter((d) => d && d.fingerprint && d.role)
+      .forEach((d, i) => docs.put({ addedAt: new Date(base + i).toISOString(), ...d }));
+    legacy.mistakes.filter((m) => m && m.id).forEach((m) => mistakes.put(m));
+    legacy.reviews.filter((r) => r && r.id).forEach((r) => reviews.put(r));
+    migratedLegacy = true;
+  },
+  // v3：设置
+  (db) => {
+    db.createObjectStore(SETTINGS_STORE, { keyPath: "key" });
+  },
+  // v4：错题可以由多个区域组成，旧错题补上 regions
+  (db, tx) => {
+    tx.objectStore(MISTAKE_STORE).openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      cursor.update(normalizeMistakeRegions(cursor.value));
+      cursor.continue();
+    };
+  },
+  // v5：错题附图
+  (db) => {
+    const attachments = db.createObjectStore(ATTACHMENT_STORE, { keyPath: "id" });
+    attachments.createIndex("mistakeId", "mistakeId");
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length - 1;
+
+let dbPromise = null;
+let migratedLegacy = false;
+
+function readLegacyData() {
+  const read = (key) => {
+    try {
+      const raw = window.localStorage.getItem(key);
+      const value = raw ? JSON.parse(raw) : [];
+      return Array.isArray(value) ? value : [];
+    } catch {
+      return [];
+    }
+  };
+  if (typeof window === "undefined" || !window.localStorage) {
+    return { documents: [], mistakes: [], reviews: [] };
+  }
+  return {
+    documents: read(LEGACY_KEYS.documents),
+    mistakes: read(LEGACY_KEYS.mistakes),
+    reviews: read(LEGACY_KEYS.reviews),
+  };
+}
+
+function clearLegacyData() {
+  try {
+    Object.values(LEGACY_KEYS).forEach((key) => window.localStorage.removeItem(key));
+  } catch {}
+}
+
+function openDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("当前环境不支持 IndexedDB"));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+      req.onupgradeneeded = (event) => {
+        const db = req.result;
+        for (let v = event.oldVersion + 1; v <= SCHEMA_VERSION; v++) {
+          MIGRATIONS[v](db, req.transaction);
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // 其他标签页升级数据库时主动让出连接
+        db.onversionchange = () => db.close();
+        if (migratedLegacy) {
+          clearLegacyData();
+          migratedLegacy = false;
+        }
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+      req.onblocked = () =>
+        reject(new Error("数据库升级被其他标签页阻塞，请关闭其他 Wrongbook 页面后刷新"));
+    });
+    // 打开失败时允许下次重试
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// 在一个事务里操作一个或多个 store，事务提交后才 resolve
+async function runTx(storeNames, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const req = fn(tx);
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB 事务被中止"));
+  });
+}
+
+function runInStore(storeName, mode, fn) {
+  return runTx(storeName, mode, (tx) => fn(tx.objectStore(storeName)));
+}
+
+// 读出一条记录、用 update 改写后写回，读写在同一事务里，先后几次修改不会互相覆盖；
+// 记录不存在或 update 返回 null 时不写
+function updateInStore(storeName, key, update) {
+  return runInStore(storeName, "readwrite", (store) => {
+    const req = store.get(key);
+    req.onsuccess = () => {
+      const next = req.result && update(req.result);
+      if (next) store.put(next);
+    };
+  });
+}
+
+const byTime = (key) => (a, b) => (a[key] || "").localeCompare(b[key] || "");
+
+export async function loadAllRecords() {
+  const result = {};
+  await runTx([DOC_STORE, MISTAKE_STORE, REVIEW_STORE], "readonly", (tx) => {
+    tx.objectStore(DOC_STORE).getAll().onsuccess = (e) => {
+      result.documents = e.target.result.sort(byTime("addedAt"));
+    };
+    tx.objectStore(MISTAKE_STORE).getAll().onsuccess = (e) => {
+      result.mistakes = e.target.result.sort(byTime("createdAt"));
+    };
+    tx.objectStore(REVIEW_STORE).getAll().onsuccess = (e) => {
+      result.reviews = e.target.result.sort(byTime("reviewedAt"));
+    };
+  });
+  return result;
+}
+
+export function putDocumentMeta(meta) {
+  return runInStore(DOC_STORE, "readwrite", (store) => store.put(meta));
+}
+
+export function putMistake(mistake) {
+  return runInStore(MISTAKE_STORE, "readwrite", (store) => store.put(mistake));
+}
+
+// 在库里的最新版本上改写文档元信息，update 返回 null 时不写
+export function updateDocumentMeta(fingerprint, role, update) {
+  return updateInStore(DOC_STORE, [fingerprint, role], update);
+}
+
+// 只改部分字段：在库里的最新版本上合并 patch
+export function patchMistake(id, patch) {
+  return updateInStore(MISTAKE_STORE, id, (mistake) => ({ ...mistake, ...patch }));
+}
+
+// 删除错题时连带删除它的复习记录和附图
+export function deleteMistake(id) {
+  return runTx([MISTAKE_STORE, REVIEW_STORE, ATTACHMENT_STORE], "readwrite", (tx) => {
+    tx.objectStore(MISTAKE_STORE).delete(id);
+    [REVIEW_STORE, ATTACHMENT_STORE].forEach((name) => {
+      const store = tx.objectStore(name);
+      store.index("mistakeId").openKeyCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+    });
+  });
+}
+
+// 一次复习：更新错题并追加复习记录，同一事务保证两者一致
+export function saveReview(mistake, log) {
+  return runTx([MISTAKE_STORE, REVIEW_STORE], "readwrite", (tx) => {
+    tx.objectStore(MISTAKE_STORE).put(mistake);
+    tx.objectStore(REVIEW_STORE).put(log);
+  });
+}
+
+// 练习（不影响排期）只追加复习记录，不动错题本身
+export function putReviewLog(log) {
+  return runInStore(REVIEW_STORE, "readwrite", (store) => store.put(log));
+}
+
+// 批量写入（导入备份用），全部成功或全部失败
+export function importRecords({ documents = [], mistakes = [], reviews = [], attachments = [] }) {
+  const stores = [DOC_STORE, MISTAKE_STORE, REVIEW_STORE, ATTACHMENT_STORE];
+  return runTx(stores, "readwrite", (tx) => {
+    documents.forEach((d) => tx.objectStore(DOC_STORE).put(d));
+    mistakes.forEach((m) => tx.objectStore(MISTAKE_STORE).put(m));
+    reviews.forEach((r) => tx.objectStore(REVIEW_STORE).put(r));
+    attachments.forEach((a) => tx.objectStore(ATTACHMENT_STORE).put(a));
+  });
+}
+
+// 一道错题的附图，按添加顺序
+export async function listAttachments(mistakeId) {
+  const all = await runInStore(ATTACHMENT_STORE, "readonly", (store) =>
+    store.index("mistakeId").getAll(IDBKeyRange.only(mistakeId))
+  );
+  return (all || []).sort(byTime("createdAt"));
+}
+
+// 全部附图（含 blob，导出备份用）
+export async function loadAllAttachments() {
+  const all = await runInStore(ATTACHMENT_STORE, "readonly", (store) => store.getAll());
+  return (all || []).sort(byTime("createdAt"));
+}
+
+export async function listAttachmentIds() {
+  return (await runInStore(ATTACHMENT_STORE, "readonly", (store) => store.getAllKeys())) || [];
+}
+
+export function putAttachment(attachment) {
+  return runInStore(ATTACHMENT_STORE, "readwrite", (store) => store.put(attachment));
+}
+
+export function deleteAttachment(id) {
+  return runInStore(ATTACHMENT_STORE, "readwrite", (store) => store.delete(id));
+}
+
+export async function loadSettings() {
+  const rec = await runInStore(SETTINGS_STORE, "readonly", (store) =>
+    store.get(COLLECTION_SETTINGS_KEY)
+  );
+  return rec ? rec.value : null;
+}
+
+export function saveSettings(value) {
+  return runInStore(SETTINGS_STORE, "readwrite", (store) =>
+    store.put({ key: COLLECTION_SETTINGS_KEY, value })
+  );
+}
+
+export function savePdfFile(fingerprint, file) {
+  return runInStore(PDF_STORE, "readwrite", (store) =>
+    store.put({
+      fingerprint,
+      blob: file,
+      name: file.name || "",
+      size: file.size,
+      storedAt: new Date().toISOString(),
+    })
+  );
+}
+
+export async function loadPdfFile(fingerprint) {
+  const rec = await runInStore(PDF_STORE, "readonly", (store) => store.get(fingerprint));
+  return rec || null;
+}
+
+// 只返回元信息，不把 blob 带出去
+export async function listPdfFiles() {
+  const all = await runInStore(PDF_STORE, "readonly", (store) => store.getAll());
+  return (all || []).map(({ fingerprint, name, size, storedAt }) => ({
+    fingerprint,
+    name,
+    size,
+    storedAt,
+  }));
+}
+
+export function deletePdfFile(fingerprint) {
+  return runInStore(PDF_STORE, "readwrite", (store) => store.delete(fingerprint));
+}
+
+export async function estimateStorage() {
+  if (typeof navigator === "undefined" || !navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+// 申请持久化存储，避免浏览器在空间紧张时清掉数据
+export async function requestPersistentStorage() {
+  if (typeof navigator === "undefined" || !navigator.storage?.persist) return false;
+  try {
+    if (await navigator.storage.persisted()) return true;
+    return await navigator.storage.persist();
+  } catch {
+    return false;
+  }
+}
+
+export function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  let n = bytes;
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i += 1;
+  }
+  return (i === 0 ? n : n.toFixed(1)) + " " + units[i];
+}
@@ -0,0 +1,48 @@
+// 错题标签：学科、章节、知识点、错误类型等自由文本标签
+
+export function normalizeTag(raw) {
+  return String(raw || "")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+// 所有用到的标签及使用次数，按次数、名称排序
+export function collectTags(mistakes) {
+  const counts = new Map();
+  mistakes.forEach((m) =>
+    (m.tags || []).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1))
+  );
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag, "zh-CN")
+  );
+}
+
+// 含任一所选标签；未选标签时不过滤
+export function matchesTags(mistake, tags) {
+  if (!tags || tags.length === 0) return true;
+  return (mistake.tags || []).some((t) => tags.includes(t));
+}
+
+export function addTag(tags, raw) {
+  const tag = normalizeTag(raw);
+  if (!tag || (tags || []).includes(tag)) return tags || [];
+  return [...(tags || []), tag];
+}
+
+// 把标签 from 改名为 to；to 已存在时即为合并。返回需要更新的错题
+export function renameTag(mistakes, from, to) {
+  const target = normalizeTag(to);
+  if (!target || target === from) return [];
+  return mistakes
+    .filter((m) => (m.tags || []).includes(from))
+    .map((m) => ({
+      ...m,
+      tags: m.tags.reduce((acc, t) => addTag(acc, t === from ? target : t), []),
+    }));
+}
+
+export function removeTag(mistakes, tag) {
+  return mistakes
+    .filter((m) => (m.tags || []).includes(tag))
+    .map((m) => ({ ...m, tags: m.tags.filter((t) => t !== tag) }));
+}
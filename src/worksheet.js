@@ -0,0 +1,346 @@
+// 错题重做卷：从干净版裁出每道错题（没有干净版时用错题版），加编号和作答留白排成 A4 页面，生成 PDF；
+// 可选附上答案页：错题版裁图（带当时的批改痕迹）+ 备注
+
+import { cropRect, openPdf, renderCrop } from "./pdfRender";
+import { toCleanPage } from "./pageMap";
+import { getPageTransform, mapBbox } from "./alignment";
+import { mistakeRegions } from "./regions";
+import { matchesTags } from "./tags";
+import { buildImagePdf, canvasToJpeg } from "./pdfWriter";
+
+// 作答留白占页面高度的比例
+export const WORK_SPACE_SIZES = {
+  none: { label: "不留", height: 0 },
+  small: { label: "少", height: 0.1 },
+  medium: { label: "中", height: 0.2 },
+  large: { label: "多", height: 0.35 },
+};
+
+export const DEFAULT_WORKSHEET_OPTIONS = {
+  pairGroupId: "",
+  tags: [],
+  // all：全部；due：只要已到期的
+  due: "all",
+  workSpace: "medium",
+  includeAnswers: true,
+};
+
+// A4，150 dpi
+const PAGE_W = 1240;
+const PAGE_H = 1754;
+const MARGIN = 90;
+const CONTENT_W = PAGE_W - MARGIN * 2;
+const FOOTER_H = 50;
+const ITEM_GAP = 36;
+const CROP_GAP = 12;
+// 题目占原页面宽度的比例 × 这个系数 = 在卷面上的宽度，保持各题字号大致一致
+const CROP_ZOOM = 1.15;
+const FONT = `-apple-system, "PingFang SC", "Microsoft YaHei", sans-serif`;
+
+// 按试卷顺序、页码、位置排列
+export function selectWorksheetMistakes(mistakes, options, { now = new Date(), pairOrder = [] } = {}) {
+  const o = { ...DEFAULT_WORKSHEET_OPTIONS, ...options };
+  const rank = (m) => {
+    const i = pairOrder.indexOf(m.pairGroupId);
+    return i === -1 ? pairOrder.length : i;
+  };
+  return mistakes
+    .filter((m) => {
+      if (o.pairGroupId && m.pairGroupId !== o.pairGroupId) return false;
+      if (!matchesTags(m, o.tags)) return false;
+      if (o.due === "due" && m.nextReviewAt && new Date(m.nextReviewAt) > now) return false;
+      return true;
+    })
+    .sort(
+      (a, b) =>
+        rank(a) - rank(b) || a.pageIndex - b.pageIndex || (a.bbox?.y || 0) - (b.bbox?.y || 0)
+    );
+}
+
+// 错题各区域在干净版中的位置；有区域没有对应页时返回 null
+export function cleanRegionsOf(mistake, cleanMeta) {
+  const regions = mistakeRegions(mistake).map((r) => {
+    const pageIndex = toCleanPage(cleanMeta, r.pageIndex);
+    if (pageIndex == null) return null;
+    return { pageIndex, bbox: mapBbox(r.bbox, getPageTransform(cleanMeta, r.pageIndex)) };
+  });
+  return regions.every(Boolean) ? regions : null;
+}
+
+// 题目裁图的来源：优先干净版，干净版未加载或没有对应页时用错题版；都没有时返回 null
+export function questionSource(mistake, documentMetas, getFileUrl) {
+  const cleanMeta = documentMetas.find(
+    (d) => d.fingerprint === mistake.cleanFingerprint && d.role === "clean"
+  );
+  const cleanUrl = cleanMeta && getFileUrl(cleanMeta.fingerprint, "clean");
+  const cleanRegions = cleanUrl && cleanRegionsOf(mistake, cleanMeta);
+  if (cleanRegions) return { url: cleanUrl, regions: cleanRegions };
+  const markedUrl = getFileUrl(mistake.originalFingerprint, "with_handwriting");
+  return markedUrl ? { url: markedUrl, regions: mistakeRegions(mistake) } : null;
+}
+
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  String(text || "")
+    .split("\n")
+    .forEach((paragraph) => {
+      let line = "";
+      for (const ch of paragraph) {
+        if (line && ctx.measureText(line + ch).width > maxWidth) {
+          lines.push(line);
+          line = "";
+        }
+        line += ch;
+      }
+      lines.push(line);
+    });
+  return lines;
+}
+
+// 逐页排版：一页画满就转成 JPEG，只保留当前一页的画布
+function createPager(title) {
+  const pages = [];
+  let canvas = null;
+  let ctx = null;
+  let y = 0;
+  let pending = Promise.resolve();
+
+  const finishPage = () => {
+    if (!canvas) return;
+    ctx.fillStyle = "#94a3b8";
+    ctx.font = `22px ${FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillText(`— ${pages.length + 1} —`, PAGE_W / 2, PAGE_H - FOOTER_H / 2);
+    ctx.textAlign = "left";
+    const done = canvas;
+    const index = pages.length;
+    pages.push(null);
+    pending = pending.then(async () => {
+      pages[index] = await canvasToJpeg(done);
+    });
+    canvas = null;
+  };
+
+  const newPage = () => {
+    finishPage();
+    canvas = document.createElement("canvas");
+    canvas.width = PAGE_W;
+    canvas.height = PAGE_H;
+    ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, PAGE_W, PAGE_H);
+    ctx.fillStyle = "#64748b";
+    ctx.font = `22px ${FONT}`;
+    ctx.textBaseline = "alphabetic";
+    ctx.fillText(title, MARGIN, MARGIN - 30);
+    ctx.strokeStyle = "#e2e8f0";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(MARGIN, MARGIN - 16);
+    ctx.lineTo(PAGE_W - MARGIN, MARGIN - 16);
+    ctx.stroke();
+    y = MARGIN;
+  };
+
+  const bottom = PAGE_H - MARGIN - FOOTER_H;
+
+  // 当前页剩下的地方放不下就换页
+  const ensure = (height) => {
+    if (!canvas || (y > MARGIN && y + height > bottom)) newPage();
+  };
+
+  return {
+    ensure,
+    // 放不下就换页；返回本块的起始 y
+    reserve(height) {
+      ensure(height);
+      const top = y;
+      y += height;
+      return top;
+    },
+    // 块与块之间的间距，不会因此换页
+    skip(height) {
+      y += height;
+    },
+    available: () => bottom - MARGIN,
+    get ctx() {
+      return ctx;
+    },
+    newPage,
+    async finish() {
+      finishPage();
+      await pending;
+      return pages;
+    },
+  };
+}
+
+async function renderSources(getPdf, url, regions, padding) {
+  const pdf = await getPdf(url);
+  const crops = [];
+  for (const r of regions) {
+    const width = Math.min(CONTENT_W, cropRect(r.bbox, padding).width * CONTENT_W * CROP_ZOOM);
+    const { canvas } = await renderCrop(pdf, r.pageIndex, r.bbox, {
+      padding,
+      targetWidth: Math.ceil(width),
+    });
+    crops.push({ canvas, width, height: (canvas.height / canvas.width) * width });
+  }
+  return crops;
+}
+
+// 编号 + 出处一行，然后依次画各区域和文字。整块超过一页时先等比缩小（最多缩到 0.3），
+// 还放不下就在区域之间、文字行之间换页；单个区域比一页还高时缩到一页以内
+function drawItem(pager, { number, label, crops, extraHeight = 0, lines = [] }) {
+  const headerH = 44;
+  const lineH = 34;
+  const textH = lines.length * lineH;
+  const cropsH = crops.reduce((sum, c) => sum + c.height + CROP_GAP, 0);
+  const maxCropsH = pager.available() - headerH - textH - extraHeight;
+  const scale = cropsH > maxCropsH ? Math.max(0.3, maxCropsH / cropsH) : 1;
+  const gap = CROP_GAP * scale;
+  const sized = crops.map((c) => {
+    const h = Math.min(c.height * scale, pager.available() - headerH - gap);
+    return { canvas: c.canvas, width: (c.width * h) / c.height, height: h };
+  });
+  const blockH =
+    headerH + sized.reduce((sum, c) => sum + c.height + gap, 0) + textH + extraHeight;
+
+  // 整块放得下一页就不拆开；拆开时编号至少和第一块内容在同一页
+  const firstH = sized.length ? sized[0].height + gap : lines.length ? lineH : 0;
+  pager.ensure(blockH <= pager.available() ? blockH : headerH + firstH);
+
+  const top = pager.reserve(headerH);
+  let ctx = pager.ctx;
+  ctx.fillStyle = "#0f172a";
+  ctx.font = `bold 30px ${FONT}`;
+  ctx.fillText(`${number}.`, MARGIN, top + 30);
+  if (label) {
+    ctx.fillStyle = "#94a3b8";
+    ctx.font = `20px ${FONT}`;
+    ctx.fillText(label, MARGIN + 70, top + 28);
+  }
+
+  sized.forEach((c) => {
+    const y = pager.reserve(c.height + gap);
+    pager.ctx.drawImage(c.canvas, MARGIN, y, c.width, c.height);
+  });
+
+  lines.forEach((line) => {
+    const y = pager.reserve(lineH);
+    ctx = pager.ctx;
+    ctx.fillStyle = "#334155";
+    ctx.font = `24px ${FONT}`;
+    ctx.fillText(line, MARGIN, y + lineH - 8);
+  });
+
+  // 作答留白的下边缘画一条细线，和下一题隔开
+  if (extraHeight > 0) {
+    const height = Math.min(extraHeight, pager.available());
+    const y = pager.reserve(height) + height;
+    ctx = pager.ctx;
+    ctx.strokeStyle = "#e2e8f0";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.moveTo(MARGIN, y);
+    ctx.lineTo(PAGE_W - MARGIN, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  pager.skip(ITEM_GAP);
+}
+
+// getFileUrl(fingerprint, role) 返回已加载 PDF 的地址，未加载时返回 null
+// 返回 { blob, count, skipped }，skipped 为两个版本都没有加载、无法裁图的错题
+export async function buildWorksheetPdf({
+  mistakes,
+  documentMetas,
+  getFileUrl,
+  title,
+  workSpace = "medium",
+  includeAnswers = true,
+  padding = 0,
+  onProgress,
+}) {
+  const docs = new Map();
+  const getPdf = (url) => {
+    if (!docs.has(url)) docs.set(url, openPdf(url));
+    return docs.get(url);
+  };
+  const titleOf = (fingerprint) =>
+    documentMetas.find((d) => d.fingerprint === fingerprint)?.title || "未命名文档";
+
+  const pager = createPager(title);
+  const spaceH = Math.round((WORK_SPACE_SIZES[workSpace]?.height || 0) * PAGE_H);
+  const numbered = [];
+  const skipped = [];
+  // 答案部分只包含成功出题的错题，题目画完后再按实际数量改总数
+  let total = mistakes.length;
+  let done = 0;
+
+  try {
+    for (const m of mistakes) {
+      const markedUrl = getFileUrl(m.originalFingerprint, "with_handwriting");
+      const source = questionSource(m, documentMetas, getFileUrl);
+      done += 1;
+      if (!source) {
+        skipped.push(m);
+        onProgress?.({ done, total });
+        continue;
+      }
+      const crops = await renderSources(getPdf, source.url, source.regions, padding);
+      const number = numbered.length + 1;
+      numbered.push({ mistake: m, number, markedUrl });
+      const pages = Array.from(new Set(mistakeRegions(m).map((r) => r.pageIndex + 1)));
+      drawItem(pager, {
+        number,
+        label: `${titleOf(m.originalFingerprint)} · 第 ${pages.join("、")} 页`,
+        crops,
+        extraHeight: spaceH,
+      });
+      onProgress?.({ done, total });
+    }
+
+    if (includeAnswers && numbered.length > 0) {
+      total += numbered.length;
+      onProgress?.({ done, total });
+      pager.newPage();
+      const top = pager.reserve(60);
+      pager.ctx.fillStyle = "#0f172a";
+      pager.ctx.font = `bold 34px ${FONT}`;
+      pager.ctx.fillText("答案与批注", MARGIN, top + 36);
+      for (const { mistake: m, number, markedUrl } of numbered) {
+        done += 1;
+        const crops = markedUrl
+          ? await renderSources(getPdf, markedUrl, mistakeRegions(m), padding)
+          : [];
+        pager.ctx.font = `24px ${FONT}`;
+        const text = [
+          m.title,
+          m.correctAnswer && "正确答案：" + m.correctAnswer,
+          m.errorCause && "错因：" + m.errorCause,
+          m.note,
+        ]
+          .filter(Boolean)
+          .join("\n");
+        drawItem(pager, {
+          number,
+          label: markedUrl ? "" : "错题版未加载",
+          crops,
+          lines: text ? wrapText(pager.ctx, text, CONTENT_W) : [],
+        });
+        onProgress?.({ done, total });
+      }
+    }
+
+    const pages = await pager.finish();
+    return {
+      blob: pages.length ? buildImagePdf(pages) : null,
+      count: numbered.length,
+      skipped,
+    };
+  } finally {
+    for (const p of docs.values()) p.then((pdf) => pdf.destroy()).catch(() => {});
+  }
+}